@@ -10,6 +10,7 @@ const config = require('./config/config');
 const morgan = require('./config/morgan');
 const { jwtStrategy } = require('./config/passport');
 const { authLimiter } = require('./middlewares/rateLimiter');
+const { captureRawBody } = require('./middlewares/webhook');
 const routes = require('./routes/v1');
 const { errorConverter, errorHandler } = require('./middlewares/error');
 const ApiError = require('./utils/ApiError');
@@ -24,8 +25,8 @@ if (config.env !== 'test') {
 // set security HTTP headers
 app.use(helmet());
 
-// parse json request body with increased limit for image uploads
-app.use(express.json({ limit: '15mb' }));
+// parse json request body with increased limit for image uploads, webhooks keep the raw body for signature checks
+app.use(express.json({ limit: '15mb', verify: captureRawBody }));
 
 // parse urlencoded request body with increased limit
 app.use(express.urlencoded({ extended: true, limit: '15mb' }));
@@ -33,6 +33,34 @@ const envVarsSchema = Joi.object()
     SSL_CERT_PATH: Joi.string().description('Path to SSL certificate file'),
     SSL_CA_PATH: Joi.string().description('Path to SSL certificate authority file (optional)'),
     FRONTEND_URL: Joi.string().description('Frontend URL for CORS'),
+    PICKUP_CODE_EXPIRATION_MINUTES: Joi.number()
+      .default(120)
+      .description('minutes after which an order pickup code expires'),
+    JOBS_INTERVAL_SECONDS: Joi.number().default(60).description('seconds between background job runs'),
+    IDEMPOTENCY_KEY_RETENTION_HOURS: Joi.number()
+      .default(24)
+      .description('hours for which a replayed Idempotency-Key returns the original response'),
+    IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS: Joi.number()
+      .default(120)
+      .description('seconds after which a request still processing under an Idempotency-Key can be retried'),
+    REVIEW_WINDOW_HOURS: Joi.number()
+      .default(72)
+      .description('hours after completion during which an order can be reviewed'),
+    FESTIVAL_TIMEZONE: Joi.string()
+      .default('America/Toronto')
+      .description('IANA time zone the festival runs in, order numbers restart at its midnight'),
+    ZEFFY_WEBHOOK_SECRET: Joi.string().description('secret Zeffy webhooks are signed with'),
+    ZEFFY_WEBHOOK_TOLERANCE_SECONDS: Joi.number()
+      .default(300)
+      .description('seconds a signed Zeffy webhook stays valid, older deliveries are rejected as replays'),
+    ZAPIER_WEBHOOK_SECRET: Joi.string().description('shared secret Zapier sends with its webhooks'),
+    BALANCE_ADJUSTMENT_APPROVAL_THRESHOLD: Joi.number()
+      .min(0)
+      .default(100)
+      .description('amount above which a manual balance adjustment needs a second admin to approve it'),
+    BALANCE_ADJUSTMENT_WINDOW_HOURS: Joi.number()
+      .default(24)
+      .description("hours over which an admin's adjustments to one wallet add up towards the approval threshold"),
   })
   .unknown();
 
@@ -73,6 +101,33 @@ module.exports = {
   frontend: {
     url: envVars.FRONTEND_URL,
   },
+  pickupCode: {
+    expirationMinutes: envVars.PICKUP_CODE_EXPIRATION_MINUTES,
+  },
+  jobs: {
+    intervalSeconds: envVars.JOBS_INTERVAL_SECONDS,
+  },
+  idempotency: {
+    retentionHours: envVars.IDEMPOTENCY_KEY_RETENTION_HOURS,
+    processingTimeoutSeconds: envVars.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS,
+  },
+  reviews: {
+    windowHours: envVars.REVIEW_WINDOW_HOURS,
+  },
+  festival: {
+    timezone: envVars.FESTIVAL_TIMEZONE,
+  },
+  zeffy: {
+    webhookSecret: envVars.ZEFFY_WEBHOOK_SECRET,
+    webhookToleranceSeconds: envVars.ZEFFY_WEBHOOK_TOLERANCE_SECONDS,
+  },
+  zapier: {
+    webhookSecret: envVars.ZAPIER_WEBHOOK_SECRET,
+  },
+  balanceAdjustments: {
+    approvalThreshold: envVars.BALANCE_ADJUSTMENT_APPROVAL_THRESHOLD,
+    approvalWindowHours: envVars.BALANCE_ADJUSTMENT_WINDOW_HOURS,
+  },
   googleCloud: {
     projectId: envVars.GOOGLE_CLOUD_PROJECT_ID,
     keyFile: envVars.GOOGLE_CLOUD_KEY_FILE,
@@ -0,0 +1,66 @@
+const orderStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'];
+
+// Orders waiting on the kitchen make up a vendor's queue. Pending orders are held for a later pickup slot and don't count yet.
+const queuedOrderStatuses = ['confirmed', 'preparing'];
+
+// Allowed transitions keyed by the current status, each listing the user types that may make it.
+// 'system' covers background jobs acting without a logged in user.
+const statusTransitions = {
+  pending: {
+    confirmed: ['vendor', 'admin', 'system'],
+    // Scheduled orders are released straight into the kitchen queue
+    preparing: ['system'],
+    cancelled: ['customer', 'vendor', 'admin', 'system'],
+  },
+  confirmed: {
+    preparing: ['vendor', 'admin'],
+    cancelled: ['customer', 'vendor', 'admin', 'system'],
+  },
+  preparing: {
+    ready: ['vendor', 'admin'],
+    cancelled: ['vendor', 'admin'],
+  },
+  ready: {
+    completed: ['vendor', 'admin', 'system'],
+    // Only the uncollected order policy refunds food that is already waiting on the counter
+    cancelled: ['system'],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+/**
+ * Check whether the graph has an edge between two statuses
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+const isValidTransition = (from, to) => Boolean(statusTransitions[from] && statusTransitions[from][to]);
+
+/**
+ * Check whether a user type may move an order between two statuses
+ * @param {string} from
+ * @param {string} to
+ * @param {string} actorType - customer, vendor, admin or system
+ * @returns {boolean}
+ */
+const canTransition = (from, to, actorType) =>
+  isValidTransition(from, to) && statusTransitions[from][to].includes(actorType);
+
+/**
+ * List the statuses a user type may move an order to next
+ * @param {string} from
+ * @param {string} actorType
+ * @returns {string[]}
+ */
+const getAllowedTransitions = (from, actorType) =>
+  Object.keys(statusTransitions[from] || {}).filter((to) => statusTransitions[from][to].includes(actorType));
+
+module.exports = {
+  orderStatuses,
+  queuedOrderStatuses,
+  statusTransitions,
+  isValidTransition,
+  canTransition,
+  getAllowedTransitions,
+};
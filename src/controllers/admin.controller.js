@@ -2,7 +2,14 @@ const httpStatus = require('http-status');
 const pick = require('../utils/pick');
 const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
-const { adminService } = require('../services');
+const {
+  adminService,
+  reviewService,
+  fundTransactionService,
+  unmatchedPaymentService,
+  reconciliationService,
+  balanceAdjustmentService,
+} = require('../services');
 
 const getDashboardStats = catchAsync(async (req, res) => {
   console.log('Admin dashboard stats requested');
@@ -40,6 +47,25 @@ const getTransactions = catchAsync(async (req, res) => {
   res.send({ data: result });
 });
 
+const getFundTransactions = catchAsync(async (req, res) => {
+  const filter = fundTransactionService.buildTransactionFilter(
+    pick(req.query, ['user', 'type', 'method', 'status', 'integrationSource', 'startDate', 'endDate'])
+  );
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await fundTransactionService.queryFundTransactions(filter, options);
+  res.send({ data: result });
+});
+
+const getFundTransaction = catchAsync(async (req, res) => {
+  const transaction = await fundTransactionService.getFundTransactionById(req.params.transactionId);
+  res.send({ data: transaction });
+});
+
+const getIntegrationStats = catchAsync(async (req, res) => {
+  const stats = await fundTransactionService.getIntegrationStats(pick(req.query, ['user', 'startDate', 'endDate']));
+  res.send({ data: stats });
+});
+
 const approveVendor = catchAsync(async (req, res) => {
   const { vendorId } = req.params;
   console.log(`Admin approving vendor: ${vendorId}`);
@@ -109,14 +135,201 @@ const updatePlatformFee = catchAsync(async (req, res) => {
   });
 });
 
+const getScheduledOrderLeadMinutes = catchAsync(async (req, res) => {
+  const minutes = await adminService.getScheduledOrderLeadMinutes();
+  res.send({
+    data: {
+      minutes,
+    },
+  });
+});
+
+const updateScheduledOrderLeadMinutes = catchAsync(async (req, res) => {
+  const setting = await adminService.updateScheduledOrderLeadMinutes(req.body.minutes);
+  res.send({
+    data: {
+      minutes: setting.value,
+    },
+    message: `Scheduled orders will be released ${setting.value} minutes before pickup`,
+  });
+});
+
+const getUncollectedOrderPolicy = catchAsync(async (req, res) => {
+  const policy = await adminService.getUncollectedOrderPolicy();
+  res.send({
+    data: policy,
+  });
+});
+
+const updateUncollectedOrderPolicy = catchAsync(async (req, res) => {
+  const policy = await adminService.updateUncollectedOrderPolicy(req.body);
+  res.send({
+    data: policy,
+    message: 'Uncollected order policy updated successfully',
+  });
+});
+
+const getReviews = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['vendor', 'customer', 'rating', 'isHidden']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await reviewService.queryReviews(filter, options);
+  res.send({ data: result });
+});
+
+const hideReview = catchAsync(async (req, res) => {
+  const review = await reviewService.hideReview(req.params.reviewId, req.user, req.body.reason);
+  res.send({
+    data: review,
+    message: 'Review hidden successfully',
+  });
+});
+
+const unhideReview = catchAsync(async (req, res) => {
+  const review = await reviewService.unhideReview(req.params.reviewId);
+  res.send({
+    data: review,
+    message: 'Review restored successfully',
+  });
+});
+
+const getUnmatchedPayments = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['status', 'source', 'payerEmail']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await unmatchedPaymentService.queryUnmatchedPayments(filter, options);
+  res.send({ data: result });
+});
+
+const assignUnmatchedPayment = catchAsync(async (req, res) => {
+  const payment = await unmatchedPaymentService.assignUnmatchedPayment(
+    req.params.unmatchedPaymentId,
+    req.body.userId,
+    req.user
+  );
+  res.send({
+    data: payment,
+    message: 'Payment credited to the user',
+  });
+});
+
+const rejectUnmatchedPayment = catchAsync(async (req, res) => {
+  const payment = await unmatchedPaymentService.rejectUnmatchedPayment(
+    req.params.unmatchedPaymentId,
+    req.user,
+    req.body.reason
+  );
+  res.send({
+    data: payment,
+    message: 'Payment rejected',
+  });
+});
+
+const getReconciliationReports = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['trigger']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await reconciliationService.queryReconciliationReports(filter, options);
+  res.send({ data: result });
+});
+
+const getReconciliationReport = catchAsync(async (req, res) => {
+  const report = await reconciliationService.getReconciliationReportById(req.params.reportId);
+  res.send({ data: report });
+});
+
+const runReconciliation = catchAsync(async (req, res) => {
+  const report = await reconciliationService.runReconciliation({ trigger: 'admin', runBy: req.user });
+  res.status(httpStatus.CREATED).send({ data: report });
+});
+
+const reconcileUser = catchAsync(async (req, res) => {
+  const result = await reconciliationService.reconcileUser(req.params.userId);
+  res.send({ data: result });
+});
+
+const reconcileUserBalance = catchAsync(async (req, res) => {
+  const result = await reconciliationService.reconcileUserBalance(req.params.userId, req.user, req.body.note);
+  res.status(httpStatus.CREATED).send({
+    data: result,
+    message: 'Ledger adjusted to match the balance',
+  });
+});
+
+const createBalanceAdjustment = catchAsync(async (req, res) => {
+  const adjustment = await balanceAdjustmentService.createBalanceAdjustment(req.body, req.user);
+  if (adjustment.status === 'pending') {
+    return res.status(httpStatus.ACCEPTED).send({
+      data: adjustment,
+      message: 'Adjustment is above the approval threshold and waits for a second admin',
+    });
+  }
+  res.status(httpStatus.CREATED).send({
+    data: adjustment,
+    message: 'Adjustment applied',
+  });
+});
+
+const getBalanceAdjustments = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['user', 'status', 'reasonCode', 'requestedBy']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await balanceAdjustmentService.queryBalanceAdjustments(filter, options);
+  res.send({ data: result });
+});
+
+const approveBalanceAdjustment = catchAsync(async (req, res) => {
+  const adjustment = await balanceAdjustmentService.approveBalanceAdjustment(req.params.adjustmentId, req.user);
+  res.send({
+    data: adjustment,
+    message: 'Adjustment approved and applied',
+  });
+});
+
+const rejectBalanceAdjustment = catchAsync(async (req, res) => {
+  const adjustment = await balanceAdjustmentService.rejectBalanceAdjustment(
+    req.params.adjustmentId,
+    req.user,
+    req.body.reason
+  );
+  res.send({
+    data: adjustment,
+    message: 'Adjustment rejected',
+  });
+});
+
+const getBalanceAdjustmentThreshold = catchAsync(async (req, res) => {
+  const amount = balanceAdjustmentService.getApprovalThreshold();
+  res.send({ data: { amount } });
+});
+
 module.exports = {
   getDashboardStats,
   getUsers,
   getVendors,
   getTransactions,
+  getFundTransactions,
+  getFundTransaction,
+  getIntegrationStats,
   approveVendor,
   suspendUser,
   unsuspendUser,
   getPlatformFee,
   updatePlatformFee,
+  getScheduledOrderLeadMinutes,
+  updateScheduledOrderLeadMinutes,
+  getUncollectedOrderPolicy,
+  updateUncollectedOrderPolicy,
+  getReviews,
+  hideReview,
+  unhideReview,
+  getUnmatchedPayments,
+  assignUnmatchedPayment,
+  rejectUnmatchedPayment,
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliation,
+  reconcileUser,
+  reconcileUserBalance,
+  createBalanceAdjustment,
+  getBalanceAdjustments,
+  approveBalanceAdjustment,
+  rejectBalanceAdjustment,
+  getBalanceAdjustmentThreshold,
 };
@@ -46,6 +46,7 @@ const completeRegistration = catchAsync(async (req, res) => {
     user.vendorDashboard = undefined; // Remove vendor details from response
     user.salesHistory = undefined; // Remove sales history from response
     user.totalSales = undefined; // Remove total sales from response
+    user.totalTips = undefined; // Remove total tips from response
   }
   if (user.type === 'vendor') {
     user.pendingOrders = undefined; // Remove pending orders from response
@@ -111,6 +112,7 @@ const registerDirect = catchAsync(async (req, res) => {
     cleanUser.vendorDashboard = undefined;
     cleanUser.salesHistory = undefined;
     cleanUser.totalSales = undefined;
+    cleanUser.totalTips = undefined;
   }
   if (cleanUser.type === 'vendor') {
     cleanUser.pendingOrders = undefined;
@@ -141,6 +143,7 @@ const login = catchAsync(async (req, res) => {
     user.vendorDashboard = undefined; // Remove vendor details from response
     user.salesHistory = undefined; // Remove sales history from response
     user.totalSales = undefined; // Remove total sales from response
+    user.totalTips = undefined; // Remove total tips from response
   }
   if (user.type === 'vendor') {
     user.pendingOrders = undefined; // Remove pending orders from response
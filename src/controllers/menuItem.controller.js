@@ -2,7 +2,7 @@ const httpStatus = require('http-status');
 const pick = require('../utils/pick');
 const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
-const { userService, menuItemService, imageUploadService, qrCodeService, orderService } = require('../services');
+const { userService, menuItemService, imageUploadService, qrCodeService, orderService, reviewService } = require('../services');
 
 const createMenuItem = catchAsync(async (req, res) => {
   let menuItemData = { ...req.body };
@@ -113,6 +113,8 @@ const getMenuItem = catchAsync(async (req, res) => {
     }
   }
 
+  const ratings = await reviewService.getMenuItemRatings([menuItem._id]);
+
   // Format the response to match frontend expectations
   const productData = {
     id: menuItem.id || menuItem._id || req.params.menuItemId,
@@ -122,7 +124,8 @@ const getMenuItem = catchAsync(async (req, res) => {
     image: menuItem.image || '🍽️',
     vendor: vendorName,
     vendorId: vendorId,
-    soldCount: soldCount
+    soldCount: soldCount,
+    rating: ratings.get(menuItem._id.toString())
   };
 
   res.status(httpStatus.OK).send({ data: productData });
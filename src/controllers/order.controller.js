@@ -3,154 +3,58 @@ const pick = require('../utils/pick');
 const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
 const orderService = require('../services/order.service');
-
- const { Order } = require('../models');
+const queueService = require('../services/queue.service');
+const pickupService = require('../services/pickup.service');
+const receiptService = require('../services/receipt.service');
+const reviewService = require('../services/review.service');
+const messageService = require('../services/message.service');
+const vendorService = require('../services/vendor.service');
+const orderExportService = require('../services/orderExport.service');
+
+const getCreatedOrderMessage = (order, queueInfo) => {
+  if (queueInfo) {
+    return `Order created successfully. You are #${queueInfo.position} in queue, ready in about ${queueInfo.etaMinutes} min.`;
+  }
+  if (order.status === 'pending' && order.scheduledTime) {
+    return `Order scheduled successfully for ${order.scheduledTime.toISOString()}.`;
+  }
+  return 'Order created successfully.';
+};
 
 const createOrder = catchAsync(async (req, res) => {
-  console.log('Creating order with data:', req.body);
-  
   // Validate required fields
-  const { vendorId, userId, quantity } = req.body;
-  
+  const { vendorId, userId = req.user.id } = req.body;
+
   if (!vendorId) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Missing required field: vendorId');
   }
-  if (!userId) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Missing required field: userId');
-  }
-  if (!quantity) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Missing required field: quantity');
+  // The order is paid from the customer's wallet, only admins may place one for someone else
+  if (userId !== req.user.id && req.user.type !== 'admin') {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You can only place orders for yourself');
   }
 
-  const order = await orderService.createOrder(req.body);
-  
-  // Handle balance updates
-  try {
-    const { userService } = require('../services');
-    const customer = await userService.getUserById(userId);
-    const vendor = await userService.getUserById(vendorId);
-    
-    if (!customer || !vendor) {
-      throw new ApiError(httpStatus.NOT_FOUND, 'Customer or vendor not found');
-    }
-
-    console.log(`Before balance update - Customer balance: ${customer.balance}, Vendor balance: ${vendor.balance}`);
-
-    // Deduct amount from customer balance
-    try {
-      await customer.deductFunds(order.totalAmount);
-      console.log(`✅ Customer balance deducted successfully`);
-    } catch (customerError) {
-      console.error(`❌ Customer balance deduction failed:`, customerError.message);
-      throw customerError;
-    }
-    
-    // Add amount to vendor balance
-    try {
-      await vendor.addFunds(order.totalAmount);
-      console.log(`✅ Vendor balance added successfully`);
-    } catch (vendorError) {
-      console.error(`❌ Vendor balance addition failed:`, vendorError.message);
-      throw vendorError;
-    }
-
-    // Refresh user data to get updated balances
-    const updatedCustomer = await userService.getUserById(userId);
-    const updatedVendor = await userService.getUserById(vendorId);
-    console.log(`After balance update - Customer balance: ${updatedCustomer.balance}, Vendor balance: ${updatedVendor.balance}`);
-
-    // Calculate queue position - count orders ahead of this one for the same vendor
-    // with status pending, confirmed, or preparing
-   
-    const ordersAhead = await Order.countDocuments({
-      vendor: vendorId,
-      status: { $in: ['pending', 'confirmed', 'preparing'] },
-      createdAt: { $lt: order.createdAt }
-    });
-
-    // Add queue position to response
-    const orderWithQueue = {
-      ...order.toObject(),
-      queuePosition: ordersAhead + 1 // Current order position (1-based)
-    };
-
-    // Notify vendor of new order via socket
-    try {
-      const { socketService } = require('../services');
-      
-      console.log(`🔔 Preparing to notify vendor ${vendorId} of new order`);
-      
-      // Prepare order data for vendor notification
-      const vendorNotificationData = {
-        orderId: order._id.toString(),
-        customerId: customer._id.toString(),
-        customerName: customer.name,
-        customerUsername: customer.username, // Add username for debugging
-        items: [{
-          name: order.items[0].name,
-          quantity: order.items[0].quantity,
-          unitPrice: order.items[0].price,
-          totalPrice: order.items[0].totalPrice
-        }],
-        totalPrice: order.totalAmount,
-      };
-
-      console.log(`📦 Vendor notification data:`, JSON.stringify(vendorNotificationData, null, 2));
-
-      socketService.emitNewOrderToVendor(vendorId, vendorNotificationData);
-      console.log(`✅ Vendor ${vendorId} notified of new order ${order._id}`);
-      
-    } catch (socketError) {
-      console.error('❌ Failed to notify vendor via socket:', socketError.message);
-      console.error('Socket error stack:', socketError.stack);
-      // Don't fail the order creation if socket notification fails
-    }
-
-    console.log(`Order created. Queue position: ${ordersAhead + 1}, Customer balance updated: -$${order.totalAmount}, Vendor balance updated: +$${order.totalAmount}`);
-    
-    // Add sales amount to vendor's total sales as well as sales history
-    try {
-      vendor.totalSales = (vendor.totalSales || 0) + order.totalAmount;
-
-      vendor.salesHistory = vendor.salesHistory || [];
-      vendor.salesHistory.push(order._id);
-
-      await vendor.save();
-      console.log(`✅ Vendor total sales updated successfully`);
-    } catch (salesError) {
-      console.error(`❌ Vendor total sales update failed:`, salesError.message);
-      // Don't fail the order creation if sales update fails
-    }
-
-    // Add order to customer's pending orders
-    try {
-      customer.pendingOrders = customer.pendingOrders || [];
-      customer.pendingOrders.push(order._id);
-      await customer.save();
-      console.log(`✅ Order added to customer's pending orders`);
-    } catch (pendingError) {
-      console.error(`❌ Adding order to customer's pending orders failed:`, pendingError.message);
-      // Don't fail the order creation if this fails
-    }
-    res.status(httpStatus.OK).send({ 
-      data: orderWithQueue,
-      message: `Order created successfully. You are #${ordersAhead + 1} in queue.`
-    });
-
-  } catch (balanceError) {
-    // If balance update fails, we should probably cancel/rollback the order
-    console.error('Balance update failed:', balanceError.message);
-    
-    // For now, return the order but with a warning
-    res.status(httpStatus.CREATED).send({ 
-      data: order,
-      warning: `Order created but balance update failed: ${balanceError.message}`
-    });
-  }
+  // Settles payment atomically, insufficient balance rejects the order before anything is written.
+  // The vendor is notified once the order reaches their queue.
+  const order = await orderService.createOrder({ ...req.body, userId });
+
+  // Place in the vendor's queue and when the order should be ready
+  const queueInfo = await queueService.getOrderQueueInfo(order);
+  const orderWithQueue = {
+    ...order.toObject(),
+    ...queueService.toQueueFields(queueInfo),
+  };
+
+  res.status(httpStatus.OK).send({
+    data: orderWithQueue,
+    message: getCreatedOrderMessage(order, queueInfo),
+  });
 });
 
 const getOrders = catchAsync(async (req, res) => {
   const filter = pick(req.query, ['customer', 'vendor', 'status', 'paymentStatus']);
+  if (req.user.type !== 'admin') {
+    filter.$or = [{ customer: req.user.id }, { vendor: req.user.id }];
+  }
   const options = pick(req.query, ['sortBy', 'limit', 'page']);
   const result = await orderService.queryOrders(filter, options);
   res.send({ data: result });
@@ -161,7 +65,9 @@ const getOrder = catchAsync(async (req, res) => {
   if (!order) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
   }
-  res.send({ data: order });
+
+  const queueInfo = await queueService.getOrderQueueInfo(order);
+  res.send({ data: { ...order.toJSON(), ...queueService.toQueueFields(queueInfo) } });
 });
 
 const getOrdersByCustomer = catchAsync(async (req, res) => {
@@ -174,76 +80,104 @@ const getOrdersByVendor = catchAsync(async (req, res) => {
   res.send({ data: orders });
 });
 
+const exportVendorOrders = catchAsync(async (req, res) => {
+  if (req.user.type !== 'admin' && req.user.id !== req.params.vendorId) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You can only export your own orders');
+  }
+  const vendor = await vendorService.getVendorById(req.params.vendorId);
+  const { from, to, format } = req.query;
+
+  res.attachment(`orders-${vendor._id}.${format}`);
+  await orderExportService.writeVendorOrders(vendor._id, { from, to }, format, res);
+});
+
 const updateOrder = catchAsync(async (req, res) => {
   const order = await orderService.updateOrderById(req.params.orderId, req.body);
   res.send({ data: order });
 });
 
 const updateOrderStatus = catchAsync(async (req, res) => {
-  const { status } = req.body;
+  const { status, note, pickupCode } = req.body;
   if (!status) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Status is required');
   }
   
-  const order = await orderService.updateOrderStatus(req.params.orderId, status);
-  
-  // Optionally notify customer of status change via socket
-  try {
-    const { socketService } = require('../services');
-    
-    // Get order details for notification
-    const updatedOrder = await orderService.getOrderById(req.params.orderId);
-    
-    if (updatedOrder && updatedOrder.customer) {
-      const customerId = updatedOrder.customer._id || updatedOrder.customer.id || updatedOrder.customer;
-      const itemName = updatedOrder.items && updatedOrder.items[0] ? updatedOrder.items[0].name : 'Order';
-      
-      console.log(`🔔 Notifying customer ${customerId} of order status update: ${status}`);
-      
-      // Use the socketService instance to access the socketController
-      socketService.socketController.emitOrderStatusUpdate(customerId, req.params.orderId, status, itemName);
-      
-      console.log(`📱 Status update notification sent to customer ${customerId}: ${status}`);
-    }
-  } catch (socketError) {
-    console.error('❌ Failed to send status update notification:', socketError.message);
-    // Don't fail the status update if socket notification fails
-  }
-  
+  // The customer is notified by the order service once the transition is saved
+  const order = await orderService.updateOrderStatus(req.params.orderId, status, req.user, note, {
+    pickupCode,
+    ipAddress: req.ip,
+  });
   res.send({ data: order });
 });
 
+const bulkUpdateOrderStatus = catchAsync(async (req, res) => {
+  const { orderIds, status, note } = req.body;
+  // Each order succeeds or fails on its own, the results say which
+  const result = await orderService.bulkUpdateOrderStatus(orderIds, status, req.user, note);
+  res.send({ data: result });
+});
+
 const cancelOrder = catchAsync(async (req, res) => {
-  const order = await orderService.cancelOrder(req.params.orderId);
+  const order = await orderService.cancelOrder(req.params.orderId, req.user, req.body.reason);
+  res.send({ data: order });
+});
+
+const refundOrderItems = catchAsync(async (req, res) => {
+  const order = await orderService.refundOrderItems(req.params.orderId, req.body.items, req.user, req.body.reason);
   res.send({ data: order });
 });
 
 const completeOrder = catchAsync(async (req, res) => {
-  const order = await orderService.completeOrder(req.params.orderId);
+  const order = await orderService.completeOrder(req.params.orderId, req.user, {
+    pickupCode: req.body.pickupCode,
+    ipAddress: req.ip,
+  });
+  res.send({ data: order });
+});
+
+const getPickupCode = catchAsync(async (req, res) => {
+  const pickup = await pickupService.getPickupCode(req.params.orderId, req.user);
+  res.send({ data: pickup });
+});
 
-  // Notify customer of order completion via socket 
-  try {
-        const { socketService } = require('../services');
-        
-        // Get order details for notification
-        const updatedOrder = await orderService.getOrderById(req.params.orderId);
-        
-        if (updatedOrder && updatedOrder.customer) {
-        const customerId = updatedOrder.customer._id || updatedOrder.customer.id || updatedOrder.customer;
-        const itemName = updatedOrder.items && updatedOrder.items[0] ? updatedOrder.items[0].name : 'Order';
-        
-        console.log(`🔔 Notifying customer ${customerId} of order completion`);
-        
-        // Use the socketService instance to access the socketController
-        socketService.socketController.emitOrderCompletion(customerId, req.params.orderId, itemName);
-        
-        console.log(`📱 Order completion notification sent to customer ${customerId}`);
-        }
-  } catch (socketError) {
-        console.error('❌ Failed to send order completion notification:', socketError.message);
-        // Don't fail the completion if socket notification fails
+const getOrderReceipt = catchAsync(async (req, res) => {
+  const receipt = await receiptService.getOrderReceipt(req.params.orderId, req.user);
+
+  if (req.query.format === 'pdf') {
+    const pdf = await receiptService.renderReceiptPdf(receipt);
+    res.set('Content-Disposition', `inline; filename="receipt-${receipt.orderId}.pdf"`);
+    res.type('application/pdf').send(pdf);
+    return;
   }
-  res.send({ data: order });
+
+  const html = await receiptService.renderReceiptHtml(receipt);
+  res.type('html').send(html);
+});
+
+const sendOrderReceipt = catchAsync(async (req, res) => {
+  const result = await receiptService.sendReceipt(req.params.orderId, req.user, req.body.email);
+  res.send({ data: result, message: `Receipt sent to ${result.sentTo}` });
+});
+
+const createOrderReview = catchAsync(async (req, res) => {
+  const review = await reviewService.createReview(req.params.orderId, req.body, req.user);
+  res.status(httpStatus.CREATED).send({ data: review, message: 'Thanks for your review' });
+});
+
+const getOrderMessages = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['limit', 'page']);
+  const result = await messageService.getMessages(req.params.orderId, req.user, options);
+  res.send({ data: result });
+});
+
+const sendOrderMessage = catchAsync(async (req, res) => {
+  const message = await messageService.sendMessage(req.params.orderId, req.user, req.body.message);
+  res.status(httpStatus.CREATED).send({ data: message });
+});
+
+const markOrderMessagesRead = catchAsync(async (req, res) => {
+  const receipt = await messageService.markMessagesRead(req.params.orderId, req.user);
+  res.send({ data: receipt });
 });
 
 module.exports = {
@@ -252,8 +186,18 @@ module.exports = {
   getOrder,
   getOrdersByCustomer,
   getOrdersByVendor,
+  exportVendorOrders,
   updateOrder,
   updateOrderStatus,
+  bulkUpdateOrderStatus,
   cancelOrder,
+  refundOrderItems,
   completeOrder,
+  getPickupCode,
+  getOrderReceipt,
+  sendOrderReceipt,
+  createOrderReview,
+  getOrderMessages,
+  sendOrderMessage,
+  markOrderMessagesRead,
 };
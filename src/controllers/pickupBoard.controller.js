@@ -0,0 +1,11 @@
+const catchAsync = require('../utils/catchAsync');
+const { pickupBoardService } = require('../services');
+
+const getPickupBoard = catchAsync(async (req, res) => {
+  const board = await pickupBoardService.getPickupBoard();
+  res.send({ data: board });
+});
+
+module.exports = {
+  getPickupBoard,
+};
@@ -1,7 +1,11 @@
 const httpStatus = require('http-status');
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
-const { userService } = require('../services');
+const userService = require('../services/user.service');
+const orderService = require('../services/order.service');
+const messageService = require('../services/message.service');
+const pickupBoardService = require('../services/pickupBoard.service');
+const orderValidation = require('../validations/order.validation');
 const logger = require('../config/logger');
 
 /**
@@ -12,6 +16,7 @@ class SocketController {
     this.io = io;
     this.connectedUsers = new Map(); // Track connected users
     this.setupSocketHandlers();
+    this.setupPickupBoardNamespace();
   }
 
   /**
@@ -29,6 +34,22 @@ class SocketController {
     });
   }
 
+  /**
+   * Setup the public namespace for the pickup board screens, no login needed.
+   * Screens get the whole board when they connect and a vendor's column whenever it changes.
+   */
+  setupPickupBoardNamespace() {
+    this.pickupBoard = this.io.of('/pickup-board');
+    this.pickupBoard.on('connection', async (socket) => {
+      try {
+        socket.emit('pickup-board', await pickupBoardService.getPickupBoard());
+      } catch (error) {
+        logger.error('Error sending the pickup board:', error);
+        socket.emit('error', { message: 'Failed to load the pickup board' });
+      }
+    });
+  }
+
   /**
    * Handle new socket connection
    */
@@ -118,6 +139,11 @@ class SocketController {
       this.handleLeaveOrderRoom(socket, data);
     });
 
+    // Read receipts for order chat, customers and vendors alike
+    socket.on('mark-messages-read', async (data) => {
+      await this.handleMarkMessagesRead(socket, data);
+    });
+
     // Note: order-created event removed - orders are created via REST API
     // and notifications are sent via socketService.emitNewOrderToVendor()
 
@@ -141,6 +167,11 @@ class SocketController {
    * Setup customer-specific event handlers
    */
   setupCustomerEventHandlers(socket) {
+    // Customer replies to the vendor from the order screen
+    socket.on('send-vendor-message', async (data) => {
+      await this.handleOrderMessage(socket, data);
+    });
+
     // Customer can track their orders
     socket.on('track-my-orders', async () => {
       try {
@@ -177,13 +208,28 @@ class SocketController {
         await this.handleOrderStatusUpdate(socket, data);
       } catch (error) {
         logger.error('Error updating order status:', error);
-        socket.emit('error', { message: 'Failed to update order status' });
+        socket.emit('error', {
+          message: error.isOperational ? error.message : 'Failed to update order status',
+          orderId: data && data.orderId,
+        });
+      }
+    });
+
+    // Vendor moves several orders to the same status at once
+    socket.on('bulk-update-order-status', async (data) => {
+      try {
+        await this.handleBulkOrderStatusUpdate(socket, data);
+      } catch (error) {
+        logger.error('Error bulk updating order status:', error);
+        socket.emit('error', {
+          message: error.isOperational ? error.message : 'Failed to update order status',
+        });
       }
     });
 
     // Vendor sends message to customer
-    socket.on('send-customer-message', (data) => {
-      this.handleVendorMessage(socket, data);
+    socket.on('send-customer-message', async (data) => {
+      await this.handleOrderMessage(socket, data);
     });
   }
 
@@ -273,74 +319,106 @@ class SocketController {
 
   /**
    * Handle order status update (typically called by vendors)
+   * Goes through the same transition rules as PUT /orders/:orderId/status
    */
   async handleOrderStatusUpdate(socket, data) {
-    const { orderId, status, estimatedTime, message } = data;
+    const { orderId, status, message, pickupCode } = data;
 
-    try {
-      // Update order in database
-      // const updatedOrder = await orderService.updateOrderStatus(orderId, status);
-      
-      // Get order details for notification
-      const orderDetails = await this.getOrderDetails(orderId);
-      
-      if (!orderDetails) {
-        throw new Error('Order not found');
-      }
+    const actor = await userService.getUserById(socket.userId);
+    if (!actor) {
+      throw new Error('User not found');
+    }
 
-      // Emit to order room (all participants)
-      /*this.io.to(`order-${orderId}`).emit('order-status-changed', {
-        orderId,
-        status,
-        estimatedTime,
-        itemName: orderDetails.item,
-        userId: orderDetails.userId,
-        vendorId: orderDetails.vendorId,
-        timestamp: new Date()
-      });*/
+    const order = await orderService.updateOrderStatus(orderId, status, actor, message, {
+      pickupCode,
+      ipAddress: socket.handshake.address,
+    });
 
-      // Send notification to customer
-      this.io.to(`user-${orderDetails.userId}`).emit('new-notification', {
-        message: message || `Your ${orderDetails.item} is ${status}!`,
-        type: 'order-update',
-        orderId,
-        status,
-        timestamp: new Date()
-      });
+    socket.emit('order-status-updated', {
+      orderId,
+      status: order.status,
+      timestamp: new Date(),
+    });
 
-      // If order is ready, send special notification
-      if (status === 'order-status-update') {
-        this.io.to(`user-${orderDetails.userId}`).emit('order-ready', {
-          orderId,
-          itemName: orderDetails.item,
-          vendorId: orderDetails.vendorId,
-          message: `Your ${orderDetails.item} is ready for pickup!`,
-          timestamp: new Date()
-        });
+    logger.info(`Order ${orderId} status updated to ${status} by ${socket.userId}`);
+  }
+
+  /**
+   * Handle a bulk order status update
+   * Validated and applied the same way as POST /orders/bulk-status, with per-order results in the ack
+   */
+  async handleBulkOrderStatusUpdate(socket, data) {
+    const { value, error } = orderValidation.bulkUpdateOrderStatus.body.validate(data || {});
+    if (error) {
+      socket.emit('error', { message: error.message });
+      return;
+    }
+
+    const actor = await userService.getUserById(socket.userId);
+    if (!actor) {
+      throw new Error('User not found');
+    }
+
+    const result = await orderService.bulkUpdateOrderStatus(value.orderIds, value.status, actor, value.note);
+
+    socket.emit('bulk-order-status-updated', {
+      ...result,
+      timestamp: new Date(),
+    });
+
+    logger.info(`${result.updated} of ${result.results.length} orders updated to ${value.status} by ${socket.userId}`);
+  }
+
+  /**
+   * Handle an order chat message, from the vendor to the customer or the other way round
+   * Saved through the same service as POST /orders/:orderId/messages
+   */
+  async handleOrderMessage(socket, data) {
+    const { message, orderId } = data || {};
+
+    try {
+      if (!orderId || typeof message !== 'string' || !message.trim()) {
+        socket.emit('error', { message: 'orderId and message are required', orderId });
+        return;
       }
 
-      logger.info(`Order ${orderId} status updated to ${status}`);
+      const actor = await userService.getUserById(socket.userId);
+      if (!actor) {
+        throw new Error('User not found');
+      }
 
+      const sent = await messageService.sendMessage(orderId, actor, message.trim().slice(0, 1000));
+      socket.emit('message-sent', { userId: sent.recipientId, message: sent.body, orderId, messageId: sent.id });
     } catch (error) {
-      logger.error('Error updating order status:', error);
-      throw error;
+      logger.error('Error sending order message:', error);
+      socket.emit('error', {
+        message: error.isOperational ? error.message : 'Failed to send message',
+        orderId,
+      });
     }
   }
 
   /**
-   * Handle vendor message to customer
+   * Handle the recipient reading an order's chat
    */
-  handleVendorMessage(socket, data) {
-    const { userId, message, orderId } = data;
+  async handleMarkMessagesRead(socket, data) {
+    const { orderId } = data || {};
 
-    this.io.to(`user-${userId}`).emit('vendor-message', {
-      vendorId: socket.userId,
-      message,
-      orderId,
-      timestamp: new Date()
-    });
+    try {
+      const actor = await userService.getUserById(socket.userId);
+      if (!actor) {
+        throw new Error('User not found');
+      }
 
-    socket.emit('message-sent', { userId, message });
+      const receipt = await messageService.markMessagesRead(orderId, actor);
+      socket.emit('messages-marked-read', receipt);
+    } catch (error) {
+      logger.error('Error marking order messages read:', error);
+      socket.emit('error', {
+        message: error.isOperational ? error.message : 'Failed to mark messages as read',
+        orderId,
+      });
+    }
   }
 
   /**
@@ -457,6 +535,95 @@ class SocketController {
     console.log(`✅ Order completion notification sent successfully to room: ${targetRoom}`);
   }
 
+  /**
+   * Emit a wallet balance change
+   * @param {string} userId
+   * @param {Object} balanceData - { newBalance, oldBalance, amount, reason }
+   */
+  emitBalanceUpdate(userId, balanceData) {
+    this.io.to(`user-${userId}`).emit('balance-updated', {
+      userId,
+      ...balanceData,
+      timestamp: new Date(),
+    });
+  }
+
+  /**
+   * Emit a completed wallet top-up
+   * @param {string} userId
+   * @param {Object} paymentData - { amount, newBalance, paymentMethod, transactionId }
+   */
+  emitPaymentCompleted(userId, paymentData) {
+    this.io.to(`user-${userId}`).emit('payment-completed', {
+      userId,
+      ...paymentData,
+      timestamp: new Date(),
+    });
+  }
+
+  /**
+   * Emit queue position and ETA updates
+   * @param {string} userId - Customer waiting in the queue, or the vendor for the full queue
+   * @param {Object} queueData
+   */
+  emitQueueUpdate(userId, queueData) {
+    this.io.to(`user-${userId}`).emit('queue-update', {
+      ...queueData,
+      timestamp: new Date(),
+    });
+  }
+
+  /**
+   * Emit an order chat message to both sides of the thread
+   * @param {Object} message - Formatted by the message service
+   */
+  emitOrderMessage(message) {
+    [message.recipientId, message.senderId].forEach((userId) => {
+      this.io.to(`user-${userId}`).emit('order-message', message);
+    });
+
+    // Clients built before chat was persisted listen for vendor-message
+    if (message.senderType === 'vendor') {
+      this.io.to(`user-${message.recipientId}`).emit('vendor-message', {
+        vendorId: message.senderId,
+        message: message.body,
+        orderId: message.orderId,
+        timestamp: message.createdAt,
+      });
+    }
+  }
+
+  /**
+   * Tell a sender their order chat messages were read
+   * @param {string} userId - The sender
+   * @param {Object} receipt - { orderId, readerId, readAt, count }
+   */
+  emitOrderMessagesRead(userId, receipt) {
+    this.io.to(`user-${userId}`).emit('order-messages-read', receipt);
+  }
+
+  /**
+   * Emit a vendor's column of the pickup board to every board screen
+   * @param {Object} vendorBoard - { vendorId, vendorName, preparing, ready }
+   */
+  emitPickupBoardUpdate(vendorBoard) {
+    this.pickupBoard.emit('pickup-board-update', {
+      ...vendorBoard,
+      timestamp: new Date(),
+    });
+  }
+
+  /**
+   * Emit a vendor's availability to every connected client
+   * @param {Object} availability
+   */
+  emitVendorAvailability(availability) {
+    this.io.emit('vendor-availability', {
+      ...availability,
+      timestamp: new Date(),
+    });
+  }
+
   // Helper methods (these would integrate with your actual services)
 
   async getUserActiveOrders(userId) {
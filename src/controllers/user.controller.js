@@ -54,6 +54,7 @@ const getProfile = catchAsync(async (req, res) => {
     user.vendorDashboard = undefined; // Remove vendor details from response
     user.salesHistory = undefined; // Remove sales history from response
     user.totalSales = undefined; // Remove total sales from response
+    user.totalTips = undefined; // Remove total tips from response
   }
   if (user.type === 'vendor') {
     user.pendingOrders = undefined; // Remove pending orders from response
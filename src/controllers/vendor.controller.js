@@ -2,7 +2,7 @@ const httpStatus = require('http-status');
 const pick = require('../utils/pick');
 const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
-const { userService, orderService } = require('../services');
+const { userService, orderService, vendorService, reviewService, orderStreamService } = require('../services');
 
 const getVendor = catchAsync(async (req, res) => {
   
@@ -26,6 +26,9 @@ const getVendor = catchAsync(async (req, res) => {
   //Get Revenue generated from orders
   const totalSales = vendor.totalSales || 0;
 
+  // Tips are reported apart from sales
+  const totalTips = vendor.totalTips || 0;
+
   //Get Pending orders count
   let pendingOrdersCount = 0;
   if (vendor.salesHistory && vendor.salesHistory.length > 0) {
@@ -45,11 +48,36 @@ const getVendor = catchAsync(async (req, res) => {
 
   transformedVendor.soldItems = completedOrdersCount;
   transformedVendor.totalSales = totalSales;
+  transformedVendor.totalTips = totalTips;
   transformedVendor.pendingOrders = pendingOrdersCount;
+  transformedVendor.availability = await vendorService.getVendorAvailability(vendor);
+  transformedVendor.rating = await reviewService.getVendorRating(vendor._id);
 
   res.send(transformedVendor);
 });
 
+const updateVendorSettings = catchAsync(async (req, res) => {
+  const result = await vendorService.updateVendorSettings(req.params.vendorId, req.body, req.user);
+  res.send({ data: result });
+});
+
+const getVendorReviews = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await reviewService.queryVendorReviews(req.params.vendorId, options);
+  res.send(result);
+});
+
+const streamVendorOrders = catchAsync(async (req, res) => {
+  if (req.user.type !== 'admin' && req.user.id !== req.params.vendorId) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You can only stream your own orders');
+  }
+  const vendor = await vendorService.getVendorById(req.params.vendorId);
+  await orderStreamService.subscribe(vendor._id, req, res);
+});
+
 module.exports = {
   getVendor,
+  updateVendorSettings,
+  getVendorReviews,
+  streamVendorOrders,
 };
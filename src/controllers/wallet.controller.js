@@ -0,0 +1,23 @@
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { fundTransactionService } = require('../services');
+
+const getWalletTransactions = catchAsync(async (req, res) => {
+  const filter = fundTransactionService.buildTransactionFilter({
+    ...pick(req.query, ['type', 'method', 'status', 'startDate', 'endDate']),
+    user: req.user._id,
+  });
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await fundTransactionService.queryFundTransactions(filter, options);
+  res.send({ data: result });
+});
+
+const getWalletSummary = catchAsync(async (req, res) => {
+  const summary = await fundTransactionService.getWalletSummary(req.user._id);
+  res.send({ data: summary });
+});
+
+module.exports = {
+  getWalletTransactions,
+  getWalletSummary,
+};
@@ -0,0 +1,41 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const ApiError = require('../utils/ApiError');
+const { webhookService } = require('../services');
+
+/**
+ * Answer a provider delivery. Redeliveries get a success too, otherwise the provider keeps retrying
+ * a payment that was already credited or queued, or one with nothing to credit.
+ */
+const sendDepositResult = (res, { transaction, unmatchedPayment, duplicate, skipped }) => {
+  if (skipped) {
+    return res.status(httpStatus.OK).send({ data: { skipped: true } });
+  }
+  if (unmatchedPayment) {
+    return res.status(httpStatus.ACCEPTED).send({
+      data: { unmatchedPaymentId: unmatchedPayment.id, queued: true, duplicate },
+    });
+  }
+  return res.status(duplicate ? httpStatus.OK : httpStatus.CREATED).send({
+    data: { transactionId: transaction.transactionId, duplicate },
+  });
+};
+
+const handleZeffyWebhook = catchAsync(async (req, res) => {
+  const result = await webhookService.processZeffyDonation(req.body, req.webhookSignature);
+  sendDepositResult(res, result);
+});
+
+const handleZapierWebhook = catchAsync(async (req, res) => {
+  const webhookId = req.get('X-Zapier-Webhook-Id');
+  if (!webhookId) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'X-Zapier-Webhook-Id header is required');
+  }
+  const result = await webhookService.processZapierCredit(req.body, webhookId);
+  sendDepositResult(res, result);
+});
+
+module.exports = {
+  handleZeffyWebhook,
+  handleZapierWebhook,
+};
@@ -8,6 +8,8 @@ const app = require('./app');
 const config = require('./config/config');
 const logger = require('./config/logger');
 const { socketService } = require('./services');
+const SocketController = require('./controllers/socket.controller');
+const { startJobs, stopJobs } = require('./jobs');
 
 let server;
 let io;
@@ -60,9 +62,12 @@ mongoose.connect(config.mongoose.url, config.mongoose.options).then(async () =>
   });
 
   // Initialize socket service
-  socketService.initialize(io);
+  socketService.initialize(new SocketController(io));
   logger.info('Socket.IO initialized successfully');
 
+  // Background jobs emit over the socket, so they start after it is ready
+  startJobs();
+
   server = httpServer.listen(config.port, () => {
     const protocol = config.env === 'production' && config.ssl && config.ssl.enabled ? 'https' : 'http';
     logger.info(`${protocol.toUpperCase()} server listening on port ${config.port}`);
@@ -72,6 +77,7 @@ mongoose.connect(config.mongoose.url, config.mongoose.options).then(async () =>
 });
 
 const exitHandler = () => {
+  stopJobs();
   if (server) {
     server.close(() => {
       logger.info('Server closed');
@@ -92,6 +98,7 @@ process.on('unhandledRejection', unexpectedErrorHandler);
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received');
+  stopJobs();
   if (server) {
     server.close();
   }
@@ -0,0 +1,51 @@
+const config = require('../config/config');
+const logger = require('../config/logger');
+const scheduledOrdersJob = require('./scheduledOrders.job');
+const uncollectedOrdersJob = require('./uncollectedOrders.job');
+
+const jobs = [scheduledOrdersJob, uncollectedOrdersJob];
+const timers = [];
+
+/**
+ * Run a job, skipping the tick if the previous run hasn't finished yet
+ * @param {Object} job
+ * @returns {Function}
+ */
+const createRunner = (job) => {
+  let running = false;
+  return async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      logger.error(`Background job ${job.name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+/**
+ * Start the background jobs. Call once the database connection is up.
+ */
+const startJobs = () => {
+  jobs.forEach((job) => {
+    timers.push(setInterval(createRunner(job), config.jobs.intervalSeconds * 1000));
+    logger.info(`Background job ${job.name} started (every ${config.jobs.intervalSeconds}s)`);
+  });
+};
+
+/**
+ * Stop the background jobs
+ */
+const stopJobs = () => {
+  timers.splice(0).forEach((timer) => clearInterval(timer));
+};
+
+module.exports = {
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,18 @@
+const orderService = require('../services/order.service');
+const logger = require('../config/logger');
+
+/**
+ * Release scheduled orders whose pickup time is within the configured lead time
+ * @returns {Promise<void>}
+ */
+const releaseScheduledOrders = async () => {
+  const released = await orderService.releaseDueScheduledOrders();
+  if (released > 0) {
+    logger.info(`Released ${released} scheduled order(s) to vendor queues`);
+  }
+};
+
+module.exports = {
+  name: 'release-scheduled-orders',
+  run: releaseScheduledOrders,
+};
@@ -0,0 +1,18 @@
+const uncollectedOrderService = require('../services/uncollectedOrder.service');
+const logger = require('../config/logger');
+
+/**
+ * Remind customers about ready orders they haven't collected and escalate the ones that ran out of reminders
+ * @returns {Promise<void>}
+ */
+const followUpUncollectedOrders = async () => {
+  const { reminded, escalated } = await uncollectedOrderService.processUncollectedOrders();
+  if (reminded > 0 || escalated > 0) {
+    logger.info(`Sent ${reminded} pickup reminder(s), escalated ${escalated} uncollected order(s)`);
+  }
+};
+
+module.exports = {
+  name: 'follow-up-uncollected-orders',
+  run: followUpUncollectedOrders,
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const { IdempotencyKey } = require('../models');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+// The path params are part of the request, the same body sent for another order or payment is a different request
+const hashRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ params: req.params, body: req.body || {} }))
+    .digest('hex');
+
+/**
+ * Take over a key whose request has been processing for longer than the timeout, e.g. because the
+ * instance handling it crashed. Only one retry can win the takeover.
+ * @param {IdempotencyKey} existing
+ * @param {string} requestHash
+ * @returns {Promise<IdempotencyKey|null>}
+ */
+const reclaimStaleKey = async (existing, requestHash) => {
+  const staleBefore = new Date(Date.now() - config.idempotency.processingTimeoutSeconds * 1000);
+  if (existing.updatedAt > staleBefore) {
+    return null;
+  }
+  return IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', updatedAt: existing.updatedAt },
+    { requestHash, expiresAt: new Date(Date.now() + config.idempotency.retentionHours * 60 * 60 * 1000) },
+    { new: true }
+  );
+};
+
+/**
+ * Store the outcome of the request once it has been sent. Only successful responses are kept,
+ * so a request that failed (e.g. insufficient balance) can be retried with the same key.
+ * @param {IdempotencyKey} record
+ * @param {Response} res
+ * @param {Function} getBody
+ */
+const saveResponseOnFinish = (record, res, getBody) => {
+  res.on('finish', async () => {
+    try {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        await IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', responseStatus: res.statusCode, responseBody: getBody() }
+        );
+      } else {
+        await IdempotencyKey.deleteOne({ _id: record._id });
+      }
+    } catch (error) {
+      logger.error(`Failed to store response for idempotency key ${record.key}:`, error);
+    }
+  });
+};
+
+/**
+ * Capture the body the handler sends so it can be replayed later, and store it once the response is sent
+ * @param {IdempotencyKey} record
+ * @param {Response} res
+ */
+const captureResponse = (record, res) => {
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+  saveResponseOnFinish(record, res, () => responseBody);
+};
+
+/**
+ * Make an endpoint safe to retry. Requests carrying an Idempotency-Key header run once;
+ * replays within the retention window get the original response back.
+ * Goes after auth(), keys are unique per user so two users can't collide on the same key.
+ * @param {string} scope - Name of the operation, keys are unique per scope
+ * @returns {Function} Express middleware
+ */
+const idempotent = (scope) =>
+  catchAsync(async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return next(new ApiError(httpStatus.BAD_REQUEST, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`));
+    }
+
+    const requestHash = hashRequest(req);
+    const user = req.user ? req.user._id : null;
+
+    try {
+      const record = await IdempotencyKey.create({
+        key,
+        scope,
+        user,
+        requestHash,
+        expiresAt: new Date(Date.now() + config.idempotency.retentionHours * 60 * 60 * 1000),
+      });
+      captureResponse(record, res);
+      return next();
+    } catch (error) {
+      if (error.code !== 11000) {
+        return next(error);
+      }
+    }
+
+    // The key has been seen before
+    const existing = await IdempotencyKey.findOne({ key, scope, user });
+    if (!existing) {
+      // Expired between the insert attempt and the lookup
+      return next(new ApiError(httpStatus.CONFLICT, 'Idempotency-Key conflict, please retry'));
+    }
+    if (existing.requestHash !== requestHash) {
+      return next(new ApiError(httpStatus.UNPROCESSABLE_ENTITY, 'Idempotency-Key was already used for a different request'));
+    }
+    if (existing.status !== 'completed') {
+      const reclaimed = await reclaimStaleKey(existing, requestHash);
+      if (!reclaimed) {
+        return next(new ApiError(httpStatus.CONFLICT, 'A request with this Idempotency-Key is still being processed'));
+      }
+      logger.warn(`Idempotency key ${key} was stuck processing, running the request again`);
+      captureResponse(reclaimed, res);
+      return next();
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).send(existing.responseBody);
+  });
+
+module.exports = idempotent;
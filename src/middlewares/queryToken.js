@@ -0,0 +1,12 @@
+/**
+ * Let clients that can't set headers, like a browser EventSource, send their access token as ?token=.
+ * Only for the routes that need it, auth() then reads the token as usual.
+ */
+const tokenFromQuery = (req, res, next) => {
+  if (req.query.token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+module.exports = tokenFromQuery;
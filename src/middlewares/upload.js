@@ -54,6 +54,25 @@ const uploadMultiple = (fieldName = 'images', maxCount = 5) => {
   return [upload.array(fieldName, maxCount), handleMulterError];
 };
 
+/**
+ * Parse fields that multipart forms send as JSON strings, e.g. modifierGroups, so they validate like a JSON body
+ * @param {...string} fieldNames
+ */
+const parseJsonFields =
+  (...fieldNames) =>
+  (req, res, next) => {
+    try {
+      fieldNames
+        .filter((fieldName) => typeof req.body[fieldName] === 'string')
+        .forEach((fieldName) => {
+          req.body[fieldName] = JSON.parse(req.body[fieldName]);
+        });
+      next();
+    } catch (error) {
+      next(new ApiError(httpStatus.BAD_REQUEST, `${fieldNames.join(', ')} must be valid JSON`));
+    }
+  };
+
 /**
  * Process base64 image data
  * @param {string} base64Data - Base64 image data
@@ -102,5 +121,6 @@ const processBase64Image = (base64Data) => {
 module.exports = {
   uploadSingle,
   uploadMultiple,
+  parseJsonFields,
   processBase64Image,
 };
@@ -0,0 +1,63 @@
+const httpStatus = require('http-status');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const { isValidWebhookSignature, isValidSharedSecret } = require('../utils/webhookSignature');
+
+/**
+ * `verify` hook for the body parsers. Keeps the bytes of webhook requests,
+ * their signatures are computed over the body exactly as it was sent.
+ */
+const captureRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/v1/webhooks')) {
+    req.rawBody = buf;
+  }
+};
+
+/**
+ * Reject Zeffy webhooks that aren't signed with our secret, or were signed too long ago to be anything but a replay.
+ * Expects X-Zeffy-Signature, the hex HMAC-SHA256 of `${timestamp}.${body}`, and X-Zeffy-Timestamp in Unix seconds.
+ */
+const verifyZeffySignature = (req, res, next) => {
+  const { webhookSecret, webhookToleranceSeconds } = config.zeffy;
+  if (!webhookSecret) {
+    return next(new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'Zeffy webhooks are not configured'));
+  }
+
+  const signature = req.get('X-Zeffy-Signature');
+  const timestamp = Number(req.get('X-Zeffy-Timestamp'));
+  if (!signature || !Number.isInteger(timestamp)) {
+    return next(new ApiError(httpStatus.UNAUTHORIZED, 'Missing webhook signature'));
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > webhookToleranceSeconds) {
+    return next(new ApiError(httpStatus.UNAUTHORIZED, 'Webhook timestamp is outside the allowed window'));
+  }
+  if (!isValidWebhookSignature(signature, webhookSecret, timestamp, req.rawBody || '')) {
+    return next(new ApiError(httpStatus.UNAUTHORIZED, 'Invalid webhook signature'));
+  }
+
+  req.webhookSignature = signature;
+  return next();
+};
+
+/**
+ * Reject Zapier webhooks that don't carry our shared secret in X-Webhook-Secret.
+ * Zaps can set headers but not sign bodies, so this is as far as Zapier authentication goes.
+ */
+const verifyZapierSecret = (req, res, next) => {
+  const { webhookSecret } = config.zapier;
+  if (!webhookSecret) {
+    return next(new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'Zapier webhooks are not configured'));
+  }
+
+  const secret = req.get('X-Webhook-Secret');
+  if (!secret || !isValidSharedSecret(secret, webhookSecret)) {
+    return next(new ApiError(httpStatus.UNAUTHORIZED, 'Invalid webhook secret'));
+  }
+  return next();
+};
+
+module.exports = {
+  captureRawBody,
+  verifyZeffySignature,
+  verifyZapierSecret,
+};
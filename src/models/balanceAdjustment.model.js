@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const balanceAdjustmentSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    direction: {
+      type: String,
+      enum: ['credit', 'debit'],
+      required: true,
+    },
+    reasonCode: {
+      type: String,
+      enum: ['cash_top_up', 'refund', 'correction', 'compensation', 'other'],
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    // pending until a second admin approves it, only adjustments above the approval threshold wait
+    status: {
+      type: String,
+      enum: ['pending', 'applied', 'rejected'],
+      default: 'pending',
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FundTransaction',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+balanceAdjustmentSchema.index({ status: 1, createdAt: -1 });
+balanceAdjustmentSchema.index({ user: 1, createdAt: -1 });
+
+// add plugin that converts mongoose to json
+balanceAdjustmentSchema.plugin(toJSON);
+balanceAdjustmentSchema.plugin(paginate);
+
+/**
+ * @typedef BalanceAdjustment
+ */
+const BalanceAdjustment = mongoose.model('BalanceAdjustment', balanceAdjustmentSchema);
+
+module.exports = BalanceAdjustment;
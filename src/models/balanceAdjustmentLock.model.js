@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One per admin and wallet. Adjustments write it in their transaction, so one admin's adjustments to a wallet run one at a time
+const balanceAdjustmentLockSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    version: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+balanceAdjustmentLockSchema.index({ user: 1, admin: 1 }, { unique: true });
+
+/**
+ * Take the lock for an admin's adjustments to a wallet until the transaction ends.
+ * A concurrent transaction holding it fails with a write conflict and is retried by withTransaction.
+ * @param {ObjectId} userId
+ * @param {ObjectId} adminId
+ * @param {ClientSession} session
+ * @returns {Promise<void>}
+ */
+balanceAdjustmentLockSchema.statics.acquire = async function (userId, adminId, session) {
+  await this.updateOne({ user: userId, admin: adminId }, { $inc: { version: 1 } }, { upsert: true, session });
+};
+
+/**
+ * @typedef BalanceAdjustmentLock
+ */
+const BalanceAdjustmentLock = mongoose.model('BalanceAdjustmentLock', balanceAdjustmentLockSchema);
+
+module.exports = BalanceAdjustmentLock;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { isValidWebhookSignature } = require('../utils/webhookSignature');
 
 const fundTransactionSchema = mongoose.Schema(
   {
@@ -15,14 +16,19 @@ const fundTransactionSchema = mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['deposit', 'withdrawal', 'refund', 'payment', 'adjustment'],
+      enum: ['deposit', 'withdrawal', 'refund', 'payment', 'sale', 'tip', 'adjustment'],
       required: true,
     },
     method: {
       type: String,
-      enum: ['card', 'bank_transfer', 'paypal', 'google_pay', 'apple_pay', 'cash', 'admin_adjustment', 'zeffy', 'zapier_webhook'],
+      enum: ['card', 'bank_transfer', 'paypal', 'google_pay', 'apple_pay', 'cash', 'wallet', 'admin_adjustment', 'zeffy', 'zapier_webhook'],
       required: true,
     },
+    direction: {
+      type: String,
+      enum: ['credit', 'debit'],
+      default: 'credit',
+    },
     status: {
       type: String,
       enum: ['pending', 'completed', 'failed', 'cancelled'],
@@ -45,12 +51,16 @@ const fundTransactionSchema = mongoose.Schema(
       type: String,
       sparse: true,
     },
+    // Unique so a redelivered Zeffy webhook can never credit the same donation twice
     zeffyTransactionId: {
       type: String,
+      unique: true,
       sparse: true,
     },
+    // Unique so a redelivered Zapier webhook can never credit twice
     zapierWebhookId: {
       type: String,
+      unique: true,
       sparse: true,
     },
     zeffyDonationData: {
@@ -78,12 +88,10 @@ const fundTransactionSchema = mongoose.Schema(
     balanceBefore: {
       type: Number,
       required: true,
-      min: 0,
     },
     balanceAfter: {
       type: Number,
       required: true,
-      min: 0,
     },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
@@ -146,28 +154,7 @@ fundTransactionSchema.methods.markAsFailed = async function (reason) {
  * @returns {Promise<void>}
  */
 fundTransactionSchema.methods.processZeffyDonation = async function (zeffyData) {
-  this.method = 'zeffy';
-  this.integrationSource = 'zeffy';
-  this.zeffyTransactionId = zeffyData.id || zeffyData.transaction_id;
-  this.externalTransactionId = zeffyData.external_id;
-  
-  this.zeffyDonationData = {
-    donorName: zeffyData.donor_name,
-    donorEmail: zeffyData.donor_email,
-    donationAmount: zeffyData.amount,
-    currency: zeffyData.currency || 'USD',
-    donationDate: new Date(zeffyData.created_at),
-    campaignId: zeffyData.campaign_id,
-    campaignName: zeffyData.campaign_name,
-    isRecurring: zeffyData.is_recurring || false,
-    recurringFrequency: zeffyData.recurring_frequency,
-    processingFee: zeffyData.processing_fee || 0,
-    netAmount: zeffyData.net_amount || zeffyData.amount,
-  };
-  
-  this.amount = zeffyData.net_amount || zeffyData.amount;
-  this.description = `Zeffy donation from ${zeffyData.donor_name || 'Anonymous'}`;
-  
+  this.set(this.constructor.getZeffyDonationFields(zeffyData));
   await this.save();
 };
 
@@ -178,24 +165,7 @@ fundTransactionSchema.methods.processZeffyDonation = async function (zeffyData)
  * @returns {Promise<void>}
  */
 fundTransactionSchema.methods.processZapierWebhook = async function (zapierData, webhookId) {
-  this.method = 'zapier_webhook';
-  this.integrationSource = 'zapier';
-  this.zapierWebhookId = webhookId;
-  
-  this.zapierMetadata = {
-    zapId: zapierData.zap_id,
-    triggerTimestamp: new Date(zapierData.timestamp),
-    sourceApp: zapierData.source_app,
-    webhookUrl: zapierData.webhook_url,
-    retryCount: zapierData.retry_count || 0,
-    eventType: zapierData.event_type,
-    originalPayload: zapierData,
-  };
-  
-  // Extract amount from Zapier data (this may vary based on your Zap configuration)
-  this.amount = zapierData.amount || zapierData.credit_amount;
-  this.description = zapierData.description || `Zapier credit from ${zapierData.source_app}`;
-  
+  this.set(this.constructor.getZapierWebhookFields(zapierData, webhookId));
   await this.save();
 };
 
@@ -203,14 +173,14 @@ fundTransactionSchema.methods.processZapierWebhook = async function (zapierData,
  * Verify webhook signature
  * @param {string} signature - Webhook signature
  * @param {string} secret - Webhook secret
+ * @param {number|string} timestamp - Unix seconds the webhook was signed at
+ * @param {Buffer|string} rawBody - Webhook body exactly as it was sent
  * @returns {boolean}
  */
-fundTransactionSchema.methods.verifyWebhookSignature = function (signature, secret) {
-  // This would implement actual signature verification
-  // For now, just store the signature and mark as verified
+fundTransactionSchema.methods.verifyWebhookSignature = function (signature, secret, timestamp, rawBody) {
   this.webhookSignature = signature;
-  this.webhookVerified = true;
-  return true;
+  this.webhookVerified = isValidWebhookSignature(signature, secret, timestamp, rawBody);
+  return this.webhookVerified;
 };
 
 /**
@@ -269,6 +239,61 @@ fundTransactionSchema.pre('save', function (next) {
   next();
 });
 
+/**
+ * Map a Zeffy webhook to transaction fields, the net amount is what reaches the wallet
+ * @param {Object} zeffyData - Zeffy webhook data
+ * @returns {Object}
+ */
+fundTransactionSchema.statics.getZeffyDonationFields = function (zeffyData) {
+  return {
+    method: 'zeffy',
+    integrationSource: 'zeffy',
+    zeffyTransactionId: zeffyData.id || zeffyData.transaction_id,
+    externalTransactionId: zeffyData.external_id,
+    zeffyDonationData: {
+      donorName: zeffyData.donor_name,
+      donorEmail: zeffyData.donor_email,
+      donationAmount: zeffyData.amount,
+      currency: zeffyData.currency || 'USD',
+      donationDate: new Date(zeffyData.created_at),
+      campaignId: zeffyData.campaign_id,
+      campaignName: zeffyData.campaign_name,
+      isRecurring: zeffyData.is_recurring || false,
+      recurringFrequency: zeffyData.recurring_frequency,
+      processingFee: zeffyData.processing_fee || 0,
+      netAmount: zeffyData.net_amount || zeffyData.amount,
+    },
+    amount: zeffyData.net_amount || zeffyData.amount,
+    description: `Zeffy donation from ${zeffyData.donor_name || 'Anonymous'}`,
+  };
+};
+
+/**
+ * Map a Zapier webhook to transaction fields
+ * @param {Object} zapierData - Zapier webhook data
+ * @param {string} webhookId - Zapier webhook ID
+ * @returns {Object}
+ */
+fundTransactionSchema.statics.getZapierWebhookFields = function (zapierData, webhookId) {
+  return {
+    method: 'zapier_webhook',
+    integrationSource: 'zapier',
+    zapierWebhookId: webhookId,
+    zapierMetadata: {
+      zapId: zapierData.zap_id,
+      triggerTimestamp: zapierData.timestamp ? new Date(zapierData.timestamp) : undefined,
+      sourceApp: zapierData.source_app,
+      webhookUrl: zapierData.webhook_url,
+      retryCount: zapierData.retry_count || 0,
+      eventType: zapierData.event_type,
+      originalPayload: zapierData,
+    },
+    // Extract amount from Zapier data (this may vary based on your Zap configuration)
+    amount: zapierData.amount || zapierData.credit_amount,
+    description: zapierData.description || `Zapier credit from ${zapierData.source_app || 'Zapier'}`,
+  };
+};
+
 // Static method to find transactions by Zeffy ID
 fundTransactionSchema.statics.findByZeffyId = function (zeffyId) {
   return this.findOne({ zeffyTransactionId: zeffyId });
@@ -279,9 +304,9 @@ fundTransactionSchema.statics.findByZapierWebhookId = function (webhookId) {
   return this.findOne({ zapierWebhookId: webhookId });
 };
 
-// Static method to get integration statistics
+// Static method to get integration statistics, for one user or everyone when userId is omitted
 fundTransactionSchema.statics.getIntegrationStats = function (userId, dateRange = {}) {
-  const match = { user: userId };
+  const match = userId ? { user: userId } : {};
   if (dateRange.start) match.createdAt = { $gte: dateRange.start };
   if (dateRange.end) match.createdAt = { ...match.createdAt, $lte: dateRange.end };
   
@@ -300,6 +325,7 @@ fundTransactionSchema.statics.getIntegrationStats = function (userId, dateRange
 
 // Index for efficient queries
 fundTransactionSchema.index({ user: 1, createdAt: -1 });
+fundTransactionSchema.index({ relatedOrder: 1, type: 1 });
 fundTransactionSchema.index({ status: 1, createdAt: -1 });
 fundTransactionSchema.index({ integrationSource: 1, createdAt: -1 });
 fundTransactionSchema.index({ webhookVerified: 1, integrationSource: 1 });
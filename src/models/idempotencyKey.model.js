@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const idempotencyKeySchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    scope: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // The user who sent the request, null for endpoints without a login
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A key can only be claimed once per endpoint and user
+idempotencyKeySchema.index({ key: 1, scope: 1, user: 1 }, { unique: true });
+// Mongo drops keys once their retention window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// add plugin that converts mongoose to json
+idempotencyKeySchema.plugin(toJSON);
+
+/**
+ * @typedef IdempotencyKey
+ */
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -7,5 +7,13 @@ module.exports.Scan = require('./scan.model');
 module.exports.MenuItem = require('./menu.model');
 module.exports.VendorCode = require('./vendorCode.model');
 module.exports.Settings = require('./settings.model');
+module.exports.IdempotencyKey = require('./idempotencyKey.model');
+module.exports.Review = require('./review.model');
+module.exports.Message = require('./message.model');
+module.exports.OrderCounter = require('./orderCounter.model');
+module.exports.UnmatchedPayment = require('./unmatchedPayment.model');
+module.exports.ReconciliationReport = require('./reconciliationReport.model');
+module.exports.BalanceAdjustment = require('./balanceAdjustment.model');
+module.exports.BalanceAdjustmentLock = require('./balanceAdjustmentLock.model');
 module.exports.Workshop = require('./workshop.model').Workshop;
 module.exports.Session = require('./workshop.model').Session;
@@ -1,36 +1,82 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
 
-const menuItemSchema = mongoose.Schema({
+const modifierOptionSchema = mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true,
   },
-  description: {
+  priceDelta: {
+    type: Number, // Added to the item price when chosen, negative for cheaper options
+    default: 0,
+  },
+});
+
+const modifierGroupSchema = mongoose.Schema({
+  name: {
     type: String,
+    required: true,
     trim: true,
   },
-  price: {
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  minSelections: {
     type: Number,
-    required: true,
+    default: 0,
     min: 0,
   },
-  image: {
-    type: String, // Image URL from Google Cloud Storage
-  },
-  qrCode: {
-    type: String, // QR code data or URL
+  maxSelections: {
+    type: Number,
+    default: 1,
+    min: 1,
   },
-  vendor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
+  options: {
+    type: [modifierOptionSchema],
+    validate: [(options) => options.length > 0, 'A modifier group needs at least one option'],
   },
-}, {
-  timestamps: true,
 });
 
+const menuItemSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    image: {
+      type: String, // Image URL from Google Cloud Storage
+    },
+    qrCode: {
+      type: String, // QR code data or URL
+    },
+    preparationTime: {
+      type: Number, // Minutes to prepare one unit
+      min: 0,
+    },
+    modifierGroups: [modifierGroupSchema], // Choices the customer makes when ordering, e.g. size or toppings
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
 // add plugin that converts mongoose to json
 menuItemSchema.plugin(toJSON);
 
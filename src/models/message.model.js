@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const messageSchema = mongoose.Schema(
+  {
+    // Every thread belongs to one order, between its customer and vendor
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    senderType: {
+      type: String,
+      enum: ['customer', 'vendor'],
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    // Read receipt, set when the recipient opens the thread
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+messageSchema.index({ order: 1, createdAt: 1 });
+messageSchema.index({ recipient: 1, readAt: 1 });
+
+// add plugin that converts mongoose to json
+messageSchema.plugin(toJSON);
+messageSchema.plugin(paginate);
+
+/**
+ * @typedef Message
+ */
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { orderStatuses } = require('../config/orderStatus');
 
 const orderSchema = mongoose.Schema(
   {
@@ -13,36 +14,76 @@ const orderSchema = mongoose.Schema(
       ref: 'User',
       required: true,
     },
-    items: [{
-      menuItemId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'MenuItem',
-      },
-      name: {
-        type: String,
-        required: true,
-        trim: true,
-      },
-      description: {
-        type: String,
-        trim: true,
-      },
-      quantity: {
-        type: Number,
-        required: true,
-        min: 1,
-      },
-      price: {
-        type: Number,
-        required: true,
-        min: 0,
-      },
-      totalPrice: {
-        type: Number,
-        required: true,
-        min: 0,
+    // Short number called out at the booth and shown on the pickup board, e.g. A-042. Unique per vendor per day.
+    orderNumber: {
+      type: String,
+    },
+    items: [
+      {
+        menuItemId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'MenuItem',
+        },
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        description: {
+          type: String,
+          trim: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        price: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        totalPrice: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        preparationTime: {
+          type: Number, // Minutes per unit when the order was placed
+          min: 0,
+        },
+        modifiers: [
+          {
+            groupId: {
+              type: mongoose.Schema.Types.ObjectId,
+            },
+            group: {
+              type: String,
+              required: true,
+              trim: true,
+            },
+            optionId: {
+              type: mongoose.Schema.Types.ObjectId,
+            },
+            option: {
+              type: String,
+              required: true,
+              trim: true,
+            },
+            priceDelta: {
+              type: Number, // Already included in the line's unit price
+              default: 0,
+            },
+            _id: false,
+          },
+        ],
+        refundedQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
       },
-    }],
+    ],
     totalAmount: {
       type: Number,
       required: true,
@@ -50,14 +91,108 @@ const orderSchema = mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'],
+      enum: orderStatuses,
       default: 'pending',
     },
+    statusHistory: [
+      {
+        from: {
+          type: String,
+          enum: orderStatuses,
+        },
+        to: {
+          type: String,
+          enum: orderStatuses,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        actorType: {
+          type: String,
+          enum: ['customer', 'vendor', 'admin', 'system'],
+          required: true,
+        },
+        note: {
+          type: String,
+          trim: true,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'refunded'],
+      enum: ['pending', 'paid', 'partially_refunded', 'refunded'],
       default: 'pending',
     },
+    platformFeePercentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    platformFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    vendorPayout: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    tipAmount: {
+      type: Number, // Charged on top of totalAmount, paid to the vendor in full
+      default: 0,
+      min: 0,
+    },
+    tipPercentage: {
+      type: Number, // Set when the customer tipped a percentage of totalAmount
+      min: 0,
+      max: 100,
+    },
+    refundedTipAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refunds: [
+      {
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        items: [
+          {
+            lineId: mongoose.Schema.Types.ObjectId,
+            name: String,
+            quantity: Number,
+            amount: Number,
+          },
+        ],
+        reason: {
+          type: String,
+          trim: true,
+        },
+        refundedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     orderType: {
       type: String,
       enum: ['pre-order', 'instant', 'scheduled'],
@@ -66,6 +201,56 @@ const orderSchema = mongoose.Schema(
     scheduledTime: {
       type: Date,
     },
+    queuedAt: {
+      type: Date, // When the order joined the vendor's queue, later than createdAt for scheduled orders
+    },
+    pickup: {
+      code: {
+        type: String,
+        private: true, // only ever shown to the customer, the vendor has to get it from them
+      },
+      issuedAt: Date,
+      expiresAt: Date,
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      verifiedAt: Date,
+      verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+    // Follow-up on ready orders nobody has collected, see the uncollected_order_policy setting
+    uncollected: {
+      reminderCount: {
+        type: Number,
+        default: 0,
+      },
+      lastReminderAt: Date,
+      escalatedAt: Date,
+      action: {
+        type: String,
+        enum: ['hold', 'auto_complete', 'auto_refund'],
+      },
+      steps: [
+        {
+          type: {
+            type: String,
+            enum: ['reminder', 'escalation', 'action_failed'],
+            required: true,
+          },
+          note: {
+            type: String,
+            trim: true,
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
     pickupTime: {
       type: Date,
     },
@@ -94,6 +279,11 @@ const orderSchema = mongoose.Schema(
 orderSchema.plugin(toJSON);
 orderSchema.plugin(paginate);
 
+// Lets the scheduler find held orders that are due for release
+orderSchema.index({ status: 1, scheduledTime: 1 });
+// Lets the pickup board find preparing and ready orders
+orderSchema.index({ status: 1, vendor: 1 });
+
 /**
  * Mark order as completed and handed off
  * @returns {Promise<void>}
@@ -113,6 +303,19 @@ orderSchema.methods.calculateTotal = function () {
   return this.items.reduce((total, item) => total + item.totalPrice, 0);
 };
 
+/**
+ * Describe the basket in one line, e.g. "2 x Dumplings, 1 x Bubble Tea"
+ * @returns {string}
+ */
+orderSchema.methods.getItemsSummary = function () {
+  return this.items
+    .map((item) => {
+      const options = (item.modifiers || []).map((modifier) => modifier.option);
+      return `${item.quantity} x ${item.name}${options.length ? ` (${options.join(', ')})` : ''}`;
+    })
+    .join(', ');
+};
+
 // Pre-save middleware to calculate total amount
 orderSchema.pre('save', function (next) {
   if (this.items && this.items.length > 0) {
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One counter per vendor per festival day, order numbers restart at 1 every day
+const orderCounterSchema = mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // YYYY-MM-DD in the festival's time zone
+    day: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+orderCounterSchema.index({ vendor: 1, day: 1 }, { unique: true });
+
+/**
+ * Take the next number in a vendor's sequence for the day
+ * @param {ObjectId} vendorId
+ * @param {string} day - YYYY-MM-DD
+ * @param {ClientSession} [session]
+ * @returns {Promise<number>}
+ */
+orderCounterSchema.statics.next = async function (vendorId, day, session = null) {
+  const increment = () =>
+    this.findOneAndUpdate({ vendor: vendorId, day }, { $inc: { seq: 1 } }, { new: true, upsert: true, session });
+  try {
+    return (await increment()).seq;
+  } catch (error) {
+    // Two first orders of the day can both try to insert the counter; the loser finds it on the second try.
+    // Inside a transaction the retry fails as a transient error instead, and withTransaction starts over.
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return (await increment()).seq;
+  }
+};
+
+/**
+ * @typedef OrderCounter
+ */
+const OrderCounter = mongoose.model('OrderCounter', orderCounterSchema);
+
+module.exports = OrderCounter;
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const ledgerIssueSchema = mongoose.Schema(
+  {
+    // chain_break: balanceBefore doesn't continue from the previous entry's balanceAfter
+    // amount_mismatch: balanceAfter isn't balanceBefore plus or minus the amount
+    kind: {
+      type: String,
+      enum: ['chain_break', 'amount_mismatch'],
+      required: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FundTransaction',
+    },
+    transactionId: {
+      type: String,
+    },
+    expected: {
+      type: Number,
+    },
+    actual: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+const discrepancySchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    balance: {
+      type: Number,
+    },
+    ledgerBalance: {
+      type: Number,
+    },
+    // balance - ledgerBalance, positive when the wallet holds more than its ledger accounts for
+    drift: {
+      type: Number,
+    },
+    entryCount: {
+      type: Number,
+    },
+    issueCount: {
+      type: Number,
+    },
+    // Only the first few per user are kept, issueCount has the total
+    issues: [ledgerIssueSchema],
+  },
+  { _id: false }
+);
+
+const reconciliationReportSchema = mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ['cli', 'admin'],
+      required: true,
+    },
+    runBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    usersChecked: {
+      type: Number,
+      default: 0,
+    },
+    usersWithDrift: {
+      type: Number,
+      default: 0,
+    },
+    usersWithIssues: {
+      type: Number,
+      default: 0,
+    },
+    // Sum of the absolute drift of every user
+    totalDrift: {
+      type: Number,
+      default: 0,
+    },
+    // Users that drift or have issues
+    discrepancyCount: {
+      type: Number,
+      default: 0,
+    },
+    // Only the first few hundred are kept, discrepancyCount has the total
+    discrepancies: [discrepancySchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+// add plugin that converts mongoose to json
+reconciliationReportSchema.plugin(toJSON);
+reconciliationReportSchema.plugin(paginate);
+
+/**
+ * @typedef ReconciliationReport
+ */
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = ReconciliationReport;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const reviewSchema = mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Menu items on the order, the rating counts towards each of them
+    menuItems: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem',
+      },
+    ],
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    // Hidden reviews stay on record but are left out of listings and ratings
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    hiddenReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A customer can review an order once
+reviewSchema.index({ order: 1 }, { unique: true });
+reviewSchema.index({ vendor: 1, isHidden: 1, createdAt: -1 });
+reviewSchema.index({ menuItems: 1, isHidden: 1 });
+
+// add plugin that converts mongoose to json
+reviewSchema.plugin(toJSON);
+reviewSchema.plugin(paginate);
+
+/**
+ * @typedef Review
+ */
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
@@ -10,7 +10,7 @@ const scanSchema = mongoose.Schema(
     },
     scanType: {
       type: String,
-      enum: ['qr_code', 'barcode', 'nfc', 'menu_scan', 'product_scan'],
+      enum: ['qr_code', 'barcode', 'nfc', 'menu_scan', 'product_scan', 'manual_entry'],
       required: true,
     },
     scannedData: {
@@ -44,7 +44,7 @@ const scanSchema = mongoose.Schema(
     },
     action: {
       type: String,
-      enum: ['view_menu', 'place_order', 'verify_payment', 'check_balance', 'other'],
+      enum: ['view_menu', 'place_order', 'verify_payment', 'verify_pickup', 'check_balance', 'other'],
       required: true,
     },
     metadata: {
@@ -77,6 +77,7 @@ scanSchema.index({ user: 1, createdAt: -1 });
 scanSchema.index({ vendor: 1, createdAt: -1 });
 scanSchema.index({ scanType: 1, createdAt: -1 });
 scanSchema.index({ action: 1, createdAt: -1 });
+scanSchema.index({ relatedOrder: 1, createdAt: -1 });
 
 /**
  * Get scans within a certain distance from a point
@@ -101,6 +101,57 @@ settingsSchema.statics.setPlatformFee = async function (percentage) {
   });
 };
 
+/**
+ * Get how many minutes before their pickup time scheduled orders are released to the vendor
+ * @returns {Promise<number>}
+ */
+settingsSchema.statics.getScheduledOrderLeadMinutes = async function () {
+  const minutes = await this.getValue('scheduled_order_lead_minutes');
+  return minutes !== null ? minutes : 20; // Default 20 minutes if not set
+};
+
+/**
+ * Set scheduled order lead time
+ * @param {number} minutes
+ * @returns {Promise<Settings>}
+ */
+settingsSchema.statics.setScheduledOrderLeadMinutes = async function (minutes) {
+  return this.setValue('scheduled_order_lead_minutes', minutes, {
+    description: 'Minutes before the pickup time that scheduled orders are released to the vendor',
+    type: 'number',
+    category: 'orders',
+  });
+};
+
+// What happens to ready orders nobody collects
+const defaultUncollectedOrderPolicy = {
+  reminderIntervalMinutes: 10, // Time between reminders to the customer, counted from when the order became ready
+  maxReminders: 3, // Reminders sent before the order is escalated
+  action: 'hold', // Applied on escalation: 'hold', 'auto_complete' or 'auto_refund'
+};
+
+/**
+ * Get the uncollected order policy
+ * @returns {Promise<Object>} - { reminderIntervalMinutes, maxReminders, action }
+ */
+settingsSchema.statics.getUncollectedOrderPolicy = async function () {
+  const policy = await this.getValue('uncollected_order_policy');
+  return { ...defaultUncollectedOrderPolicy, ...(policy || {}) };
+};
+
+/**
+ * Set the uncollected order policy
+ * @param {Object} policy - { reminderIntervalMinutes, maxReminders, action }
+ * @returns {Promise<Settings>}
+ */
+settingsSchema.statics.setUncollectedOrderPolicy = async function (policy) {
+  return this.setValue('uncollected_order_policy', policy, {
+    description: 'Reminders sent for ready orders that are not collected, and what happens after the last one',
+    type: 'object',
+    category: 'orders',
+  });
+};
+
 /**
  * Initialize default settings
  */
@@ -113,6 +164,20 @@ settingsSchema.statics.initializeDefaults = async function () {
       type: 'number',
       category: 'finance'
     },
+    {
+      key: 'scheduled_order_lead_minutes',
+      value: 20,
+      description: 'Minutes before the pickup time that scheduled orders are released to the vendor',
+      type: 'number',
+      category: 'orders',
+    },
+    {
+      key: 'uncollected_order_policy',
+      value: defaultUncollectedOrderPolicy,
+      description: 'Reminders sent for ready orders that are not collected, and what happens after the last one',
+      type: 'object',
+      category: 'orders',
+    },
     {
       key: 'app_name',
       value: 'Kejia',
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const unmatchedPaymentSchema = mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: ['zeffy', 'zapier'],
+      required: true,
+    },
+    // The provider's id for the payment, the same id the credited FundTransaction is deduplicated on
+    externalId: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // What the payer gave us to go on, for the admin who looks the user up
+    payerName: {
+      type: String,
+      trim: true,
+    },
+    payerEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    referencedUserId: {
+      type: String,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'assigned', 'rejected'],
+      default: 'pending',
+    },
+    assignedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FundTransaction',
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A redelivered webhook lands on the payment already in the inbox
+unmatchedPaymentSchema.index({ source: 1, externalId: 1 }, { unique: true });
+unmatchedPaymentSchema.index({ status: 1, createdAt: -1 });
+
+// add plugin that converts mongoose to json
+unmatchedPaymentSchema.plugin(toJSON);
+unmatchedPaymentSchema.plugin(paginate);
+
+/**
+ * @typedef UnmatchedPayment
+ */
+const UnmatchedPayment = mongoose.model('UnmatchedPayment', unmatchedPaymentSchema);
+
+module.exports = UnmatchedPayment;
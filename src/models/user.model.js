@@ -65,10 +65,10 @@ const userSchema = mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Below zero while a vendor owes refunds clawed back after they spent the payout
     balance: {
       type: Number,
       default: 0,
-      min: 0,
     },
     pendingOrders: [{
       type: mongoose.Schema.Types.ObjectId,
@@ -100,6 +100,55 @@ const userSchema = mongoose.Schema(
       default: 0,
       min: 0,
     },
+    totalTips: {
+      type: Number, // Tips received on top of sales, not subject to the platform fee
+      default: 0,
+      min: 0,
+    },
+    vendorSettings: {
+      slotMinutes: {
+        type: Number, // Length of a scheduled pickup slot
+        default: 15,
+        min: 5,
+      },
+      maxOrdersPerSlot: {
+        type: Number, // Unset means unlimited
+        min: 1,
+      },
+      acceptingOrders: {
+        type: Boolean, // Manual pause switch
+        default: true,
+      },
+      maxPreparingOrders: {
+        type: Number, // Unset means unlimited
+        min: 1,
+      },
+      autoPauseEtaMinutes: {
+        type: Number, // Stop taking orders while the queue's ETA is longer than this, unset to disable
+        min: 1,
+      },
+      orderNumberPrefix: {
+        type: String, // Letters before the vendor's order numbers, e.g. A in A-042. Unset uses the name's first letter
+        uppercase: true,
+        trim: true,
+        match: /^[A-Z]{1,3}$/,
+      },
+    },
+    vendorAvailability: {
+      status: {
+        type: String,
+        enum: ['open', 'paused', 'auto_paused', 'at_capacity'],
+        default: 'open',
+      },
+      changedAt: Date,
+    },
+    vendorFlags: {
+      uncollectedOrders: {
+        type: Number, // Ready orders of this vendor that were escalated for not being collected
+        default: 0,
+      },
+      lastUncollectedOrderAt: Date,
+    },
     coOwners: {
       type: Boolean,
       default: false,
@@ -1,7 +1,9 @@
 const express = require('express');
 const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
+const idempotent = require('../../middlewares/idempotency');
 const adminValidation = require('../../validations/admin.validation');
+const fundTransactionValidation = require('../../validations/fundTransaction.validation');
 const adminController = require('../../controllers/admin.controller');
 
 const router = express.Router();
@@ -22,6 +24,82 @@ router
   .route('/transactions')
   .get(auth('manageUsers'), validate(adminValidation.getTransactions), adminController.getTransactions);
 
+router
+  .route('/fund-transactions')
+  .get(auth('manageUsers'), validate(fundTransactionValidation.getFundTransactions), adminController.getFundTransactions);
+
+router
+  .route('/fund-transactions/stats')
+  .get(auth('manageUsers'), validate(fundTransactionValidation.getIntegrationStats), adminController.getIntegrationStats);
+
+router
+  .route('/fund-transactions/:transactionId')
+  .get(auth('manageUsers'), validate(fundTransactionValidation.getFundTransaction), adminController.getFundTransaction);
+
+router
+  .route('/unmatched-payments')
+  .get(auth('manageUsers'), validate(adminValidation.getUnmatchedPayments), adminController.getUnmatchedPayments);
+
+router
+  .route('/unmatched-payments/:unmatchedPaymentId/assign')
+  .put(
+    auth('manageUsers'),
+    idempotent('assign-unmatched-payment'),
+    validate(adminValidation.assignUnmatchedPayment),
+    adminController.assignUnmatchedPayment
+  );
+
+router
+  .route('/unmatched-payments/:unmatchedPaymentId/reject')
+  .put(auth('manageUsers'), validate(adminValidation.rejectUnmatchedPayment), adminController.rejectUnmatchedPayment);
+
+router
+  .route('/reconciliation/reports')
+  .get(auth('manageUsers'), validate(adminValidation.getReconciliationReports), adminController.getReconciliationReports)
+  .post(auth('manageUsers'), adminController.runReconciliation);
+
+router
+  .route('/reconciliation/reports/:reportId')
+  .get(auth('manageUsers'), validate(adminValidation.getReconciliationReport), adminController.getReconciliationReport);
+
+router
+  .route('/reconciliation/users/:userId')
+  .get(auth('manageUsers'), validate(adminValidation.reconcileUser), adminController.reconcileUser);
+
+router
+  .route('/reconciliation/users/:userId/adjustments')
+  .post(
+    auth('manageUsers'),
+    idempotent('reconcile-user-balance'),
+    validate(adminValidation.reconcileUserBalance),
+    adminController.reconcileUserBalance
+  );
+
+router
+  .route('/balance-adjustments')
+  .get(auth('manageUsers'), validate(adminValidation.getBalanceAdjustments), adminController.getBalanceAdjustments)
+  .post(
+    auth('manageUsers'),
+    idempotent('create-balance-adjustment'),
+    validate(adminValidation.createBalanceAdjustment),
+    adminController.createBalanceAdjustment
+  );
+
+router
+  .route('/balance-adjustments/:adjustmentId/approve')
+  .put(
+    auth('manageUsers'),
+    idempotent('approve-balance-adjustment'),
+    validate(adminValidation.approveBalanceAdjustment),
+    adminController.approveBalanceAdjustment
+  );
+
+router
+  .route('/balance-adjustments/:adjustmentId/reject')
+  .put(auth('manageUsers'), validate(adminValidation.rejectBalanceAdjustment), adminController.rejectBalanceAdjustment);
+
+router.route('/balance-adjustment-threshold').get(auth('manageUsers'), adminController.getBalanceAdjustmentThreshold);
+
 router
   .route('/vendors/:vendorId/approve')
   .put(auth('manageUsers'), validate(adminValidation.approveVendor), adminController.approveVendor);
@@ -39,6 +117,34 @@ router
   .get(auth('manageUsers'), adminController.getPlatformFee)
   .put(auth('manageUsers'), validate(adminValidation.updatePlatformFee), adminController.updatePlatformFee);
 
+router
+  .route('/scheduled-order-lead-time')
+  .get(auth('manageUsers'), adminController.getScheduledOrderLeadMinutes)
+  .put(
+    auth('manageUsers'),
+    validate(adminValidation.updateScheduledOrderLeadMinutes),
+    adminController.updateScheduledOrderLeadMinutes
+  );
+
+router
+  .route('/uncollected-order-policy')
+  .get(auth('manageUsers'), adminController.getUncollectedOrderPolicy)
+  .put(
+    auth('manageUsers'),
+    validate(adminValidation.updateUncollectedOrderPolicy),
+    adminController.updateUncollectedOrderPolicy
+  );
+
+router.route('/reviews').get(auth('manageUsers'), validate(adminValidation.getReviews), adminController.getReviews);
+
+router
+  .route('/reviews/:reviewId/hide')
+  .put(auth('manageUsers'), validate(adminValidation.hideReview), adminController.hideReview);
+
+router
+  .route('/reviews/:reviewId/unhide')
+  .put(auth('manageUsers'), validate(adminValidation.unhideReview), adminController.unhideReview);
+
 module.exports = router;
 
 /**
@@ -99,6 +205,13 @@ module.exports = router;
  *                           type: number
  *                         platformFeesCollected:
  *                           type: number
+ *                           description: Fees retained on settled orders, net of refunds
+ *                         vendorPayouts:
+ *                           type: number
+ *                           description: Amount credited to vendors, net of refunds
+ *                         tipsPaid:
+ *                           type: number
+ *                           description: Tips credited to vendors in full, net of refunds. Not part of the fee split
  *                         platformFeePercentage:
  *                           type: number
  *       "401":
@@ -230,6 +343,1076 @@ module.exports = router;
  *         $ref: '#/components/responses/Forbidden'
  */
 
+/**
+ * @swagger
+ * /admin/scheduled-order-lead-time:
+ *   get:
+ *     summary: Get scheduled order lead time
+ *     description: Get how many minutes before their pickup time scheduled orders are released to the vendor's queue
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     minutes:
+ *                       type: number
+ *                       example: 20
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *   put:
+ *     summary: Update scheduled order lead time
+ *     description: Update how many minutes before their pickup time scheduled orders are released
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - minutes
+ *             properties:
+ *               minutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 20
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /admin/uncollected-order-policy:
+ *   get:
+ *     summary: Get the uncollected order policy
+ *     description: How often customers are reminded about ready orders they haven't collected, how many reminders they get, and what happens to the order after the last one
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/UncollectedOrderPolicy'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *   put:
+ *     summary: Update the uncollected order policy
+ *     description: Fields left out keep their current value. Escalated orders flag the vendor and are held, completed or cancelled and refunded depending on the action.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UncollectedOrderPolicy'
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /admin/fund-transactions:
+ *   get:
+ *     summary: Get wallet ledger entries
+ *     description: Any user's deposits, payments, refunds, sales, tips and adjustments, or everyone's when user is omitted. Newest first unless sortBy is given.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [deposit, withdrawal, refund, payment, sale, tip, adjustment]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [card, bank_transfer, paypal, google_pay, apple_pay, cash, wallet, admin_adjustment, zeffy, zapier_webhook]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, completed, failed, cancelled]
+ *       - in: query
+ *         name: integrationSource
+ *         schema:
+ *           type: string
+ *           enum: [manual, zeffy, zapier, api, admin]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. amount:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of transactions
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FundTransaction'
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalResults:
+ *                       type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /admin/fund-transactions/stats:
+ *   get:
+ *     summary: Get integration stats
+ *     description: Totals per integration source (Zeffy, Zapier, manual, API, admin), for one user or for everyone
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       integrationSource:
+ *                         type: string
+ *                       totalAmount:
+ *                         type: number
+ *                       count:
+ *                         type: integer
+ *                       avgAmount:
+ *                         type: number
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /admin/fund-transactions/{transactionId}:
+ *   get:
+ *     summary: Get a wallet ledger entry
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ledger entry id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/FundTransaction'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /admin/unmatched-payments:
+ *   get:
+ *     summary: Get the unmatched payments inbox
+ *     description: Zeffy and Zapier payments no user could be found for, newest first unless sortBy is given
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, assigned, rejected]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [zeffy, zapier]
+ *       - in: query
+ *         name: payerEmail
+ *         schema:
+ *           type: string
+ *           format: email
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. amount:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of payments
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UnmatchedPayment'
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalResults:
+ *                       type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /admin/unmatched-payments/{unmatchedPaymentId}/assign:
+ *   put:
+ *     summary: Credit an unmatched payment to a user
+ *     description: Credits the payment to the user's wallet like the webhook would have, and closes the inbox entry. A payment is only ever credited once.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: unmatchedPaymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unmatched payment id
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Retrying with the same key and body returns the original response instead of crediting the payment again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/UnmatchedPayment'
+ *                 message:
+ *                   type: string
+ *       "400":
+ *         description: The payment was already assigned or rejected
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Another admin resolved the payment at the same time
+ */
+
+/**
+ * @swagger
+ * /admin/unmatched-payments/{unmatchedPaymentId}/reject:
+ *   put:
+ *     summary: Reject an unmatched payment
+ *     description: Closes the inbox entry without crediting anyone, e.g. for test payments or ones refunded at the provider
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: unmatchedPaymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unmatched payment id
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "400":
+ *         description: The payment was already assigned or rejected
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Another admin resolved the payment at the same time
+ */
+
+/**
+ * @swagger
+ * /admin/reconciliation/reports:
+ *   get:
+ *     summary: Get wallet reconciliation reports
+ *     description: Reports stored by the reconcileBalances script and by admins, newest first unless sortBy is given
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [cli, admin]
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. totalDrift:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of reports
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ReconciliationReport'
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalResults:
+ *                       type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Reconcile every wallet now
+ *     description: Recomputes every user's balance from their completed ledger entries, checks each entry's balanceBefore against the previous entry's balanceAfter, and stores the report. Only wallets that don't add up are listed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationReport'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /admin/reconciliation/reports/{reportId}:
+ *   get:
+ *     summary: Get a reconciliation report
+ *     description: The report with the flagged users' names and emails
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationReport'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /admin/reconciliation/users/{userId}:
+ *   get:
+ *     summary: Reconcile one wallet
+ *     description: Checks the user's balance against their ledger right now, without storing a report
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WalletReconciliation'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /admin/reconciliation/users/{userId}/adjustments:
+ *   post:
+ *     summary: Correct a wallet's ledger
+ *     description: Writes an 'adjustment' entry for the drift so the ledger adds up to the balance. The balance itself doesn't change. Chain issues before the adjustment count as settled in later reports. Wallets without drift have nothing to adjust.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Retrying with the same key and body returns the original response instead of writing a second adjustment.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Stored as the entry's description
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transaction:
+ *                       $ref: '#/components/schemas/FundTransaction'
+ *                     reconciliation:
+ *                       $ref: '#/components/schemas/WalletReconciliation'
+ *                 message:
+ *                   type: string
+ *       "400":
+ *         description: The wallet has no drift to adjust
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /admin/balance-adjustments:
+ *   post:
+ *     summary: Credit or debit a wallet by hand
+ *     description: For cash top-ups at the info booth and fixing mistakes. Writes an 'adjustment' ledger entry with the reason code and the acting admin, and pushes the new balance to the user. Adjustments above the approval threshold are only recorded until a second admin approves them. The same admin's adjustments to the wallet over the last BALANCE_ADJUSTMENT_WINDOW_HOURS (24 by default) count towards the threshold.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Retrying with the same key and body returns the original response instead of adjusting the wallet twice.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - amount
+ *               - direction
+ *               - reasonCode
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               direction:
+ *                 type: string
+ *                 enum: [credit, debit]
+ *               reasonCode:
+ *                 type: string
+ *                 enum: [cash_top_up, refund, correction, compensation, other]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Required when reasonCode is other. Shown to the user as the ledger entry's description.
+ *             example:
+ *               userId: 5ebac534954b54139806c112
+ *               amount: 20
+ *               direction: credit
+ *               reasonCode: cash_top_up
+ *     responses:
+ *       "201":
+ *         description: Applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/BalanceAdjustment'
+ *                 message:
+ *                   type: string
+ *       "202":
+ *         description: Above the approval threshold, waiting for a second admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/BalanceAdjustment'
+ *                 message:
+ *                   type: string
+ *       "400":
+ *         description: Invalid body, or a debit larger than the balance
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *   get:
+ *     summary: Get manual balance adjustments
+ *     description: Filter on status=pending for the approval queue. Newest first unless sortBy is given.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, applied, rejected]
+ *       - in: query
+ *         name: reasonCode
+ *         schema:
+ *           type: string
+ *           enum: [cash_top_up, refund, correction, compensation, other]
+ *       - in: query
+ *         name: requestedBy
+ *         schema:
+ *           type: string
+ *         description: Admin id
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. amount:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of adjustments
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BalanceAdjustment'
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalResults:
+ *                       type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /admin/balance-adjustments/{adjustmentId}/approve:
+ *   put:
+ *     summary: Approve a balance adjustment
+ *     description: Applies an adjustment that was above the approval threshold. The admin who requested it can't approve it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adjustmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Balance adjustment id
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Retrying with the same key returns the original response.
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/BalanceAdjustment'
+ *                 message:
+ *                   type: string
+ *       "400":
+ *         description: Already applied or rejected, or a debit larger than the balance
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         description: Not an admin, or the admin who requested the adjustment
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Another admin reviewed the adjustment at the same time
+ */
+
+/**
+ * @swagger
+ * /admin/balance-adjustments/{adjustmentId}/reject:
+ *   put:
+ *     summary: Reject a balance adjustment
+ *     description: Nothing is applied. The admin who requested it can reject it too, to withdraw it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adjustmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Balance adjustment id
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "400":
+ *         description: Already applied or rejected
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Another admin reviewed the adjustment at the same time
+ */
+
+/**
+ * @swagger
+ * /admin/balance-adjustment-threshold:
+ *   get:
+ *     summary: Get the balance adjustment approval threshold
+ *     description: Manual adjustments above this amount need a second admin's approval. Set with BALANCE_ADJUSTMENT_APPROVAL_THRESHOLD in the server config, it can't be changed through the API.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     amount:
+ *                       type: number
+ *                       example: 100
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /admin/reviews:
+ *   get:
+ *     summary: Get reviews for moderation
+ *     description: All reviews, hidden ones included, newest first unless sortBy is given
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: vendor
+ *         schema:
+ *           type: string
+ *         description: Vendor id
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Customer id
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: isHidden
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. rating:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of reviews
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalResults:
+ *                       type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /admin/reviews/{reviewId}/hide:
+ *   put:
+ *     summary: Hide a review
+ *     description: Hidden reviews are left out of vendor review listings and of vendor and menu item ratings
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review id
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /admin/reviews/{reviewId}/unhide:
+ *   put:
+ *     summary: Restore a hidden review
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
 /**
  * @swagger
  * /admin/vendors/{vendorId}/approve:
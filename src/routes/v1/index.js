@@ -6,6 +6,9 @@ const orderRoute = require('./order.route');
 const vendorCodeRoute = require('./vendorCode.route');
 const vendorRoute = require('./vendor.route');
 const adminRoute = require('./admin.route');
+const pickupBoardRoute = require('./pickupBoard.route');
+const walletRoute = require('./wallet.route');
+const webhookRoute = require('./webhook.route');
 const testRoute = require('./test.route');
 const docsRoute = require('./docs.route');
 const config = require('../../config/config');
@@ -41,6 +44,18 @@ const defaultRoutes = [
     path: '/admin',
     route: adminRoute,
   },
+  {
+    path: '/pickup-board',
+    route: pickupBoardRoute,
+  },
+  {
+    path: '/wallet',
+    route: walletRoute,
+  },
+  {
+    path: '/webhooks',
+    route: webhookRoute,
+  },
 ];
 
 const devRoutes = [
@@ -1,7 +1,7 @@
 const express = require('express');
 const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
-const { uploadSingle } = require('../../middlewares/upload');
+const { uploadSingle, parseJsonFields } = require('../../middlewares/upload');
 const menuItemValidation = require('../../validations/menuItem.validation');
 const menuItemController = require('../../controllers/menuItem.controller');
 
@@ -16,13 +16,12 @@ router
   .get(validate(menuItemValidation.getMenuItems), menuItemController.getMenuItems);
 
 // Separate route for multipart form data uploads
-router
-  .route('/upload')
-  .post(
-    ...uploadSingle('image'), // Handle file upload
-    validate(menuItemValidation.createMenuItem), 
-    menuItemController.createMenuItem
-  );
+router.route('/upload').post(
+  ...uploadSingle('image'), // Handle file upload
+  parseJsonFields('modifierGroups'), // Sent as a JSON string in multipart forms
+  validate(menuItemValidation.createMenuItem),
+  menuItemController.createMenuItem
+);
 
 router
   .route('/vendor/:token')
@@ -38,13 +37,12 @@ router
   .delete(validate(menuItemValidation.deleteMenuItem), menuItemController.deleteMenuItem);
 
 // Separate route for multipart form data updates
-router
-  .route('/:menuItemId/upload')
-  .put(
-    ...uploadSingle('image'), // Handle file upload
-    validate(menuItemValidation.updateMenuItem), 
-    menuItemController.updateMenuItem
-  );
+router.route('/:menuItemId/upload').put(
+  ...uploadSingle('image'), // Handle file upload
+  parseJsonFields('modifierGroups'), // Sent as a JSON string in multipart forms
+  validate(menuItemValidation.updateMenuItem),
+  menuItemController.updateMenuItem
+);
 
 module.exports = router;
 
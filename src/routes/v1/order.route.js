@@ -1,5 +1,7 @@
 const express = require('express');
+const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
+const idempotent = require('../../middlewares/idempotency');
 const orderValidation = require('../../validations/order.validation');
 const orderController = require('../../controllers/order.controller');
 
@@ -7,25 +9,46 @@ const router = express.Router();
 
 router
   .route('/')
-  .post(validate(orderValidation.createOrder), orderController.createOrder)
-  .get(validate(orderValidation.getOrders), orderController.getOrders);
+  .post(auth(), idempotent('create-order'), validate(orderValidation.createOrder), orderController.createOrder)
+  .get(auth(), validate(orderValidation.getOrders), orderController.getOrders);
+
+router
+  .route('/bulk-status')
+  .post(auth(), validate(orderValidation.bulkUpdateOrderStatus), orderController.bulkUpdateOrderStatus);
 
 router
   .route('/:orderId')
   .get(validate(orderValidation.getOrder), orderController.getOrder)
   .put(validate(orderValidation.updateOrder), orderController.updateOrder);
 
+router.route('/:orderId/status').put(auth(), validate(orderValidation.updateOrderStatus), orderController.updateOrderStatus);
+
+router.route('/:orderId/cancel').put(auth(), validate(orderValidation.cancelOrder), orderController.cancelOrder);
+
+router.route('/:orderId/refunds').post(auth(), validate(orderValidation.refundOrderItems), orderController.refundOrderItems);
+
+router.route('/:orderId/complete').put(auth(), validate(orderValidation.completeOrder), orderController.completeOrder);
+
+router.route('/:orderId/pickup-code').get(auth(), validate(orderValidation.getOrder), orderController.getPickupCode);
+
+router.route('/:orderId/receipt').get(auth(), validate(orderValidation.getOrderReceipt), orderController.getOrderReceipt);
+
 router
-  .route('/:orderId/status')
-  .put(validate(orderValidation.updateOrderStatus), orderController.updateOrderStatus);
+  .route('/:orderId/receipt/send')
+  .post(auth(), validate(orderValidation.sendOrderReceipt), orderController.sendOrderReceipt);
 
 router
-  .route('/:orderId/cancel')
-  .put(validate(orderValidation.getOrder), orderController.cancelOrder);
+  .route('/:orderId/review')
+  .post(auth(), validate(orderValidation.createOrderReview), orderController.createOrderReview);
 
 router
-  .route('/:orderId/complete')
-  .put(validate(orderValidation.getOrder), orderController.completeOrder);
+  .route('/:orderId/messages')
+  .get(auth(), validate(orderValidation.getOrderMessages), orderController.getOrderMessages)
+  .post(auth(), validate(orderValidation.sendOrderMessage), orderController.sendOrderMessage);
+
+router
+  .route('/:orderId/messages/read')
+  .put(auth(), validate(orderValidation.markOrderMessagesRead), orderController.markOrderMessagesRead);
 
 router
   .route('/customer/:customerId')
@@ -35,6 +58,10 @@ router
   .route('/vendor/:vendorId')
   .get(orderController.getOrdersByVendor);
 
+router
+  .route('/vendor/:vendorId/export')
+  .get(auth(), validate(orderValidation.exportVendorOrders), orderController.exportVendorOrders);
+
 module.exports = router;
 
 /**
@@ -49,8 +76,17 @@ module.exports = router;
  * /orders:
  *   post:
  *     summary: Create an order
- *     description: Create a new order.
+ *     description: Check out a cart of menu items from a single vendor. Every line is priced from the vendor's menu and paid from the logged in user's wallet.
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique key for this checkout. Retrying with the same key and body returns the original response instead of placing a second order.
  *     requestBody:
  *       required: true
  *       content:
@@ -59,37 +95,45 @@ module.exports = router;
  *             type: object
  *             required:
  *               - vendorId
- *               - userId
- *               - quantity
  *             properties:
  *               vendorId:
  *                 type: string
  *                 description: ID of the vendor
  *               userId:
  *                 type: string
- *                 description: ID of the customer
+ *                 description: ID of the customer. Admins only, everyone else orders for themselves.
+ *               items:
+ *                 type: array
+ *                 description: Cart lines
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                     - quantity
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                       description: Menu item ID
+ *                     quantity:
+ *                       type: number
+ *                       minimum: 1
  *               itemId:
  *                 type: string
- *                 description: Optional specific menu item ID
+ *                 description: Legacy single-item order, use items instead
  *               quantity:
  *                 type: number
  *                 minimum: 1
- *                 description: Quantity of items
- *               item:
- *                 type: object
- *                 description: Item details if no itemId provided
- *                 properties:
- *                   name:
- *                     type: string
- *                   description:
- *                     type: string
- *                   price:
- *                     type: number
+ *                 description: Quantity for the legacy single-item order
+ *               notes:
+ *                 type: string
  *             example:
  *               vendorId: 507f1f77bcf86cd799439011
  *               userId: 507f1f77bcf86cd799439012
- *               itemId: 507f1f77bcf86cd799439013
- *               quantity: 2
+ *               items:
+ *                 - itemId: 507f1f77bcf86cd799439013
+ *                   quantity: 2
+ *                 - itemId: 507f1f77bcf86cd799439014
+ *                   quantity: 1
  *     responses:
  *       "201":
  *         description: Created
@@ -102,13 +146,23 @@ module.exports = router;
  *                   $ref: '#/components/schemas/Order'
  *       "400":
  *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         description: A non-admin tried to order for another user
  *       "404":
  *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       "422":
+ *         description: The Idempotency-Key was already used with a different request body
  *
  *   get:
  *     summary: Get all orders
- *     description: Retrieve orders with optional filtering.
+ *     description: Retrieve orders with optional filtering. Admins see every order, everyone else only the orders they placed or received.
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: customer
@@ -169,3 +223,602 @@ module.exports = router;
  *                     totalResults:
  *                       type: integer
  */
+
+/**
+ * @swagger
+ * /orders/bulk-status:
+ *   post:
+ *     summary: Update the status of several orders
+ *     description: Move up to 100 orders to the same status in one call, e.g. marking a batch ready. Each order is checked and updated on its own, so some can fail while the rest go through. A customer with several orders in the batch gets one notification and one email.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderIds
+ *               - status
+ *             properties:
+ *               orderIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *               status:
+ *                 type: string
+ *                 enum: [pending, confirmed, preparing, ready, completed, cancelled]
+ *               note:
+ *                 type: string
+ *             example:
+ *               orderIds: [5ebac534954b54139806c112, 5ebac534954b54139806c113]
+ *               status: ready
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     updated:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           orderId:
+ *                             type: string
+ *                           success:
+ *                             type: boolean
+ *                           status:
+ *                             type: string
+ *                           orderNumber:
+ *                             type: string
+ *                           error:
+ *                             type: object
+ *                             properties:
+ *                               code:
+ *                                 type: integer
+ *                               message:
+ *                                 type: string
+ *             example:
+ *               data:
+ *                 status: ready
+ *                 updated: 1
+ *                 failed: 1
+ *                 results:
+ *                   - orderId: 5ebac534954b54139806c112
+ *                     success: true
+ *                     status: ready
+ *                     orderNumber: A-042
+ *                   - orderId: 5ebac534954b54139806c113
+ *                     success: false
+ *                     error:
+ *                       code: 400
+ *                       message: Cannot change order status from pending to ready
+ *       "400":
+ *         description: Invalid order ids or status
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /orders/{orderId}/refunds:
+ *   post:
+ *     summary: Refund order lines
+ *     description: Refund some units of individual order lines to the customer's wallet without cancelling the order. Only the order's vendor or an admin can refund.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - lineId
+ *                     - quantity
+ *                   properties:
+ *                     lineId:
+ *                       type: string
+ *                       description: ID of the order line (items[]._id)
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               reason:
+ *                 type: string
+ *             example:
+ *               items:
+ *                 - lineId: 5ebac534954b54139806c112
+ *                   quantity: 1
+ *               reason: Sold out
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       "400":
+ *         description: Line already refunded or order not refundable
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /orders/{orderId}/pickup-code:
+ *   get:
+ *     summary: Get the pickup code
+ *     description: The customer's code for collecting a ready order, as digits and as a QR code. A fresh code is issued if the last one expired or was locked after too many wrong attempts.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     orderId:
+ *                       type: string
+ *                     code:
+ *                       type: string
+ *                       example: "042917"
+ *                     qrCode:
+ *                       type: string
+ *                       description: PNG data URL
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       "400":
+ *         description: Order is not ready
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /orders/{orderId}/complete:
+ *   put:
+ *     summary: Complete the handoff
+ *     description: Vendors must send the customer's pickup code (typed in or scanned from the QR code). Wrong or expired codes are rejected and counted; after 5 failures the customer has to refresh their code. Admins can complete without a code.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order id
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pickupCode:
+ *                 type: string
+ *             example:
+ *               pickupCode: "042917"
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "400":
+ *         description: Missing, wrong or expired pickup code
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The order status changed meanwhile
+ */
+
+/**
+ * @swagger
+ * /orders/{orderId}/receipt:
+ *   get:
+ *     summary: Get an order receipt
+ *     description: Itemized receipt with modifiers, fee breakdown, tip, refunds and the payment transaction. Available to the order's customer and vendor, and to admins.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order id
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf]
+ *           default: html
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /orders/{orderId}/receipt/send:
+ *   post:
+ *     summary: Email an order receipt
+ *     description: Sends the receipt as HTML with the PDF attached, to the customer's email unless another address is given. Only admins can send it to an address other than the customer's or their own.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order id
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     orderId:
+ *                       type: string
+ *                     sentTo:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         description: Not a party to the order, or an address other than the customer's or your own
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /orders/{orderId}/review:
+ *   post:
+ *     summary: Review a completed order
+ *     description: The order's customer can rate it once, within REVIEW_WINDOW_HOURS of completion. The rating counts towards the vendor and every menu item on the order.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *             example:
+ *               rating: 5
+ *               comment: Best dumplings at the festival
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Review'
+ *                 message:
+ *                   type: string
+ *       "400":
+ *         description: The order is not completed or the review window has passed
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: The order has already been reviewed
+ */
+
+/**
+ * @swagger
+ * /orders/{orderId}/messages:
+ *   get:
+ *     summary: Get an order's chat history
+ *     description: Messages between the order's customer and vendor, oldest first. Available to both of them and to admins. Also returns how many messages are waiting for the caller.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order id
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of messages
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Message'
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalResults:
+ *                       type: integer
+ *                     unreadCount:
+ *                       type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *   post:
+ *     summary: Send an order chat message
+ *     description: The order's customer messages the vendor, or the vendor messages the customer. The message is saved and pushed to both of them as an order-message socket event.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 1000
+ *             example:
+ *               message: Could you make it less spicy?
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Message'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /orders/{orderId}/messages/read:
+ *   put:
+ *     summary: Mark an order's chat as read
+ *     description: Sets readAt on every message the caller received on the order. The sender gets an order-messages-read socket event.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     orderId:
+ *                       type: string
+ *                     readerId:
+ *                       type: string
+ *                     readAt:
+ *                       type: string
+ *                       format: date-time
+ *                     count:
+ *                       type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /orders/vendor/{vendorId}/export:
+ *   get:
+ *     summary: Export a vendor's orders
+ *     description: Download every order and line item placed in a date range, for bookkeeping. One row per line; the order's subtotal, platform fee, tip, refunds and net payout are only filled on its first line so the columns can be summed. Available to the vendor and to admins.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: vendorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Vendor id
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Orders placed at or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Orders placed at or before
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -0,0 +1,63 @@
+const express = require('express');
+const pickupBoardController = require('../../controllers/pickupBoard.controller');
+
+const router = express.Router();
+
+router.route('/').get(pickupBoardController.getPickupBoard);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pickup Board
+ *   description: Public "now serving" screen for the food court
+ */
+
+/**
+ * @swagger
+ * /pickup-board:
+ *   get:
+ *     summary: Get the pickup board
+ *     description: Order numbers being prepared and ready at each booth. Public, and carries nothing about the customers. Screens can also connect to the /pickup-board Socket.IO namespace without logging in, which sends the whole board as pickup-board on connect and a vendor's column as pickup-board-update whenever it changes.
+ *     tags: [Pickup Board]
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     vendors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           vendorId:
+ *                             type: string
+ *                           vendorName:
+ *                             type: string
+ *                           preparing:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           ready:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *               example:
+ *                 data:
+ *                   vendors:
+ *                     - vendorId: 5ebac534954b54139806c115
+ *                       vendorName: Auntie's Dumplings
+ *                       preparing: [A-043, A-044]
+ *                       ready: [A-041, A-042]
+ *                   updatedAt: 2025-08-16T18:30:00.000Z
+ */
@@ -1,5 +1,8 @@
 const express = require('express');
+const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
+const tokenFromQuery = require('../../middlewares/queryToken');
+const vendorValidation = require('../../validations/vendor.validation');
 const vendorController = require('../../controllers/vendor.controller');
 
 const router = express.Router();
@@ -8,4 +11,14 @@ router
   .route('/:vendorId')
   .get(vendorController.getVendor);
 
+router
+  .route('/:vendorId/settings')
+  .patch(auth(), validate(vendorValidation.updateVendorSettings), vendorController.updateVendorSettings);
+
+router.route('/:vendorId/reviews').get(validate(vendorValidation.getVendorReviews), vendorController.getVendorReviews);
+
+router
+  .route('/:vendorId/orders/stream')
+  .get(tokenFromQuery, auth(), validate(vendorValidation.streamVendorOrders), vendorController.streamVendorOrders);
+
 module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const fundTransactionValidation = require('../../validations/fundTransaction.validation');
+const walletController = require('../../controllers/wallet.controller');
+
+const router = express.Router();
+
+router
+  .route('/transactions')
+  .get(auth(), validate(fundTransactionValidation.getWalletTransactions), walletController.getWalletTransactions);
+
+router.route('/summary').get(auth(), walletController.getWalletSummary);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wallet
+ *   description: The logged in user's festival wallet
+ */
+
+/**
+ * @swagger
+ * /wallet/transactions:
+ *   get:
+ *     summary: Get my wallet transactions
+ *     description: Deposits, payments, refunds, sales and tips on the logged in user's wallet, newest first.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [deposit, withdrawal, refund, payment, sale, tip, adjustment]
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [card, bank_transfer, paypal, google_pay, apple_pay, cash, wallet, admin_adjustment, zeffy, zapier_webhook]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, completed, failed, cancelled]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. amount:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of transactions
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/FundTransaction'
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalResults:
+ *                       type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /wallet/summary:
+ *   get:
+ *     summary: Get my wallet summary
+ *     description: Current balance, and completed credits and debits in total and per transaction type.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     balance:
+ *                       type: number
+ *                     totalCredits:
+ *                       type: number
+ *                     totalDebits:
+ *                       type: number
+ *                     byType:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           credits:
+ *                             type: number
+ *                           debits:
+ *                             type: number
+ *                           count:
+ *                             type: integer
+ *                     pending:
+ *                       type: object
+ *                       properties:
+ *                         amount:
+ *                           type: number
+ *                         count:
+ *                           type: integer
+ *                     lastTransactionAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *             example:
+ *               data:
+ *                 balance: 42.5
+ *                 totalCredits: 100
+ *                 totalDebits: 57.5
+ *                 byType:
+ *                   deposit: { credits: 100, debits: 0, count: 2 }
+ *                   payment: { credits: 0, debits: 57.5, count: 4 }
+ *                 pending: { amount: 0, count: 0 }
+ *                 lastTransactionAt: 2025-08-16T18:30:00.000Z
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
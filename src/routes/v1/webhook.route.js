@@ -0,0 +1,194 @@
+const express = require('express');
+const validate = require('../../middlewares/validate');
+const { verifyZeffySignature, verifyZapierSecret } = require('../../middlewares/webhook');
+const fundTransactionValidation = require('../../validations/fundTransaction.validation');
+const webhookController = require('../../controllers/webhook.controller');
+
+const router = express.Router();
+
+router
+  .route('/zeffy')
+  .post(verifyZeffySignature, validate(fundTransactionValidation.zeffyWebhook), webhookController.handleZeffyWebhook);
+
+router
+  .route('/zapier')
+  .post(verifyZapierSecret, validate(fundTransactionValidation.zapierWebhook), webhookController.handleZapierWebhook);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Payment providers topping up festival wallets
+ */
+
+/**
+ * @swagger
+ * /webhooks/zeffy:
+ *   post:
+ *     summary: Receive a Zeffy donation
+ *     description: Credits the donation's net amount to the user given in user_id, or else to the user with the donor's email. Donations no user matches are queued in the admins' unmatched payments inbox. Each donation is credited once, redeliveries return the original transaction. Free tickets and other zero-amount donations are acknowledged without a credit. Deliveries must be signed with the shared secret and are only accepted within a few minutes of their timestamp.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: header
+ *         name: X-Zeffy-Timestamp
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Unix seconds the delivery was signed at
+ *       - in: header
+ *         name: X-Zeffy-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Hex HMAC-SHA256 of `{timestamp}.{raw body}` with the shared secret, optionally prefixed with sha256=
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - donor_email
+ *               - amount
+ *               - created_at
+ *             properties:
+ *               id:
+ *                 type: string
+ *               donor_name:
+ *                 type: string
+ *               donor_email:
+ *                 type: string
+ *                 format: email
+ *               amount:
+ *                 type: number
+ *               net_amount:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *               created_at:
+ *                 type: string
+ *                 format: date-time
+ *               user_id:
+ *                 type: string
+ *                 description: Festival user id, set through a custom field on the Zeffy form
+ *             example:
+ *               id: zef_8f2k1
+ *               donor_name: Jane Doe
+ *               donor_email: jane@example.com
+ *               amount: 25
+ *               net_amount: 24.1
+ *               created_at: 2025-08-16T18:30:00.000Z
+ *     responses:
+ *       "201":
+ *         description: Credited
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transactionId:
+ *                       type: string
+ *                     duplicate:
+ *                       type: boolean
+ *       "200":
+ *         description: Already credited by an earlier delivery, or nothing to credit (data.skipped is true)
+ *       "202":
+ *         description: No user matches the donation, it was queued for an admin to assign
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueuedPayment'
+ *       "401":
+ *         description: Missing, invalid or expired signature
+ *       "503":
+ *         description: No webhook secret is configured
+ */
+
+/**
+ * @swagger
+ * /webhooks/zapier:
+ *   post:
+ *     summary: Receive a payment through Zapier
+ *     description: Credits amount, or credit_amount when given, to the user in user_id. Each X-Zapier-Webhook-Id is credited once, redeliveries return the original transaction. Zero-amount payments are acknowledged without a credit. Payments without a user_id, or whose user_id matches no user, are queued in the admins' unmatched payments inbox.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: header
+ *         name: X-Webhook-Secret
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The shared secret configured in the Zap
+ *       - in: header
+ *         name: X-Zapier-Webhook-Id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique per payment, used to credit it only once
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               credit_amount:
+ *                 type: number
+ *                 description: Amount to credit when it differs from the amount paid, e.g. after fees
+ *               user_id:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               zap_id:
+ *                 type: string
+ *               source_app:
+ *                 type: string
+ *               event_type:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *             example:
+ *               amount: 20
+ *               user_id: 5ebac534954b54139806c112
+ *               source_app: Square
+ *               zap_id: "184920"
+ *     responses:
+ *       "201":
+ *         description: Credited
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transactionId:
+ *                       type: string
+ *                     duplicate:
+ *                       type: boolean
+ *       "200":
+ *         description: Already credited by an earlier delivery, or nothing to credit (data.skipped is true)
+ *       "202":
+ *         description: No user matches the payment, it was queued for an admin to assign
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueuedPayment'
+ *       "400":
+ *         description: Missing X-Zapier-Webhook-Id or invalid body
+ *       "401":
+ *         description: Missing or invalid secret
+ *       "503":
+ *         description: No webhook secret is configured
+ */
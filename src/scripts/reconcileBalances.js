@@ -0,0 +1,50 @@
+/* eslint-disable no-console */
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const reconciliationService = require('../services/reconciliation.service');
+
+/**
+ * Reconcile every wallet against the ledger and store the report admins see under /v1/admin/reconciliation.
+ * Exits with 1 when any wallet doesn't add up, so a cron job can alert on it.
+ *
+ * Usage: node src/scripts/reconcileBalances.js
+ */
+const reconcileBalances = async () => {
+  try {
+    await mongoose.connect(config.mongoose.url, config.mongoose.options);
+    console.log('Connected to MongoDB');
+
+    const report = await reconciliationService.runReconciliation({ trigger: 'cli' });
+
+    console.log(`\nChecked ${report.usersChecked} wallet(s)`);
+    console.log(`Wallets drifting from their ledger: ${report.usersWithDrift} (${report.totalDrift} in total)`);
+    console.log(`Wallets with ledger chain issues: ${report.usersWithIssues}`);
+
+    report.discrepancies.forEach(({ user, balance, ledgerBalance, drift, issueCount, issues }) => {
+      console.log(`\n- User ${user}: balance ${balance}, ledger ${ledgerBalance}, drift ${drift}`);
+      issues.forEach(({ kind, transactionId, expected, actual }) => {
+        console.log(`    ${kind} at ${transactionId}: expected ${expected}, found ${actual}`);
+      });
+      if (issueCount > issues.length) {
+        console.log(`    ...and ${issueCount - issues.length} more`);
+      }
+    });
+    if (report.discrepancyCount > report.discrepancies.length) {
+      console.log(`\n...and ${report.discrepancyCount - report.discrepancies.length} more wallet(s)`);
+    }
+
+    console.log(`\nReport ${report.id} saved`);
+    await mongoose.connection.close();
+    process.exitCode = report.discrepancyCount > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Error reconciling balances:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+if (require.main === module) {
+  reconcileBalances();
+}
+
+module.exports = reconcileBalances;
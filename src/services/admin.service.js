@@ -1,6 +1,7 @@
 const httpStatus = require('http-status');
 const { User, Order, FundTransaction, Settings } = require('../models');
 const ApiError = require('../utils/ApiError');
+const { roundCurrency } = require('../utils/money');
 
 /**
  * Get dashboard statistics
@@ -22,9 +23,21 @@ const getDashboardStats = async () => {
   ]);
   const totalRevenue = revenueResult.length > 0 ? revenueResult[0].total : 0;
   
-  // Calculate platform fees collected
+  // Fees, payouts and tips are settled per order, net of refunds
+  const settlementResult = await Order.aggregate([
+    {
+      $group: {
+        _id: null,
+        platformFees: { $sum: '$platformFee' },
+        vendorPayouts: { $sum: '$vendorPayout' },
+        tips: { $sum: { $subtract: [{ $ifNull: ['$tipAmount', 0] }, { $ifNull: ['$refundedTipAmount', 0] }] } },
+      },
+    },
+  ]);
+  const platformFeesCollected = settlementResult.length > 0 ? roundCurrency(settlementResult[0].platformFees) : 0;
+  const vendorPayouts = settlementResult.length > 0 ? roundCurrency(settlementResult[0].vendorPayouts) : 0;
+  const tipsPaid = settlementResult.length > 0 ? roundCurrency(settlementResult[0].tips) : 0;
   const platformFeePercentage = await Settings.getPlatformFee();
-  const platformFeesCollected = (totalRevenue * platformFeePercentage) / 100;
   
   // Recent activity (last 30 days)
   const thirtyDaysAgo = new Date();
@@ -55,6 +68,8 @@ const getDashboardStats = async () => {
     finance: {
       totalRevenue,
       platformFeesCollected,
+      vendorPayouts,
+      tipsPaid,
       platformFeePercentage
     }
   };
@@ -107,32 +122,42 @@ const getVendors = async (filter = {}, options = {}) => {
     select: '-password'
   });
 
-  //Convert vendors into objects to send back so we can capture the createdAt
-  const vendorObjects = await Promise.all(vendors.results.map(async (vendor) => {
-    
-    //Get total amount from all orders by this vendor by going through salesHistory, obtaining the order ID and summing up totalAmount from the orders object
-    const vendorSales = await Order.aggregate([
-      { $match: { vendor: vendor._id } },
-      { $group: { _id: null, total: { $sum: '$totalAmount' }, count: { $sum: 1 } } }
-    ]);
-    
-    const totalSales = vendorSales.length > 0 ? vendorSales[0].total : 0;
-    const orderCount = vendorSales.length > 0 ? vendorSales[0].count : 0;
+  // Convert vendors into objects to send back so we can capture the createdAt
+  const vendorObjects = await Promise.all(
+    vendors.results.map(async (vendor) => {
+      // Get total amount from all orders by this vendor by going through salesHistory, obtaining the order ID and summing up totalAmount from the orders object
+      const vendorSales = await Order.aggregate([
+        { $match: { vendor: vendor._id } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: '$totalAmount' },
+            tips: { $sum: { $subtract: [{ $ifNull: ['$tipAmount', 0] }, { $ifNull: ['$refundedTipAmount', 0] }] } },
+            count: { $sum: 1 },
+          },
+        },
+      ]);
 
-    return {
-      id: vendor._id,
-      email: vendor.email,
-      name: vendor.name,
-      username: vendor.username,
-      createdAt: vendor.createdAt,
-      updatedAt: vendor.updatedAt,
-      isApproved: vendor.isApproved,
-      isSuspended: vendor.isSuspended,
-      balance: vendor.balance,
-      totalSales: totalSales, // Total amount from all orders
-      orderCount: orderCount // Number of orders
-    };
-  }));
+      const totalSales = vendorSales.length > 0 ? vendorSales[0].total : 0;
+      const totalTips = vendorSales.length > 0 ? roundCurrency(vendorSales[0].tips) : 0;
+      const orderCount = vendorSales.length > 0 ? vendorSales[0].count : 0;
+
+      return {
+        id: vendor._id,
+        email: vendor.email,
+        name: vendor.name,
+        username: vendor.username,
+        createdAt: vendor.createdAt,
+        updatedAt: vendor.updatedAt,
+        isApproved: vendor.isApproved,
+        isSuspended: vendor.isSuspended,
+        balance: vendor.balance,
+        totalSales, // Total amount from all orders
+        totalTips, // Tips on top of sales, net of refunds
+        orderCount, // Number of orders
+      };
+    })
+  );
 
   return {
     ...vendors,
@@ -251,6 +276,46 @@ const updatePlatformFee = async (percentage) => {
   return await Settings.setPlatformFee(percentage);
 };
 
+/**
+ * Get how long before pickup scheduled orders are released
+ * @returns {Promise<number>}
+ */
+const getScheduledOrderLeadMinutes = async () => {
+  return Settings.getScheduledOrderLeadMinutes();
+};
+
+/**
+ * Update scheduled order lead time
+ * @param {number} minutes
+ * @returns {Promise<Settings>}
+ */
+const updateScheduledOrderLeadMinutes = async (minutes) => {
+  if (minutes < 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Lead time cannot be negative');
+  }
+
+  return Settings.setScheduledOrderLeadMinutes(minutes);
+};
+
+/**
+ * Get the uncollected order policy
+ * @returns {Promise<Object>}
+ */
+const getUncollectedOrderPolicy = async () => {
+  return Settings.getUncollectedOrderPolicy();
+};
+
+/**
+ * Update the uncollected order policy. Fields left out keep their current value.
+ * @param {Object} policyBody - { reminderIntervalMinutes, maxReminders, action }
+ * @returns {Promise<Object>}
+ */
+const updateUncollectedOrderPolicy = async (policyBody) => {
+  const policy = { ...(await Settings.getUncollectedOrderPolicy()), ...policyBody };
+  const setting = await Settings.setUncollectedOrderPolicy(policy);
+  return setting.value;
+};
+
 module.exports = {
   getDashboardStats,
   getUsers,
@@ -261,4 +326,8 @@ module.exports = {
   unsuspendUser,
   getPlatformFee,
   updatePlatformFee,
+  getScheduledOrderLeadMinutes,
+  updateScheduledOrderLeadMinutes,
+  getUncollectedOrderPolicy,
+  updateUncollectedOrderPolicy,
 };
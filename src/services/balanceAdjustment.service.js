@@ -0,0 +1,256 @@
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { BalanceAdjustment, BalanceAdjustmentLock, User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const walletService = require('./wallet.service');
+const socketService = require('./socket.service');
+const { roundCurrency } = require('../utils/money');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+const reasonLabels = {
+  cash_top_up: 'Cash top-up',
+  refund: 'Refund',
+  correction: 'Correction',
+  compensation: 'Compensation',
+  other: 'Adjustment',
+};
+
+/**
+ * Move the money for an adjustment and write its 'adjustment' ledger entry
+ * @param {Object} adjustment - { _id?, user, amount, direction, reasonCode, note, requestedBy }
+ * @param {User} [approvedBy] - The second admin, for adjustments that needed approval
+ * @param {ClientSession} session
+ * @returns {Promise<FundTransaction>}
+ */
+const applyToWallet = async (adjustment, approvedBy, session) => {
+  const entry = {
+    type: 'adjustment',
+    method: 'admin_adjustment',
+    integrationSource: 'admin',
+    description: adjustment.note || reasonLabels[adjustment.reasonCode],
+    metadata: {
+      adjustment: {
+        balanceAdjustment: adjustment._id,
+        reasonCode: adjustment.reasonCode,
+        requestedBy: adjustment.requestedBy,
+        approvedBy: approvedBy && approvedBy._id,
+      },
+    },
+  };
+  const apply = adjustment.direction === 'debit' ? walletService.debitUser : walletService.creditUser;
+  return apply(adjustment.user, adjustment.amount, entry, session);
+};
+
+/**
+ * Total an admin has adjusted a user's wallet by within the approval window, credits and debits alike.
+ * Rejected adjustments don't count.
+ * @param {ObjectId} userId
+ * @param {ObjectId} adminId
+ * @param {ClientSession} [session]
+ * @returns {Promise<number>}
+ */
+const getRecentAdjustedAmount = async (userId, adminId, session = null) => {
+  const since = new Date(Date.now() - config.balanceAdjustments.approvalWindowHours * 60 * 60 * 1000);
+  const [recent] = await BalanceAdjustment.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        requestedBy: adminId,
+        status: { $in: ['pending', 'applied'] },
+        createdAt: { $gte: since },
+      },
+    },
+    { $group: { _id: null, amount: { $sum: '$amount' } } },
+  ]).session(session);
+  return recent ? roundCurrency(recent.amount) : 0;
+};
+
+/**
+ * Tell the user their balance changed
+ * @param {FundTransaction} transaction
+ */
+const notifyBalanceChange = (transaction) => {
+  socketService.emitBalanceUpdate(transaction.user.toString(), {
+    newBalance: transaction.balanceAfter,
+    oldBalance: transaction.balanceBefore,
+    amount: transaction.direction === 'debit' ? -transaction.amount : transaction.amount,
+    reason: transaction.description,
+  });
+};
+
+/**
+ * Credit or debit a user's wallet by hand. Adjustments above the approval threshold are only recorded,
+ * and applied once a second admin approves them. The same admin's recent adjustments to the wallet count
+ * towards the threshold, so it can't be dodged by splitting an amount into smaller ones.
+ * @param {Object} adjustmentBody - { userId, amount, direction, reasonCode, note }
+ * @param {User} admin
+ * @returns {Promise<BalanceAdjustment>}
+ */
+const createBalanceAdjustment = async ({ userId, ...adjustmentBody }, admin) => {
+  if (!(await User.exists({ _id: userId }))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+
+  const fields = { ...adjustmentBody, user: userId, requestedBy: admin._id };
+  const threshold = config.balanceAdjustments.approvalThreshold;
+  // The id is picked up front so the ledger entry can point at the adjustment it was written for
+  const adjustmentId = new mongoose.Types.ObjectId();
+  const session = await mongoose.startSession();
+  let transaction;
+  let adjustment;
+  try {
+    await session.withTransaction(async () => {
+      // Held until the adjustment is saved, so two adjustments sent at once can't both sum the total without the other
+      await BalanceAdjustmentLock.acquire(userId, admin._id, session);
+      const recentAmount = await getRecentAdjustedAmount(userId, admin._id, session);
+      const needsApproval = roundCurrency(recentAmount + fields.amount) > threshold;
+
+      transaction = needsApproval ? null : await applyToWallet({ ...fields, _id: adjustmentId }, null, session);
+      [adjustment] = await BalanceAdjustment.create(
+        [
+          {
+            ...fields,
+            _id: adjustmentId,
+            status: needsApproval ? 'pending' : 'applied',
+            transaction: transaction ? transaction._id : undefined,
+          },
+        ],
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (adjustment.status === 'pending') {
+    logger.info(`Balance adjustment ${adjustment._id} for user ${userId} awaits approval`);
+    socketService.emitBalanceAdjustmentForAdmin({
+      adjustmentId: adjustment._id.toString(),
+      userId: userId.toString(),
+      amount: adjustment.amount,
+      direction: adjustment.direction,
+      reasonCode: adjustment.reasonCode,
+      requestedBy: admin._id.toString(),
+    });
+    return adjustment;
+  }
+
+  logger.info(`Balance adjustment ${adjustment._id} applied to user ${userId} by admin ${admin._id}`);
+  notifyBalanceChange(transaction);
+  return adjustment;
+};
+
+/**
+ * Load an adjustment that is still waiting for approval
+ * @param {ObjectId} adjustmentId
+ * @returns {Promise<BalanceAdjustment>}
+ */
+const getPendingAdjustment = async (adjustmentId) => {
+  const adjustment = await BalanceAdjustment.findById(adjustmentId);
+  if (!adjustment) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Balance adjustment not found');
+  }
+  if (adjustment.status !== 'pending') {
+    throw new ApiError(httpStatus.BAD_REQUEST, `This adjustment has already been ${adjustment.status}`);
+  }
+  return adjustment;
+};
+
+/**
+ * Approve and apply an adjustment that was above the threshold
+ * @param {ObjectId} adjustmentId
+ * @param {User} admin - Must not be the admin who requested it
+ * @returns {Promise<BalanceAdjustment>}
+ */
+const approveBalanceAdjustment = async (adjustmentId, admin) => {
+  const adjustment = await getPendingAdjustment(adjustmentId);
+  if (adjustment.requestedBy.equals(admin._id)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'A second admin has to approve this adjustment');
+  }
+
+  const session = await mongoose.startSession();
+  let transaction;
+  let approved;
+  try {
+    await session.withTransaction(async () => {
+      transaction = await applyToWallet(adjustment, admin, session);
+      // Claimed in the same transaction, two admins approving at once can't both apply it
+      approved = await BalanceAdjustment.findOneAndUpdate(
+        { _id: adjustment._id, status: 'pending' },
+        { status: 'applied', reviewedBy: admin._id, reviewedAt: new Date(), transaction: transaction._id },
+        { new: true, session }
+      );
+      if (!approved) {
+        throw new ApiError(httpStatus.CONFLICT, 'This adjustment was reviewed by another admin');
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`Balance adjustment ${adjustment._id} approved by admin ${admin._id}`);
+  notifyBalanceChange(transaction);
+  return approved;
+};
+
+/**
+ * Reject an adjustment that was above the threshold. Nothing is applied.
+ * @param {ObjectId} adjustmentId
+ * @param {User} admin - Any admin, the requester included
+ * @param {string} [reason]
+ * @returns {Promise<BalanceAdjustment>}
+ */
+const rejectBalanceAdjustment = async (adjustmentId, admin, reason) => {
+  const adjustment = await getPendingAdjustment(adjustmentId);
+  const rejected = await BalanceAdjustment.findOneAndUpdate(
+    { _id: adjustment._id, status: 'pending' },
+    { status: 'rejected', rejectionReason: reason, reviewedBy: admin._id, reviewedAt: new Date() },
+    { new: true }
+  );
+  if (!rejected) {
+    throw new ApiError(httpStatus.CONFLICT, 'This adjustment was reviewed by another admin');
+  }
+  return rejected;
+};
+
+/**
+ * Query manual balance adjustments
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryBalanceAdjustments = async (filter, options) => {
+  const adjustments = await BalanceAdjustment.paginate(filter, {
+    sortBy: 'createdAt:desc',
+    ...options,
+    populate: [
+      { path: 'user', select: 'name email username' },
+      { path: 'requestedBy', select: 'name email' },
+      { path: 'reviewedBy', select: 'name email' },
+    ],
+  });
+
+  // The toJSON plugin drops createdAt, the approval queue needs it
+  return {
+    ...adjustments,
+    results: adjustments.results.map((adjustment) => ({ ...adjustment.toJSON(), createdAt: adjustment.createdAt })),
+  };
+};
+
+/**
+ * Get the amount above which adjustments need approval. It comes from the config so that no single admin can change it.
+ * @returns {number}
+ */
+const getApprovalThreshold = () => config.balanceAdjustments.approvalThreshold;
+
+module.exports = {
+  createBalanceAdjustment,
+  approveBalanceAdjustment,
+  rejectBalanceAdjustment,
+  queryBalanceAdjustments,
+  getApprovalThreshold,
+};
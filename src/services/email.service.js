@@ -18,15 +18,17 @@ if (config.env !== 'test') {
  * @param {string} subject
  * @param {string} text
  * @param {string} html
+ * @param {Object[]} [attachments] - Nodemailer attachments
  * @returns {Promise}
  */
-const sendEmail = async (to, subject, text, html = null) => {
+const sendEmail = async (to, subject, text, html = null, attachments = []) => {
   const msg = { 
     from: config.email.from, 
     to, 
     subject, 
     text,
-    ...(html && { html })
+    ...(html && { html }),
+    ...(attachments.length && { attachments }),
   };
   await transport.sendMail(msg);
 };
@@ -100,31 +102,70 @@ If you did not request this registration, please ignore this email.`;
   }
 };
 
-const sendIncomingOrderEmail = async (to, vendorName, customerName, orderName, orderAmount, orderDate, orderUrl) => {
+/**
+ * Send new order email to the vendor
+ * @param {string} to
+ * @param {string} vendorName
+ * @param {string} customerName
+ * @param {string} orderName - One line summary of the basket
+ * @param {number} orderAmount
+ * @param {Date} orderDate
+ * @param {string} orderUrl
+ * @param {Object[]} [orderItems] - Order lines, listed individually in the email
+ * @param {number} [tipAmount] - Tip the customer added, paid to the vendor on top of the order amount
+ * @returns {Promise}
+ */
+const sendIncomingOrderEmail = async (
+  to,
+  vendorName,
+  customerName,
+  orderName,
+  orderAmount,
+  orderDate,
+  orderUrl,
+  orderItems = [],
+  tipAmount = 0
+) => {
   const subject = 'New Incoming Order';
 
-  const formattedAmount = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'CAD' }).format(orderAmount);
+  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'CAD' });
+  const formattedAmount = currency.format(orderAmount);
+  const formattedTip = tipAmount > 0 ? currency.format(tipAmount) : null;
+  const lines = orderItems.map((item) => ({
+    name: item.name,
+    quantity: item.quantity,
+    totalPrice: currency.format(item.totalPrice),
+    modifiers: (item.modifiers || []).map((modifier) => `${modifier.group}: ${modifier.option}`).join(', '),
+  }));
 
   const htmlContent = await emailTemplateService.compileEmailTemplate('incoming-order-email', {
     vendorName,
     customerName,
     orderName,
+    orderItems: lines,
     orderAmount: formattedAmount,
+    tipAmount: formattedTip,
     orderDate,
     orderUrl,
     vendorEmail: to
   });
 
-  //Sending Email to Vendor
-  console.log('Sending order email...');
-  console.log(`To: ${to}, Vendor Name: ${vendorName}, Customer Name: ${customerName}, Order Name: ${orderName}, Order Amount: ${formattedAmount}, Order Date: ${orderDate}, Order URL: ${orderUrl}`); 
-
-  const textContent = `Hello ${vendorName},\nYou have received a new order from ${customerName}.\nOrder Name: ${orderName}\nAmount: ${formattedAmount}\nDate: ${orderDate}\nView: ${orderUrl}`;
+  const itemsText = lines.length
+    ? lines
+        .map(
+          (line) =>
+            `- ${line.quantity} x ${line.name} (${line.totalPrice})${line.modifiers ? `\n    ${line.modifiers}` : ''}`
+        )
+        .join('\n')
+    : orderName;
+  const textContent = `Hello ${vendorName},\nYou have received a new order from ${customerName}.\nItems:\n${itemsText}\nAmount: ${formattedAmount}${
+    formattedTip ? `\nTip: ${formattedTip}` : ''
+  }\nDate: ${orderDate}\nView: ${orderUrl}`;
   await sendEmail(to, subject, textContent, htmlContent);
 
 };
 
-const sendOrderReadyEmail = async (to, customerName, orderName, orderAmount, readyDate, orderUrl) => {
+const sendOrderReadyEmail = async (to, customerName, orderName, orderAmount, readyDate, orderUrl, pickupCode) => {
   const subject = 'Your Order is Ready!';
 
   const formattedAmount = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'CAD' }).format(orderAmount);
@@ -138,12 +179,101 @@ const sendOrderReadyEmail = async (to, customerName, orderName, orderAmount, rea
     orderAmount: formattedAmount,
     readyDate,
     orderUrl,
+    pickupCode,
     customerEmail: to
   });
-  const textContent = `Hello ${customerName},\nYour order ${orderName} is ready!\nAmount: ${orderAmount}\nReady at: ${readyDate}\nView: ${orderUrl}`;
+  const pickupLine = pickupCode ? `\nPickup code: ${pickupCode} (show this to the vendor)` : '';
+  const textContent = `Hello ${customerName},\nYour order ${orderName} is ready!${pickupLine}\nAmount: ${orderAmount}\nReady at: ${readyDate}\nView: ${orderUrl}`;
   await sendEmail(to, subject, textContent, htmlContent);
 };
 
+/**
+ * Remind a customer that their ready order is still waiting to be collected
+ * @param {string} to
+ * @param {string} customerName
+ * @param {string} orderName - One line summary of the basket
+ * @param {number} orderAmount
+ * @param {Date} readyDate - When the order became ready
+ * @param {string} orderUrl
+ * @param {string} [pickupCode]
+ * @returns {Promise}
+ */
+const sendPickupReminderEmail = async (to, customerName, orderName, orderAmount, readyDate, orderUrl, pickupCode) => {
+  const subject = 'Reminder: Your Order is Waiting for Pickup';
+
+  const formattedAmount = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'CAD' }).format(orderAmount);
+
+  const htmlContent = await emailTemplateService.compileEmailTemplate('order-ready-email', {
+    customerName,
+    orderName,
+    orderAmount: formattedAmount,
+    readyDate,
+    orderUrl,
+    pickupCode,
+    isReminder: true,
+    customerEmail: to,
+  });
+  const pickupLine = pickupCode ? `\nPickup code: ${pickupCode} (show this to the vendor)` : '';
+  const textContent = `Hello ${customerName},\nYour order ${orderName} has been ready since ${readyDate} and is still waiting for you.${pickupLine}\nAmount: ${formattedAmount}\nView: ${orderUrl}`;
+  await sendEmail(to, subject, textContent, htmlContent);
+};
+
+/**
+ * Tell a customer that several of their orders are ready, in one email
+ * @param {string} to
+ * @param {string} customerName
+ * @param {Object[]} orders - { orderNumber, orderName, orderAmount, vendorName, pickupCode }
+ * @param {Date} readyDate
+ * @param {string} orderUrl
+ * @returns {Promise}
+ */
+const sendOrdersReadyEmail = async (to, customerName, orders, readyDate, orderUrl) => {
+  const subject = `Your ${orders.length} Orders are Ready!`;
+
+  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'CAD' });
+  const formattedOrders = orders.map((order) => ({ ...order, orderAmount: currency.format(order.orderAmount) }));
+
+  const htmlContent = await emailTemplateService.compileEmailTemplate('orders-ready-email', {
+    customerName,
+    orders: formattedOrders,
+    orderCount: orders.length,
+    readyDate,
+    orderUrl,
+    customerEmail: to,
+  });
+  const orderLines = formattedOrders
+    .map((order) => {
+      const pickupLine = order.pickupCode ? `, pickup code ${order.pickupCode}` : '';
+      const orderNumber = order.orderNumber ? `${order.orderNumber} ` : '';
+      return `- ${orderNumber}${order.orderName} at ${order.vendorName} (${order.orderAmount})${pickupLine}`;
+    })
+    .join('\n');
+  const textContent = `Hello ${customerName},\nThese orders are ready:\n${orderLines}\nShow each pickup code to the vendor.\nView: ${orderUrl}`;
+  await sendEmail(to, subject, textContent, htmlContent);
+};
+
+/**
+ * Send an order receipt
+ * @param {string} to
+ * @param {string} customerName
+ * @param {string} orderId
+ * @param {string} receiptText - Plain text receipt
+ * @param {string} receiptHtml - Receipt rendered from the order-receipt template
+ * @param {Buffer} [receiptPdf] - Attached when given
+ * @returns {Promise}
+ */
+const sendOrderReceiptEmail = async (to, customerName, orderId, receiptText, receiptHtml, receiptPdf) => {
+  const subject = 'Your Kejia Festival Receipt';
+  const textContent = `Hello ${customerName},
+Here is your receipt.
+
+${receiptText}`;
+  const attachments = receiptPdf
+    ? [{ filename: `receipt-${orderId}.pdf`, content: receiptPdf, contentType: 'application/pdf' }]
+    : [];
+  await sendEmail(to, subject, textContent, receiptHtml, attachments);
+};
+
 const sendDepositConfirmedEmail = async (to, customerName, depositAmount, transactionId, depositDate, accountUrl) => {
   const subject = 'Deposit Confirmed';
   const htmlContent = await emailTemplateService.compileEmailTemplate('deposit-confirmed-email', {
@@ -166,5 +296,8 @@ module.exports = {
   sendPreRegistrationEmail,
   sendIncomingOrderEmail,
   sendOrderReadyEmail,
+  sendOrdersReadyEmail,
+  sendPickupReminderEmail,
+  sendOrderReceiptEmail,
   sendDepositConfirmedEmail
 };
@@ -0,0 +1,143 @@
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { FundTransaction, User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { roundCurrency } = require('../utils/money');
+const { isDebitExpression } = require('../utils/ledger');
+
+/**
+ * Build a ledger filter from query parameters
+ * @param {Object} query - { user, type, method, status, integrationSource, startDate, endDate }
+ * @returns {Object} - Mongo filter
+ */
+const buildTransactionFilter = ({ startDate, endDate, ...fields }) => {
+  const filter = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  if (startDate || endDate) {
+    filter.createdAt = { ...(startDate && { $gte: startDate }), ...(endDate && { $lte: endDate }) };
+  }
+  return filter;
+};
+
+/**
+ * Ledger entry as sent to clients
+ * @param {FundTransaction} transaction
+ * @returns {Object}
+ */
+const formatTransaction = (transaction) => ({
+  ...transaction.toJSON(),
+  // The toJSON plugin drops createdAt, a ledger is no use without dates
+  createdAt: transaction.createdAt,
+});
+
+/**
+ * Query for ledger entries
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryFundTransactions = async (filter, options) => {
+  const transactions = await FundTransaction.paginate(filter, {
+    sortBy: 'createdAt:desc',
+    ...options,
+    populate: [{ path: 'relatedOrder', select: 'orderNumber vendor status' }],
+  });
+  return {
+    ...transactions,
+    results: transactions.results.map(formatTransaction),
+  };
+};
+
+/**
+ * Get a ledger entry by id
+ * @param {ObjectId} transactionId
+ * @returns {Promise<Object>}
+ */
+const getFundTransactionById = async (transactionId) => {
+  const transaction = await FundTransaction.findById(transactionId).populate([
+    { path: 'user', select: 'name email username type' },
+    { path: 'relatedOrder', select: 'orderNumber vendor status' },
+  ]);
+  if (!transaction) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Transaction not found');
+  }
+  return formatTransaction(transaction);
+};
+
+/**
+ * Sum up a user's wallet: current balance and completed credits and debits by type
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>} - { balance, totalCredits, totalDebits, byType, pending, lastTransactionAt }
+ */
+const getWalletSummary = async (userId) => {
+  const user = await User.findById(userId).select('balance');
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+
+  const [groups, pending, last] = await Promise.all([
+    FundTransaction.aggregate([
+      { $match: { user: user._id, status: 'completed' } },
+      { $group: { _id: { type: '$type', debit: isDebitExpression }, amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+    ]),
+    FundTransaction.aggregate([
+      { $match: { user: user._id, status: 'pending' } },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+    ]),
+    FundTransaction.findOne({ user: user._id }).sort({ createdAt: -1 }).select('createdAt'),
+  ]);
+
+  // Refunds and adjustments go both ways, so each type keeps its credits and debits apart
+  const byType = {};
+  groups.forEach(({ _id, amount, count }) => {
+    const totals = byType[_id.type] || { credits: 0, debits: 0, count: 0 };
+    const key = _id.debit ? 'debits' : 'credits';
+    totals[key] = roundCurrency(totals[key] + amount);
+    totals.count += count;
+    byType[_id.type] = totals;
+  });
+  const sum = (key) => roundCurrency(Object.values(byType).reduce((total, totals) => total + totals[key], 0));
+
+  return {
+    balance: user.balance,
+    totalCredits: sum('credits'),
+    totalDebits: sum('debits'),
+    byType,
+    pending: {
+      amount: pending.length > 0 ? roundCurrency(pending[0].amount) : 0,
+      count: pending.length > 0 ? pending[0].count : 0,
+    },
+    lastTransactionAt: last ? last.createdAt : null,
+  };
+};
+
+/**
+ * Get deposit totals per integration (Zeffy, Zapier, manual, ...)
+ * @param {Object} [query]
+ * @param {ObjectId} [query.user] - Omit for every user
+ * @param {Date} [query.startDate]
+ * @param {Date} [query.endDate]
+ * @returns {Promise<Object[]>} - { integrationSource, totalAmount, count, avgAmount }
+ */
+const getIntegrationStats = async ({ user, startDate, endDate } = {}) => {
+  const userId = user ? new mongoose.Types.ObjectId(user.toString()) : undefined;
+  const stats = await FundTransaction.getIntegrationStats(userId, { start: startDate, end: endDate });
+  return stats
+    .map(({ _id, totalAmount, count, avgAmount }) => ({
+      integrationSource: _id,
+      totalAmount: roundCurrency(totalAmount),
+      count,
+      avgAmount: roundCurrency(avgAmount),
+    }))
+    .sort((a, b) => b.totalAmount - a.totalAmount);
+};
+
+module.exports = {
+  buildTransactionFilter,
+  queryFundTransactions,
+  getFundTransactionById,
+  getWalletSummary,
+  getIntegrationStats,
+};
@@ -7,9 +7,25 @@ module.exports.tokenService = require('./token.service');
 module.exports.userService = require('./user.service');
 module.exports.socketService = require('./socket.service');
 module.exports.menuItemService = require('./menuItem.service');
+module.exports.walletService = require('./wallet.service');
+module.exports.fundTransactionService = require('./fundTransaction.service');
+module.exports.webhookService = require('./webhook.service');
+module.exports.unmatchedPaymentService = require('./unmatchedPayment.service');
+module.exports.reconciliationService = require('./reconciliation.service');
+module.exports.balanceAdjustmentService = require('./balanceAdjustment.service');
+module.exports.queueService = require('./queue.service');
+module.exports.pickupBoardService = require('./pickupBoard.service');
+module.exports.orderStreamService = require('./orderStream.service');
 module.exports.orderService = require('./order.service');
+module.exports.orderExportService = require('./orderExport.service');
+module.exports.receiptService = require('./receipt.service');
+module.exports.reviewService = require('./review.service');
+module.exports.messageService = require('./message.service');
+module.exports.uncollectedOrderService = require('./uncollectedOrder.service');
 module.exports.vendorCodeService = require('./vendorCode.service');
 module.exports.adminService = require('./admin.service');
+module.exports.vendorService = require('./vendor.service');
+
 module.exports.imageUploadService = new ImageUploadService();
 module.exports.googleCloudStorageService = require('./googleCloudStorage.service');
 module.exports.qrCodeService = new QRCodeService();
@@ -1,6 +1,7 @@
 const httpStatus = require('http-status');
 const { MenuItem } = require('../models');
 const ApiError = require('../utils/ApiError');
+const { getMenuItemRatings } = require('./review.service');
 
 // Note: OrderItem model doesn't exist, using Order model instead
 const { Order } = require('../models');
@@ -35,6 +36,8 @@ const queryMenuItems = async (userId) => {
   
   // Check if OrderItem collection has any documents before counting
   const hasOrderItems = await Order.exists({});
+
+  const ratings = await getMenuItemRatings(menuItems.map((item) => item._id));
   
   //Find how many have been sold for each item and return plain objects
   const menuItemsWithSoldCount = [];
@@ -48,6 +51,7 @@ const queryMenuItems = async (userId) => {
     } else {
       itemObj.soldCount = 0;
     }
+    itemObj.rating = ratings.get(item._id.toString());
     menuItemsWithSoldCount.push(itemObj);
   }
 
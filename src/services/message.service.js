@@ -0,0 +1,116 @@
+const httpStatus = require('http-status');
+const { Message, Order } = require('../models');
+const ApiError = require('../utils/ApiError');
+const socketService = require('./socket.service');
+
+/**
+ * Load an order the actor can see the chat of
+ * @param {ObjectId} orderId
+ * @param {User} actor - The order's customer or vendor, or an admin
+ * @returns {Promise<Order>}
+ */
+const getChatOrder = async (orderId, actor) => {
+  const order = await Order.findById(orderId).select('customer vendor status');
+  if (!order) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+  }
+
+  const isParty = [order.customer.toString(), order.vendor.toString()].includes(actor.id);
+  if (actor.type !== 'admin' && !isParty) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You can only see messages for your own orders');
+  }
+  return order;
+};
+
+/**
+ * Message as sent to clients, over REST and sockets
+ * @param {Message} message
+ * @returns {Object}
+ */
+const formatMessage = (message) => ({
+  id: message._id.toString(),
+  orderId: message.order.toString(),
+  senderId: message.sender.toString(),
+  senderType: message.senderType,
+  recipientId: message.recipient.toString(),
+  body: message.body,
+  readAt: message.readAt,
+  createdAt: message.createdAt,
+});
+
+/**
+ * Send a message on an order's thread, from the customer to the vendor or the other way round
+ * @param {ObjectId} orderId
+ * @param {User} actor - The order's customer or vendor
+ * @param {string} body
+ * @returns {Promise<Object>}
+ */
+const sendMessage = async (orderId, actor, body) => {
+  const order = await getChatOrder(orderId, actor);
+  const customerId = order.customer.toString();
+  const vendorId = order.vendor.toString();
+  if (![customerId, vendorId].includes(actor.id)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Only the customer and vendor can message on an order');
+  }
+
+  const fromVendor = actor.id === vendorId;
+  const message = await Message.create({
+    order: order._id,
+    sender: actor.id,
+    senderType: fromVendor ? 'vendor' : 'customer',
+    recipient: fromVendor ? customerId : vendorId,
+    body,
+  });
+
+  const formatted = formatMessage(message);
+  socketService.emitOrderMessage(formatted);
+  return formatted;
+};
+
+/**
+ * Get an order's thread, oldest message first
+ * @param {ObjectId} orderId
+ * @param {User} actor - The order's customer or vendor, or an admin
+ * @param {Object} options - Query options
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>} - With unreadCount, the messages waiting for the actor
+ */
+const getMessages = async (orderId, actor, options) => {
+  const order = await getChatOrder(orderId, actor);
+  const [messages, unreadCount] = await Promise.all([
+    Message.paginate({ order: order._id }, { ...options, sortBy: 'createdAt:asc' }),
+    Message.countDocuments({ order: order._id, recipient: actor.id, readAt: null }),
+  ]);
+
+  return {
+    ...messages,
+    results: messages.results.map(formatMessage),
+    unreadCount,
+  };
+};
+
+/**
+ * Mark every message the actor has received on an order's thread as read, and tell the sender
+ * @param {ObjectId} orderId
+ * @param {User} actor - The order's customer or vendor
+ * @returns {Promise<Object>} - { orderId, readAt, count }
+ */
+const markMessagesRead = async (orderId, actor) => {
+  const order = await getChatOrder(orderId, actor);
+  const readAt = new Date();
+  const result = await Message.updateMany({ order: order._id, recipient: actor.id, readAt: null }, { $set: { readAt } });
+
+  const receipt = { orderId: order._id.toString(), readerId: actor.id, readAt, count: result.modifiedCount };
+  if (receipt.count > 0) {
+    const senderId = actor.id === order.vendor.toString() ? order.customer.toString() : order.vendor.toString();
+    socketService.emitOrderMessagesRead(senderId, receipt);
+  }
+  return receipt;
+};
+
+module.exports = {
+  sendMessage,
+  getMessages,
+  markMessagesRead,
+};
@@ -1,23 +1,278 @@
 const httpStatus = require('http-status');
-const { Order, MenuItem } = require('../models');
+const mongoose = require('mongoose');
+const { Order, MenuItem, User, Settings } = require('../models');
 const ApiError = require('../utils/ApiError');
+const { isValidTransition, canTransition, queuedOrderStatuses } = require('../config/orderStatus');
+const { roundCurrency } = require('../utils/money');
 const userService = require('./user.service');
-const menuItemService = require('./menuItem.service');
-const { sendIncomingOrderEmail, sendOrderReadyEmail } = require('./email.service');
-const { create } = require('handlebars');
+const walletService = require('./wallet.service');
+const queueService = require('./queue.service');
+const pickupService = require('./pickup.service');
+const vendorService = require('./vendor.service');
+const { sendIncomingOrderEmail, sendOrderReadyEmail, sendOrdersReadyEmail } = require('./email.service');
+const socketService = require('./socket.service');
+const orderStreamService = require('./orderStream.service');
+const pickupBoardService = require('./pickupBoard.service');
+const logger = require('../config/logger');
+const config = require('../config/config');
 
-const { User } = require('../models');
+/**
+ * Resolve the id of a possibly populated reference
+ * @param {ObjectId|Object} ref
+ * @returns {string}
+ */
+const getRefId = (ref) => (ref && ref._id ? ref._id : ref).toString();
 
-const config = require('../config/config');
+/**
+ * Get the user type an actor makes transitions as
+ * @param {User} [actor] - Omit for background jobs
+ * @returns {string}
+ */
+const getActorType = (actor) => (actor ? actor.type || actor.role : 'system');
+
+/**
+ * Push the balance change recorded by each ledger entry to its owner
+ * @param {FundTransaction[]} transactions
+ */
+const emitBalanceUpdates = (transactions) => {
+  transactions.forEach((transaction) => {
+    socketService.emitBalanceUpdate(transaction.user.toString(), {
+      newBalance: transaction.balanceAfter,
+      oldBalance: transaction.balanceBefore,
+      amount: transaction.direction === 'debit' ? -transaction.amount : transaction.amount,
+      reason: transaction.description,
+    });
+  });
+};
+
+/**
+ * Check the options a customer picked against the item's modifier groups
+ * @param {MenuItem} menuItem
+ * @param {Array<{groupId: ObjectId, optionIds: ObjectId[]}>} [selections]
+ * @returns {Object[]} - Chosen modifiers as stored on the order line
+ */
+const resolveModifiers = (menuItem, selections = []) => {
+  const groups = menuItem.modifierGroups || [];
+  const selectedByGroup = new Map();
+  selections.forEach((selection) => {
+    const groupId = selection.groupId.toString();
+    if (!groups.some((group) => group.id === groupId)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `${menuItem.name} has no modifier group ${groupId}`);
+    }
+    if (selectedByGroup.has(groupId)) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Modifier group ${groupId} was selected more than once for ${menuItem.name}`
+      );
+    }
+    selectedByGroup.set(
+      groupId,
+      selection.optionIds.map((optionId) => optionId.toString())
+    );
+  });
+
+  return groups.flatMap((group) => {
+    const optionIds = selectedByGroup.get(group.id) || [];
+    const minSelections = Math.max(group.minSelections || 0, group.required ? 1 : 0);
+    const maxSelections = Math.max(group.maxSelections || 1, minSelections);
+
+    if (optionIds.length < minSelections) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Choose at least ${minSelections} ${group.name} option${minSelections > 1 ? 's' : ''} for ${menuItem.name}`
+      );
+    }
+    if (optionIds.length > maxSelections) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Choose at most ${maxSelections} ${group.name} option${maxSelections > 1 ? 's' : ''} for ${menuItem.name}`
+      );
+    }
+
+    return optionIds.map((optionId) => {
+      const option = group.options.find((candidate) => candidate.id === optionId);
+      if (!option) {
+        throw new ApiError(httpStatus.BAD_REQUEST, `${group.name} has no option ${optionId} for ${menuItem.name}`);
+      }
+      return {
+        groupId: group._id,
+        group: group.name,
+        optionId: option._id,
+        option: option.name,
+        priceDelta: option.priceDelta || 0,
+      };
+    });
+  });
+};
+
+/**
+ * Price cart lines against the vendor's menu
+ * @param {ObjectId} vendorId
+ * @param {Array<{itemId: ObjectId, quantity: number, modifiers: Object[]}>} lines
+ * @returns {Promise<Object[]>} - Order line items
+ */
+const buildOrderItems = async (vendorId, lines) => {
+  const menuItemIds = [...new Set(lines.map((line) => line.itemId.toString()))];
+  const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } });
+  const menuItemsById = new Map(menuItems.map((menuItem) => [menuItem.id, menuItem]));
+
+  return lines.map((line) => {
+    const menuItem = menuItemsById.get(line.itemId.toString());
+    if (!menuItem) {
+      throw new ApiError(httpStatus.NOT_FOUND, `Menu item ${line.itemId} not found`);
+    }
+
+    // Every line of the basket must come from the vendor the order is placed with
+    if (menuItem.vendor.toString() !== vendorId.toString()) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Menu item ${menuItem.name} does not belong to the specified vendor`);
+    }
+
+    // The unit price includes the chosen options; discounts can't take it below zero
+    const modifiers = resolveModifiers(menuItem, line.modifiers);
+    const unitPrice = roundCurrency(
+      Math.max(
+        0,
+        modifiers.reduce((total, modifier) => total + modifier.priceDelta, menuItem.price)
+      )
+    );
+
+    return {
+      menuItemId: menuItem._id,
+      name: menuItem.name,
+      description: menuItem.description || '',
+      quantity: line.quantity,
+      price: unitPrice,
+      totalPrice: roundCurrency(unitPrice * line.quantity),
+      preparationTime: menuItem.preparationTime,
+      modifiers,
+    };
+  });
+};
+
+/**
+ * Shape a line's chosen options for responses and notifications
+ * @param {Object} item - Order line
+ * @returns {Object[]}
+ */
+const formatModifiers = (item) =>
+  (item.modifiers || []).map((modifier) => ({
+    group: modifier.group,
+    option: modifier.option,
+    priceDelta: modifier.priceDelta,
+  }));
+
+/**
+ * Shape order lines for list responses
+ * @param {Order} order
+ * @returns {Object[]}
+ */
+const formatOrderItems = (order) =>
+  order.items.map((item) => ({
+    menuItemId: item.menuItemId,
+    name: item.name,
+    quantity: item.quantity,
+    price: item.price,
+    totalPrice: item.totalPrice,
+    modifiers: formatModifiers(item),
+  }));
+
+/**
+ * Push a vendor's moved queue to everyone waiting in it and to the pickup board,
+ * and update whether the vendor is taking orders
+ * @param {ObjectId} vendorId
+ * @returns {Promise<void>}
+ */
+const handleQueueChange = async (vendorId) => {
+  const queue = await queueService.broadcastQueueUpdate(vendorId);
+  if (queue) {
+    await vendorService.refreshVendorAvailability(vendorId, queue);
+  }
+  await pickupBoardService.broadcastVendorBoard(vendorId);
+};
+
+/**
+ * Get the pickup slot a scheduled time falls in
+ * @param {Date} scheduledTime
+ * @param {number} slotMinutes
+ * @returns {{start: Date, end: Date}}
+ */
+const getPickupSlot = (scheduledTime, slotMinutes) => {
+  const slotMs = slotMinutes * 60 * 1000;
+  const start = Math.floor(new Date(scheduledTime).getTime() / slotMs) * slotMs;
+  return { start: new Date(start), end: new Date(start + slotMs) };
+};
+
+/**
+ * Reject a scheduled order when the vendor's pickup slot is already full
+ * @param {User} vendor
+ * @param {Date} scheduledTime
+ * @param {ClientSession} [session]
+ * @returns {Promise<void>}
+ */
+const assertSlotAvailable = async (vendor, scheduledTime, session = null) => {
+  const { slotMinutes = 15, maxOrdersPerSlot } = vendor.vendorSettings || {};
+  if (!maxOrdersPerSlot) {
+    return;
+  }
+
+  const slot = getPickupSlot(scheduledTime, slotMinutes);
+  const ordersInSlot = await Order.countDocuments({
+    vendor: vendor._id,
+    scheduledTime: { $gte: slot.start, $lt: slot.end },
+    status: { $ne: 'cancelled' },
+  }).session(session);
+
+  if (ordersInSlot >= maxOrdersPerSlot) {
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      `The ${slot.start.toISOString()} pickup slot is full, please choose another time`
+    );
+  }
+};
 
+/**
+ * Tell the vendor a new order has reached their queue
+ * @param {Order} order - Order with the customer populated
+ */
+const notifyVendorOfNewOrder = (order) => {
+  socketService.emitNewOrderToVendor(getRefId(order.vendor), {
+    orderId: order._id.toString(),
+    orderNumber: order.orderNumber,
+    customerId: order.customer._id.toString(),
+    customerName: order.customer.name,
+    customerUsername: order.customer.username,
+    items: order.items.map((item) => ({
+      menuItemId: item.menuItemId,
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      totalPrice: item.totalPrice,
+      modifiers: formatModifiers(item),
+    })),
+    summary: order.getItemsSummary(),
+    totalPrice: order.totalAmount,
+    tipAmount: order.tipAmount,
+    scheduledTime: order.scheduledTime,
+  });
+  orderStreamService.publishOrderEvent('order-created', order);
+};
 
 /**
  * Create an order
  * @param {Object} orderBody
+ * @param {ObjectId} orderBody.vendorId
+ * @param {ObjectId} orderBody.userId
+ * @param {Array<{itemId: ObjectId, quantity: number, modifiers: Object[]}>} [orderBody.items] - Cart lines, with the options picked per modifier group
+ * @param {ObjectId} [orderBody.itemId] - Legacy single-item order
+ * @param {number} [orderBody.quantity] - Quantity for the legacy single-item order
+ * @param {Object[]} [orderBody.modifiers] - Options picked for the legacy single-item order
+ * @param {string} [orderBody.orderType] - 'instant', or 'pre-order'/'scheduled' for a later pickup
+ * @param {Date} [orderBody.scheduledTime] - Pickup time for scheduled orders
+ * @param {{amount: number}|{percentage: number}} [orderBody.tip] - Tip for the vendor, charged on top of the order
  * @returns {Promise<Order>}
  */
 const createOrder = async (orderBody) => {
-  const { vendorId, itemId, userId, quantity, item } = orderBody;
+  const { vendorId, userId, itemId, quantity, notes, orderType = 'instant', scheduledTime, tip } = orderBody;
 
   // Validate vendor exists
   const vendor = await userService.getUserById(vendorId);
@@ -31,72 +286,162 @@ const createOrder = async (orderBody) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Customer not found');
   }
 
-  let orderItem;
-  
-  if (itemId) {
-    // If specific menu item ID is provided, get menu item details
-    const menuItem = await menuItemService.getMenuItemById(itemId);
-    if (!menuItem) {
-      throw new ApiError(httpStatus.NOT_FOUND, 'Menu item not found');
+  // Single-item payloads are treated as a one-line cart
+  let lines = orderBody.items;
+  if (!lines || lines.length === 0) {
+    if (!itemId) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Either items or itemId must be provided');
     }
+    lines = [{ itemId, quantity, modifiers: orderBody.modifiers }];
+  }
 
-    // Verify the menu item belongs to the specified vendor
-    if (menuItem.vendor._id.toString() !== vendorId) {
-      throw new ApiError(httpStatus.BAD_REQUEST, 'Menu item does not belong to the specified vendor');
-    }
+  // Orders for a later slot are held as pending until the scheduler releases them to the kitchen
+  const isScheduled = ['pre-order', 'scheduled'].includes(orderType) && !!scheduledTime;
+  const leadMinutes = isScheduled ? await Settings.getScheduledOrderLeadMinutes() : 0;
+  const isHeld = isScheduled && new Date(scheduledTime).getTime() - Date.now() > leadMinutes * 60 * 1000;
+  const placedAt = new Date();
 
-    orderItem = {
-      name: menuItem.name,
-      description: menuItem.description || '',
-      quantity: quantity,
-      price: menuItem.price,
-      totalPrice: menuItem.price * quantity,
-      menuItemId: itemId // Add reference to menu item
-    };
-  } else if (item) {
-    // If no specific menu item ID, use provided item details
-    orderItem = {
-      name: item.name || item,
-      description: item.description || '',
-      quantity: quantity,
-      price: item.price || 0,
-      totalPrice: (item.price || 0) * quantity,
-    };
-  } else {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Either itemId or item details must be provided');
-  }
-
-  // Create the order
-  const order = await Order.create({
-    customer: userId,
-    vendor: vendorId,
-    items: [orderItem],
-    totalAmount: orderItem.totalPrice,
-    status: 'preparing',
-    paymentStatus: 'paid',
-  });
+  const items = await buildOrderItems(vendorId, lines);
+  const totalAmount = roundCurrency(items.reduce((total, item) => total + item.totalPrice, 0));
 
-  //Send the Email to the Vendor
-  await sendIncomingOrderEmail(
-    vendor.email,           // to
-    vendor.name,            // vendorName
-    customer.name,          // customerName
-    order.items[0].name,    // orderName
-    order.totalAmount,      // orderAmount
-    order.createdAt,        // orderDate
-    config.frontend.url      // orderUrl
-  );
+  // The fee rate is frozen on the order so later fee changes don't rewrite settled orders
+  const platformFeePercentage = await Settings.getPlatformFee();
+  const platformFee = roundCurrency((totalAmount * platformFeePercentage) / 100);
+  const vendorPayout = roundCurrency(totalAmount - platformFee);
+
+  // Tips sit outside the fee split, the vendor gets all of it
+  const tipPercentage = tip && tip.percentage != null ? tip.percentage : undefined;
+  const tipAmount = roundCurrency(tipPercentage != null ? (totalAmount * tipPercentage) / 100 : (tip && tip.amount) || 0);
+
+  // The order, both balance movements and their ledger entries commit or roll back together
+  const session = await mongoose.startSession();
+  let order;
+  let payment;
+  let sale;
+  let tipCredit;
+  try {
+    await session.withTransaction(async () => {
+      // Paused or swamped vendors turn new orders away before the customer is charged. Checked in the
+      // transaction: taking an order number writes the vendor's counter, so two checkouts for the same vendor
+      // conflict and the loser retries against a queue that includes the winner's order.
+      await vendorService.assertVendorAcceptingOrders(vendor, { isScheduled: isHeld, session });
+      if (isScheduled) {
+        await assertSlotAvailable(vendor, scheduledTime, session);
+      }
+
+      const status = isHeld ? 'pending' : 'preparing';
+      const orderNumber = await pickupBoardService.nextOrderNumber(vendor, session);
+      [order] = await Order.create(
+        [
+          {
+            customer: userId,
+            vendor: vendorId,
+            orderNumber,
+            items,
+            totalAmount,
+            platformFeePercentage,
+            platformFee,
+            vendorPayout,
+            tipAmount,
+            tipPercentage,
+            status,
+            statusHistory: [
+              {
+                to: status,
+                changedBy: customer._id,
+                actorType: getActorType(customer),
+                note: isHeld ? `Order scheduled for ${new Date(scheduledTime).toISOString()}` : 'Order placed',
+              },
+            ],
+            paymentStatus: 'paid',
+            orderType,
+            scheduledTime: isScheduled ? scheduledTime : undefined,
+            queuedAt: isHeld ? undefined : placedAt,
+            notes,
+          },
+        ],
+        { session }
+      );
+
+      payment = await walletService.debitUser(
+        customer._id,
+        roundCurrency(totalAmount + tipAmount),
+        {
+          type: 'payment',
+          method: 'wallet',
+          relatedOrder: order._id,
+          description: tipAmount > 0 ? `Payment to ${vendor.name} (including tip)` : `Payment to ${vendor.name}`,
+          metadata: { orderAmount: totalAmount, tipAmount },
+        },
+        session
+      );
+      sale = await walletService.creditUser(
+        vendor._id,
+        vendorPayout,
+        {
+          type: 'sale',
+          method: 'wallet',
+          relatedOrder: order._id,
+          description: `Sale to ${customer.name}`,
+          metadata: { grossAmount: totalAmount, platformFee, platformFeePercentage },
+        },
+        session
+      );
 
-  // Send the Email Debug
-  console.log('Sending incoming order email...');
-  console.log(`To: ${vendor.email}, Vendor Name: ${vendor.name}, Customer Name: ${customer.name}, Order Name: ${order.items[0].name}, Order Amount: ${order.totalAmount}, Order Date: ${order.createdAt}, Order URL: ${config.frontend.url}`);
+      // Tips get their own ledger entry so they can be reported apart from sales
+      tipCredit =
+        tipAmount > 0
+          ? await walletService.creditUser(
+              vendor._id,
+              tipAmount,
+              { type: 'tip', method: 'wallet', relatedOrder: order._id, description: `Tip from ${customer.name}` },
+              session
+            )
+          : null;
+
+      await User.updateOne({ _id: customer._id }, { $push: { pendingOrders: order._id } }, { session });
+      await User.updateOne(
+        { _id: vendor._id },
+        { $push: { salesHistory: order._id }, $inc: { totalSales: totalAmount, totalTips: tipAmount } },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  emitBalanceUpdates([payment, sale, tipCredit].filter(Boolean));
+
+  // Send the Email to the Vendor
+  try {
+    await sendIncomingOrderEmail(
+      vendor.email, // to
+      vendor.name, // vendorName
+      customer.name, // customerName
+      order.getItemsSummary(), // orderName
+      order.totalAmount, // orderAmount
+      order.createdAt, // orderDate
+      config.frontend.url, // orderUrl
+      order.items, // orderItems
+      order.tipAmount // tipAmount
+    );
+  } catch (error) {
+    // The order is already placed, a mail outage shouldn't fail it
+    logger.error(`Failed to send incoming order email for order ${order._id}:`, error);
+  }
 
   // Populate customer and vendor details
   await order.populate([
     { path: 'customer', select: 'name email username' },
-    { path: 'vendor', select: 'name email username' }
+    { path: 'vendor', select: 'name email username' },
   ]);
 
+  // Held orders reach the vendor's queue when the scheduler releases them
+  if (!isHeld) {
+    notifyVendorOfNewOrder(order);
+    await handleQueueChange(vendor._id);
+  }
+
   return order;
 };
 
@@ -143,31 +488,32 @@ const getOrdersByCustomer = async (customerId) => {
     .sort({ createdAt: -1 });
 
   // Refactor to return only necessary fields and different format 
+  const queues = new Map();
   const formattedOrders = await Promise.all(orders.map(async order => {
-    // Get the first item from the items array if it exists
-    const firstItem = order.items && order.items.length > 0 ? order.items[0] : {};
-    
     // Look for vendor name in order or fallback to first item
     const vendor = await userService.getUserById(order.vendor);
 
-    // Find Queue position based by determine how many orders of this exact item are ahead and marked as 'preparing' from all orders, not just this customer
-    const ordersAhead = await Order.countDocuments({
-        'items.name': firstItem.name,  // Same item name
-        status: 'preparing',           // Only preparing orders
-        createdAt: { $lt: order.createdAt }  // Created before this order
-    });
-    
-    return {
-      id: order.id || order._id,
-      vendor: vendor.username || 'Unknown Vendor',
-      item: firstItem.name,
-      status: order.status || 'preparing',
-      queuePosition: ordersAhead + 1,
-      price: order.totalAmount,
-      quantity: firstItem.quantity || 1,
-    };
-  }));
-  
+      // Each vendor's queue is computed once and shared by all of the customer's orders with them
+      const vendorId = getRefId(order.vendor);
+      if (!queues.has(vendorId)) {
+        queues.set(vendorId, queueService.getVendorQueue(vendorId));
+      }
+      const queue = await queues.get(vendorId);
+      const queueInfo = queue.find((entry) => entry.orderId === order._id.toString());
+
+      return {
+        id: order.id || order._id,
+        vendor: vendor.username || 'Unknown Vendor',
+        item: order.getItemsSummary(),
+        items: formatOrderItems(order),
+        status: order.status || 'preparing',
+        ...queueService.toQueueFields(queueInfo),
+        price: order.totalAmount,
+        quantity: order.items.reduce((total, item) => total + item.quantity, 0) || 1,
+      };
+    })
+  );
+
   return formattedOrders;
 };
 
@@ -183,30 +529,36 @@ const getOrdersByVendor = async (vendorId) => {
     ])
     .sort({ createdAt: -1 });
 
+  const queue = await queueService.getVendorQueue(vendorId);
+
   // Change into object to send back
-  const formattedOrders = await Promise.all(orders.map(async order => {
-    const firstItem = order.items && order.items.length > 0 ? order.items[0] : {};
-    
-    //Lookup Customer name
-    const vendor = await User.findById(order.vendor);
+  const formattedOrders = await Promise.all(
+    orders.map(async (order) => {
+      // Lookup Customer name
+      const vendor = await User.findById(order.vendor);
+      const queueInfo = queue.find((entry) => entry.orderId === order._id.toString());
 
-    return {
-      id: order._id,
-      customer: order.customer.name,
-      vendor: vendor.username,
-      item: firstItem.name,
-      status: order.status,
-      totalAmount: order.totalAmount,
-      quantity: firstItem.quantity,
-      createdAt: order.createdAt
-    };
-  }));
+      return {
+        id: order._id,
+        customer: order.customer.name,
+        vendor: vendor.username,
+        item: order.getItemsSummary(),
+        items: formatOrderItems(order),
+        status: order.status,
+        ...queueService.toQueueFields(queueInfo),
+        totalAmount: order.totalAmount,
+        quantity: order.items.reduce((total, item) => total + item.quantity, 0),
+        createdAt: order.createdAt,
+      };
+    })
+  );
 
   return formattedOrders;
 };
 
 /**
  * Update order by id
+ * Status changes go through updateOrderStatus so they respect the transition graph
  * @param {ObjectId} orderId
  * @param {Object} updateBody
  * @returns {Promise<Order>}
@@ -217,22 +569,8 @@ const updateOrderById = async (orderId, updateBody) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
   }
 
-  console.log("Order: ", order);
-
-  //Check to see if order is ready
-  if (order.status === 'ready') {
-
-    // Send "Order is Ready" email to the customer
-    await sendOrderReadyEmail(
-      order.customer.email,           // to
-      order.customer.name,            // customerName
-      order.items[0].name,                // orderName
-      order.totalAmount,        // orderAmount
-      order.updatedAt,            // readyDate (or use new Date() if not available)
-      config.frontend.url        // orderUrl
-    );
-  
-    console.log("Sent Order Ready Email to Customer");
+  if (updateBody.status && updateBody.status !== order.status) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Use the order status endpoint to change the status');
   }
 
   Object.assign(order, updateBody);
@@ -241,44 +579,653 @@ const updateOrderById = async (orderId, updateBody) => {
 };
 
 /**
- * Update order status
- * @param {ObjectId} orderId
+ * Check that an actor may move an order to a new status
+ * @param {Order} order
  * @param {string} status
+ * @param {User} [actor]
+ */
+const assertStatusTransition = (order, status, actor) => {
+  const actorType = getActorType(actor);
+
+  if (!isValidTransition(order.status, status)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Cannot change order status from ${order.status} to ${status}`);
+  }
+
+  if (!canTransition(order.status, status, actorType)) {
+    throw new ApiError(httpStatus.FORBIDDEN, `A ${actorType} cannot change order status from ${order.status} to ${status}`);
+  }
+
+  // Vendors and customers may only act on their own orders
+  if (actorType === 'vendor' && getRefId(order.vendor) !== getRefId(actor)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Order belongs to another vendor');
+  }
+  if (actorType === 'customer' && getRefId(order.customer) !== getRefId(actor)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Order belongs to another customer');
+  }
+};
+
+/**
+ * Move an order to a new status and record it in the status history. Does not save the order,
+ * save it with saveStatusTransition.
+ * @param {Order} order
+ * @param {string} status
+ * @param {User} [actor] - Omit for background jobs
+ * @param {string} [note]
+ * @returns {Order}
+ */
+const applyStatusTransition = (order, status, actor, note) => {
+  assertStatusTransition(order, status, actor);
+
+  const changedAt = new Date();
+  // A held order joins the queue when the vendor takes it early too, not only when the scheduler releases it
+  const entersQueue = !queuedOrderStatuses.includes(order.status) && queuedOrderStatuses.includes(status);
+  order.statusHistory.push({
+    from: order.status,
+    to: status,
+    changedBy: actor ? actor._id : undefined,
+    actorType: getActorType(actor),
+    note,
+    changedAt,
+  });
+  order.set('status', status);
+  if (entersQueue) {
+    if (!order.queuedAt) {
+      order.set('queuedAt', changedAt);
+    }
+    // Read by the notifications once the order is saved
+    order.$locals.enteredQueue = true; // eslint-disable-line no-param-reassign
+  }
+
+  // The customer gets a code to show at the counter once the food is ready
+  if (status === 'ready') {
+    pickupService.issuePickupCode(order);
+  }
+
+  if (status === 'completed') {
+    order.set({ isMarkedOff: true, markedOffAt: changedAt });
+    // A used code can't be replayed
+    order.set('pickup.code', undefined);
+  }
+
+  return order;
+};
+
+/**
+ * Save an order after applyStatusTransition, as long as nobody else changed its status since it was loaded.
+ * Of two requests moving the same order at once only the first one is saved, the other gets a 409.
+ * @param {Order} order
+ * @param {string} fromStatus - The status the order was loaded with
+ * @param {ClientSession} [session]
  * @returns {Promise<Order>}
  */
-const updateOrderStatus = async (orderId, status) => {
-  const validStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid order status');
+const saveStatusTransition = async (order, fromStatus, session = null) => {
+  /* eslint-disable no-param-reassign */
+  order.$where = { status: fromStatus };
+  try {
+    return await order.save({ session });
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      throw new ApiError(httpStatus.CONFLICT, 'The order status changed meanwhile, reload the order and try again');
+    }
+    throw error;
+  } finally {
+    order.$where = undefined;
+  }
+  /* eslint-enable no-param-reassign */
+};
+
+/**
+ * Notify the customer that their order moved to a new status
+ * @param {Order} order - Populated order
+ * @returns {Promise<void>}
+ */
+const notifyCustomerOfStatusChange = async (order) => {
+  const customerId = getRefId(order.customer);
+  const orderId = order._id.toString();
+  const summary = order.getItemsSummary();
+
+  socketService.emitOrderStatusUpdate(customerId, orderId, order.status, summary);
+
+  if (order.status === 'ready') {
+    const pickup = await pickupService.formatPickupCode(order);
+    socketService.emitOrderReady(orderId, {
+      itemName: summary,
+      orderNumber: order.orderNumber,
+      userId: customerId,
+      vendorId: getRefId(order.vendor),
+      vendorName: order.vendor.name,
+      pickup,
+    });
+
+    try {
+      // Send "Order is Ready" email to the customer
+      await sendOrderReadyEmail(
+        order.customer.email, // to
+        order.customer.name, // customerName
+        summary, // orderName
+        order.totalAmount, // orderAmount
+        new Date(), // readyDate
+        config.frontend.url, // orderUrl
+        pickup.code // pickupCode
+      );
+    } catch (error) {
+      logger.error(`Failed to send order ready email for order ${orderId}:`, error);
+    }
+  }
+
+  if (order.status === 'completed') {
+    socketService.emitOrderCompletion(customerId, orderId, summary);
+  }
+};
+
+/**
+ * Notify a customer about several of their orders that moved to the same status at once,
+ * with one notification and at most one email instead of one per order
+ * @param {Order[]} orders - Populated orders of one customer
+ * @returns {Promise<void>}
+ */
+const notifyCustomerOfBulkStatusChange = async (orders) => {
+  const [{ customer, status }] = orders;
+  const isReady = status === 'ready';
+  const details = await Promise.all(
+    orders.map(async (order) => ({
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      itemName: order.getItemsSummary(),
+      vendorId: getRefId(order.vendor),
+      vendorName: order.vendor.name,
+      pickup: isReady ? await pickupService.formatPickupCode(order) : undefined,
+    }))
+  );
+
+  const numbers = details.map((order) => order.orderNumber || order.itemName).join(', ');
+  socketService.emitNotification(getRefId(customer), {
+    message: `Your orders ${numbers} are now ${status}!`,
+    type: 'orders-status-update',
+    data: { status, orders: details },
+  });
+
+  if (isReady) {
+    try {
+      await sendOrdersReadyEmail(
+        customer.email,
+        customer.name,
+        details.map((order, index) => ({
+          orderNumber: order.orderNumber,
+          orderName: order.itemName,
+          orderAmount: orders[index].totalAmount,
+          vendorName: order.vendorName,
+          pickupCode: order.pickup.code,
+        })),
+        new Date(),
+        config.frontend.url
+      );
+    } catch (error) {
+      logger.error(`Failed to send orders ready email to customer ${getRefId(customer)}:`, error);
+    }
+  }
+};
+
+/**
+ * Put an order's new status on the vendor's screens. The kitchen display never saw a held order,
+ * so one that just entered the queue arrives as a new order rather than an update.
+ * @param {Order} order - Populated order
+ */
+const publishOrderStatusChange = (order) => {
+  if (order.$locals.enteredQueue) {
+    notifyVendorOfNewOrder(order);
+    return;
   }
+  orderStreamService.publishOrderEvent(order.status === 'cancelled' ? 'order-cancelled' : 'order-updated', order);
+};
 
-  return updateOrderById(orderId, { status });
+/**
+ * Notify everyone affected by an order's new status: the customer, the kitchen display and the vendor's queue
+ * @param {Order} order - Populated order
+ * @returns {Promise<void>}
+ */
+const notifyOrderStatusChange = async (order) => {
+  await notifyCustomerOfStatusChange(order);
+  publishOrderStatusChange(order);
+  await handleQueueChange(getRefId(order.vendor));
 };
 
 /**
- * Cancel order
+ * Notify everyone affected by a bulk status change. Each customer hears once about all of their orders
+ * and each vendor's queue is refreshed once.
+ * @param {Order[]} orders - Populated orders that changed
+ * @returns {Promise<void>}
+ */
+const notifyBulkStatusChange = async (orders) => {
+  const byCustomer = new Map();
+  orders.forEach((order) => {
+    const customerId = getRefId(order.customer);
+    byCustomer.set(customerId, (byCustomer.get(customerId) || []).concat(order));
+    publishOrderStatusChange(order);
+  });
+
+  await Array.from(byCustomer.values()).reduce(async (previous, customerOrders) => {
+    await previous;
+    try {
+      await (customerOrders.length === 1
+        ? notifyCustomerOfStatusChange(customerOrders[0])
+        : notifyCustomerOfBulkStatusChange(customerOrders));
+    } catch (error) {
+      logger.error(`Failed to notify customer ${getRefId(customerOrders[0].customer)} of a bulk status change:`, error);
+    }
+  }, Promise.resolve());
+
+  const vendorIds = [...new Set(orders.map((order) => getRefId(order.vendor)))];
+  await vendorIds.reduce(async (previous, vendorId) => {
+    await previous;
+    await handleQueueChange(vendorId);
+  }, Promise.resolve());
+};
+
+/**
+ * Move part of an order's payment back to the customer and record it on the order.
+ * The vendor returns their share and the platform gives up its fee on the refunded amount.
+ * The customer is always refunded in full; a vendor who already spent the payout is left owing the rest.
+ * Must run inside the caller's transaction; does not save the order.
+ * @param {Order} order
+ * @param {number} amount
+ * @param {Object} refund
+ * @param {User} [refund.actor]
+ * @param {string} [refund.reason]
+ * @param {Object[]} [refund.items] - Refunded lines
+ * @param {ClientSession} session
+ * @returns {Promise<FundTransaction[]>} - Customer and vendor ledger entries
+ */
+const refundOrderAmount = async (order, amount, { actor, reason, items = [] }, session) => {
+  const customerId = getRefId(order.customer);
+  const vendorId = getRefId(order.vendor);
+  const description = reason ? `Refund for order ${order._id}: ${reason}` : `Refund for order ${order._id}`;
+
+  // The last refund takes whatever fee is left so rounding never strands a few cents
+  const isFinalRefund = roundCurrency(order.refundedAmount + amount) >= order.totalAmount;
+  const feeRefund = isFinalRefund
+    ? order.platformFee
+    : Math.min(order.platformFee, roundCurrency((amount * (order.platformFeePercentage || 0)) / 100));
+  const vendorShare = roundCurrency(amount - feeRefund);
+
+  const customerRefund = await walletService.creditUser(
+    customerId,
+    amount,
+    { type: 'refund', method: 'wallet', relatedOrder: order._id, description },
+    session
+  );
+  const vendorRefund = await walletService.clawbackUser(
+    vendorId,
+    vendorShare,
+    {
+      type: 'refund',
+      method: 'wallet',
+      relatedOrder: order._id,
+      description,
+      metadata: { grossAmount: amount, platformFee: feeRefund },
+    },
+    session
+  );
+  await User.updateOne({ _id: vendorId }, { $inc: { totalSales: -amount } }, { session });
+
+  const refundedAmount = roundCurrency(order.refundedAmount + amount);
+  order.set({
+    platformFee: roundCurrency(order.platformFee - feeRefund),
+    vendorPayout: roundCurrency(order.vendorPayout - vendorShare),
+    refundedAmount,
+    paymentStatus: refundedAmount >= order.totalAmount ? 'refunded' : 'partially_refunded',
+  });
+  order.refunds.push({ amount, items, reason, refundedBy: actor ? actor._id : undefined });
+
+  return [customerRefund, vendorRefund];
+};
+
+/**
+ * Give the customer back the part of their tip the vendor has not returned yet
+ * @param {Order} order
+ * @param {string} [reason]
+ * @param {ClientSession} session
+ * @returns {Promise<FundTransaction[]>} - Customer credit and vendor debit
+ */
+const refundOrderTip = async (order, reason, session) => {
+  const amount = roundCurrency(order.tipAmount - order.refundedTipAmount);
+  if (amount <= 0) {
+    return [];
+  }
+
+  const customerId = getRefId(order.customer);
+  const vendorId = getRefId(order.vendor);
+  const description = reason ? `Tip refund for order ${order._id}: ${reason}` : `Tip refund for order ${order._id}`;
+
+  const customerRefund = await walletService.creditUser(
+    customerId,
+    amount,
+    { type: 'refund', method: 'wallet', relatedOrder: order._id, description },
+    session
+  );
+  const vendorRefund = await walletService.clawbackUser(
+    vendorId,
+    amount,
+    { type: 'refund', method: 'wallet', relatedOrder: order._id, description, metadata: { tipAmount: amount } },
+    session
+  );
+  await User.updateOne({ _id: vendorId }, { $inc: { totalTips: -amount } }, { session });
+
+  order.set('refundedTipAmount', roundCurrency(order.refundedTipAmount + amount));
+  return [customerRefund, vendorRefund];
+};
+
+/**
+ * Cancel order and refund whatever the customer has not already been refunded, tip included
  * @param {ObjectId} orderId
+ * @param {User} [actor] - User cancelling, omit for background jobs
+ * @param {string} [reason]
+ * @param {Object} [options]
+ * @param {boolean} [options.notify] - False when the caller sends the notifications itself, e.g. for a bulk change
  * @returns {Promise<Order>}
  */
-const cancelOrder = async (orderId) => {
-  return updateOrderStatus(orderId, 'cancelled');
+const cancelOrder = async (orderId, actor, reason, { notify = true } = {}) => {
+  const session = await mongoose.startSession();
+  let order;
+  let transactions = [];
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+      if (!order) {
+        throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+      }
+
+      const fromStatus = order.status;
+      applyStatusTransition(order, 'cancelled', actor, reason);
+
+      const refundAmount = roundCurrency(order.totalAmount - order.refundedAmount);
+      const isPaid = ['paid', 'partially_refunded'].includes(order.paymentStatus);
+      transactions =
+        isPaid && refundAmount > 0
+          ? await refundOrderAmount(
+              order,
+              refundAmount,
+              {
+                actor,
+                reason: reason || 'Order cancelled',
+                items: order.items
+                  .filter((item) => item.quantity > item.refundedQuantity)
+                  .map((item) => ({
+                    lineId: item._id,
+                    name: item.name,
+                    quantity: item.quantity - item.refundedQuantity,
+                    amount: roundCurrency(item.price * (item.quantity - item.refundedQuantity)),
+                  })),
+              },
+              session
+            )
+          : [];
+      // The tip goes back even when every line was already refunded on its own
+      transactions = transactions.concat(await refundOrderTip(order, reason || 'Order cancelled', session));
+      order.items.forEach((item) => item.set('refundedQuantity', item.quantity));
+
+      await saveStatusTransition(order, fromStatus, session);
+      await User.updateOne({ _id: order.customer }, { $pull: { pendingOrders: order._id } }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  emitBalanceUpdates(transactions);
+
+  await order.populate([
+    { path: 'customer', select: 'name email username' },
+    { path: 'vendor', select: 'name email username' },
+  ]);
+  if (notify) {
+    await notifyOrderStatusChange(order);
+  }
+  return order;
 };
 
 /**
- * Complete order
+ * Update order status through the transition graph
  * @param {ObjectId} orderId
+ * @param {string} status
+ * @param {User} [actor] - User making the change, omit for background jobs
+ * @param {string} [note]
+ * @param {Object} [handoff] - Needed when a vendor completes an order
+ * @param {string} [handoff.pickupCode] - Code or QR value the customer showed at the counter
+ * @param {string} [handoff.ipAddress]
+ * @param {Object} [options]
+ * @param {boolean} [options.notify] - False when the caller sends the notifications itself, e.g. for a bulk change
  * @returns {Promise<Order>}
  */
-const completeOrder = async (orderId) => {
+const updateOrderStatus = async (orderId, status, actor, note, handoff = {}, { notify = true } = {}) => {
+  // Cancelling moves money back, so it always goes through the refunding path
+  if (status === 'cancelled') {
+    return cancelOrder(orderId, actor, note, { notify });
+  }
+
   const order = await getOrderById(orderId);
   if (!order) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
   }
 
-  await order.markAsHandedOff();
+  // Vendors need the customer's pickup code to hand an order off. Admins and background jobs don't.
+  if (status === 'completed' && getActorType(actor) === 'vendor') {
+    assertStatusTransition(order, status, actor);
+    await pickupService.verifyPickupCode(order, handoff.pickupCode, actor, handoff);
+  }
+
+  const fromStatus = order.status;
+  applyStatusTransition(order, status, actor, note);
+  await saveStatusTransition(order, fromStatus);
+
+  // Keep the customer's order lists in step with the order
+  if (status === 'completed') {
+    await User.updateOne(
+      { _id: getRefId(order.customer) },
+      { $pull: { pendingOrders: order._id }, $addToSet: { completedOrders: order._id } }
+    );
+  }
+
+  if (notify) {
+    await notifyOrderStatusChange(order);
+  }
   return order;
 };
 
+/**
+ * Move several orders to the same status in one call, e.g. a vendor marking a batch ready at rush hour.
+ * Every order succeeds or fails on its own. Customers hear once about all of their orders that changed.
+ * @param {ObjectId[]} orderIds
+ * @param {string} status
+ * @param {User} actor
+ * @param {string} [note]
+ * @returns {Promise<Object>} - { status, updated, failed, results: [{ orderId, success, status, orderNumber, error }] }
+ */
+const bulkUpdateOrderStatus = async (orderIds, status, actor, note) => {
+  const uniqueIds = [...new Set(orderIds.map((orderId) => orderId.toString()))];
+
+  // One at a time, cancellations each run their own refund transaction
+  const { results, orders } = await uniqueIds.reduce(async (soFar, orderId) => {
+    const progress = await soFar;
+    try {
+      const order = await updateOrderStatus(orderId, status, actor, note, {}, { notify: false });
+      progress.orders.push(order);
+      progress.results.push({ orderId, success: true, status: order.status, orderNumber: order.orderNumber });
+    } catch (error) {
+      if (!error.isOperational) {
+        logger.error(`Bulk status change of order ${orderId} to ${status} failed:`, error);
+      }
+      progress.results.push({
+        orderId,
+        success: false,
+        error: {
+          code: error.statusCode || httpStatus.INTERNAL_SERVER_ERROR,
+          message: error.isOperational ? error.message : 'Failed to update order status',
+        },
+      });
+    }
+    return progress;
+  }, Promise.resolve({ results: [], orders: [] }));
+
+  await notifyBulkStatusChange(orders);
+
+  return { status, updated: orders.length, failed: results.length - orders.length, results };
+};
+
+/**
+ * Refund individual order lines without cancelling the order
+ * @param {ObjectId} orderId
+ * @param {Array<{lineId: ObjectId, quantity: number}>} lines - Order lines and how many units of each to refund
+ * @param {User} actor - Vendor who owns the order, or an admin
+ * @param {string} [reason]
+ * @returns {Promise<Order>}
+ */
+const refundOrderItems = async (orderId, lines, actor, reason) => {
+  const actorType = getActorType(actor);
+  if (!['vendor', 'admin'].includes(actorType)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Only the vendor or an admin can refund order items');
+  }
+
+  const session = await mongoose.startSession();
+  let order;
+  let transactions = [];
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+      if (!order) {
+        throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+      }
+      if (actorType === 'vendor' && getRefId(order.vendor) !== getRefId(actor)) {
+        throw new ApiError(httpStatus.FORBIDDEN, 'Order belongs to another vendor');
+      }
+      if (order.status === 'cancelled') {
+        throw new ApiError(httpStatus.BAD_REQUEST, 'Cancelled orders are already refunded');
+      }
+      if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+        throw new ApiError(httpStatus.BAD_REQUEST, `Cannot refund an order with payment status ${order.paymentStatus}`);
+      }
+
+      const refundedItems = lines.map((line) => {
+        const item = order.items.id(line.lineId);
+        if (!item) {
+          throw new ApiError(httpStatus.NOT_FOUND, `Order line ${line.lineId} not found`);
+        }
+
+        const remaining = item.quantity - item.refundedQuantity;
+        if (line.quantity > remaining) {
+          throw new ApiError(httpStatus.BAD_REQUEST, `Only ${remaining} x ${item.name} can still be refunded`);
+        }
+
+        item.refundedQuantity += line.quantity;
+        return {
+          lineId: item._id,
+          name: item.name,
+          quantity: line.quantity,
+          amount: roundCurrency(item.price * line.quantity),
+        };
+      });
+      const refundAmount = roundCurrency(refundedItems.reduce((total, item) => total + item.amount, 0));
+
+      transactions = await refundOrderAmount(order, refundAmount, { actor, reason, items: refundedItems }, session);
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  emitBalanceUpdates(transactions);
+
+  // Refunded units no longer need preparing, which can pull the rest of the queue forward
+  if (queuedOrderStatuses.includes(order.status)) {
+    await handleQueueChange(getRefId(order.vendor));
+  }
+
+  const refund = order.refunds[order.refunds.length - 1];
+  socketService.emitNotification(getRefId(order.customer), {
+    message: `You were refunded $${refund.amount.toFixed(2)} for ${refund.items
+      .map((item) => `${item.quantity} x ${item.name}`)
+      .join(', ')}`,
+    type: 'order-refund',
+    orderId: order._id.toString(),
+    data: { amount: refund.amount, items: refund.items, paymentStatus: order.paymentStatus },
+  });
+
+  await order.populate([
+    { path: 'customer', select: 'name email username' },
+    { path: 'vendor', select: 'name email username' },
+  ]);
+  // Refunded units come off the kitchen display
+  orderStreamService.publishOrderEvent('order-updated', order);
+  return order;
+};
+
+/**
+ * Release a held scheduled order into the vendor's queue
+ * @param {ObjectId} orderId
+ * @returns {Promise<Order|null>} - Null when another worker already released it
+ */
+const releaseScheduledOrder = async (orderId) => {
+  // Claim the order first so concurrent scheduler runs (e.g. several PM2 instances) release it once
+  const claimed = await Order.findOneAndUpdate(
+    { _id: orderId, status: 'pending', queuedAt: null },
+    { $set: { queuedAt: new Date() } }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  let order;
+  try {
+    order = await updateOrderStatus(orderId, 'preparing', undefined, 'Released for scheduled pickup', {}, { notify: false });
+  } catch (error) {
+    // Give the order back to the next scheduler run unless it was cancelled in the meantime
+    await Order.updateOne({ _id: orderId, status: 'pending' }, { $unset: { queuedAt: 1 } });
+    throw error;
+  }
+
+  await notifyOrderStatusChange(order);
+  return order;
+};
+
+/**
+ * Release every scheduled order whose pickup time is within the lead time
+ * @returns {Promise<number>} - Number of orders released
+ */
+const releaseDueScheduledOrders = async () => {
+  const leadMinutes = await Settings.getScheduledOrderLeadMinutes();
+  const dueOrders = await Order.find({
+    status: 'pending',
+    orderType: { $in: ['pre-order', 'scheduled'] },
+    scheduledTime: { $lte: new Date(Date.now() + leadMinutes * 60 * 1000) },
+    queuedAt: null,
+  })
+    .select('_id')
+    .sort({ scheduledTime: 1 });
+
+  // One at a time so each release lands in the queue in pickup order
+  return dueOrders.reduce(async (releasedSoFar, { _id: orderId }) => {
+    const released = await releasedSoFar;
+    try {
+      return (await releaseScheduledOrder(orderId)) ? released + 1 : released;
+    } catch (error) {
+      logger.error(`Failed to release scheduled order ${orderId}:`, error);
+      return released;
+    }
+  }, Promise.resolve(0));
+};
+
+/**
+ * Complete order
+ * @param {ObjectId} orderId
+ * @param {User} [actor]
+ * @param {Object} [handoff]
+ * @param {string} [handoff.pickupCode] - Required when the actor is a vendor
+ * @param {string} [handoff.ipAddress]
+ * @returns {Promise<Order>}
+ */
+const completeOrder = async (orderId, actor, handoff = {}) => {
+  return updateOrderStatus(orderId, 'completed', actor, undefined, handoff);
+};
+
 module.exports = {
   createOrder,
   queryOrders,
@@ -286,7 +1233,13 @@ module.exports = {
   getOrdersByCustomer,
   getOrdersByVendor,
   updateOrderById,
+  applyStatusTransition,
+  saveStatusTransition,
   updateOrderStatus,
+  bulkUpdateOrderStatus,
   cancelOrder,
+  refundOrderItems,
   completeOrder,
+  releaseScheduledOrder,
+  releaseDueScheduledOrders,
 };
@@ -0,0 +1,200 @@
+const ExcelJS = require('exceljs');
+const { Order } = require('../models');
+const { roundCurrency } = require('../utils/money');
+const logger = require('../config/logger');
+
+// One row per order line, the order's money columns are only filled on its first line so columns add up
+const columns = [
+  { key: 'orderId', header: 'Order ID', width: 26 },
+  { key: 'orderNumber', header: 'Order number', width: 12 },
+  { key: 'orderDate', header: 'Order date', width: 22 },
+  { key: 'status', header: 'Status', width: 12 },
+  { key: 'paymentStatus', header: 'Payment status', width: 18 },
+  { key: 'customer', header: 'Customer', width: 20 },
+  { key: 'item', header: 'Item', width: 28 },
+  { key: 'modifiers', header: 'Modifiers', width: 28 },
+  { key: 'quantity', header: 'Quantity', width: 10 },
+  { key: 'refundedQuantity', header: 'Refunded quantity', width: 10 },
+  { key: 'unitPrice', header: 'Unit price', width: 12 },
+  { key: 'lineTotal', header: 'Line total', width: 12 },
+  { key: 'subtotal', header: 'Order subtotal', width: 14 },
+  { key: 'platformFee', header: 'Platform fee', width: 12 },
+  { key: 'tip', header: 'Tip', width: 10 },
+  { key: 'refunded', header: 'Refunded', width: 12 },
+  { key: 'refundedTip', header: 'Refunded tip', width: 12 },
+  { key: 'netPayout', header: 'Net payout', width: 12 },
+];
+
+/**
+ * Turn an order into export rows, one per line
+ * @param {Order} order - With the customer's name populated
+ * @returns {Object[]}
+ */
+const toExportRows = (order) => {
+  const tip = order.tipAmount || 0;
+  const refundedTip = order.refundedTipAmount || 0;
+  // Refunds already came off vendorPayout and platformFee, only the tip is tracked apart
+  const totals = {
+    subtotal: order.totalAmount,
+    platformFee: order.platformFee || 0,
+    tip,
+    refunded: order.refundedAmount || 0,
+    refundedTip,
+    netPayout: roundCurrency((order.vendorPayout || 0) + tip - refundedTip),
+  };
+
+  return order.items.map((item, index) => ({
+    orderId: order._id.toString(),
+    orderNumber: order.orderNumber,
+    orderDate: order.createdAt,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    customer: order.customer ? order.customer.name : undefined,
+    item: item.name,
+    modifiers: (item.modifiers || []).map((modifier) => `${modifier.group}: ${modifier.option}`).join('; '),
+    quantity: item.quantity,
+    refundedQuantity: item.refundedQuantity || 0,
+    unitPrice: item.price,
+    lineTotal: item.totalPrice,
+    ...(index === 0 ? totals : {}),
+  }));
+};
+
+/**
+ * Quote a CSV field. Text starting like a formula is prefixed so spreadsheets don't run it.
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Wait until a slow client has taken what was already written, or has gone away
+ * @param {Writable} stream
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (stream) =>
+  new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+
+/**
+ * Open a cursor over a vendor's orders, oldest first
+ * @param {ObjectId} vendorId
+ * @param {Object} range
+ * @param {Date} [range.from]
+ * @param {Date} [range.to]
+ * @returns {QueryCursor}
+ */
+const getVendorOrderCursor = (vendorId, { from, to }) => {
+  const filter = { vendor: vendorId };
+  if (from || to) {
+    filter.createdAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  }
+  return Order.find(filter)
+    .select(
+      'orderNumber customer items status paymentStatus totalAmount platformFee vendorPayout tipAmount refundedTipAmount refundedAmount createdAt'
+    )
+    .populate({ path: 'customer', select: 'name' })
+    .sort({ createdAt: 1 })
+    .cursor();
+};
+
+/**
+ * Write the orders as CSV
+ * @param {QueryCursor} cursor
+ * @param {Writable} stream
+ * @returns {Promise<void>}
+ */
+const writeCsv = async (cursor, stream) => {
+  // The byte order mark makes Excel read names and items as UTF-8
+  stream.write(`\ufeff${columns.map((column) => toCsvField(column.header)).join(',')}\r\n`);
+
+  await cursor.eachAsync(async (order) => {
+    if (stream.destroyed) {
+      return;
+    }
+    const lines = toExportRows(order).map((row) => columns.map((column) => toCsvField(row[column.key])).join(','));
+    if (!stream.write(`${lines.join('\r\n')}\r\n`)) {
+      await waitForDrain(stream);
+    }
+  });
+  stream.end();
+};
+
+/**
+ * Write the orders as an Excel workbook, rows are flushed to the stream as they are added
+ * @param {QueryCursor} cursor
+ * @param {Writable} stream
+ * @returns {Promise<void>}
+ */
+const writeXlsx = async (cursor, stream) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Orders');
+  sheet.columns = columns;
+  ['unitPrice', 'lineTotal', 'subtotal', 'platformFee', 'tip', 'refunded', 'refundedTip', 'netPayout'].forEach((key) => {
+    sheet.getColumn(key).numFmt = '#,##0.00';
+  });
+  sheet.getColumn('orderDate').numFmt = 'yyyy-mm-dd hh:mm';
+
+  await cursor.eachAsync(async (order) => {
+    if (stream.destroyed) {
+      return;
+    }
+    toExportRows(order).forEach((row) => sheet.addRow(row).commit());
+    if (stream.writableNeedDrain) {
+      await waitForDrain(stream);
+    }
+  });
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Stream all of a vendor's orders and their lines in a date range, for bookkeeping.
+ * Orders are read through a cursor so large vendors are never held in memory at once.
+ * @param {ObjectId} vendorId
+ * @param {Object} range
+ * @param {Date} [range.from] - Orders placed at or after
+ * @param {Date} [range.to] - Orders placed at or before
+ * @param {string} format - csv or xlsx
+ * @param {Writable} stream - Usually the response, with its headers set
+ * @returns {Promise<void>}
+ */
+const writeVendorOrders = async (vendorId, range, format, stream) => {
+  const cursor = getVendorOrderCursor(vendorId, range);
+  stream.on('close', () => cursor.close().catch(() => {}));
+
+  try {
+    await (format === 'xlsx' ? writeXlsx(cursor, stream) : writeCsv(cursor, stream));
+  } catch (error) {
+    if (!stream.headersSent) {
+      throw error;
+    }
+    // Too late for an error response, cutting the download short at least shows it failed
+    logger.error(`Failed to export orders for vendor ${vendorId}:`, error);
+    stream.destroy(error);
+  }
+};
+
+module.exports = {
+  writeVendorOrders,
+};
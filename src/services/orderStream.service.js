@@ -0,0 +1,170 @@
+const { Order } = require('../models');
+const { queuedOrderStatuses } = require('../config/orderStatus');
+const logger = require('../config/logger');
+
+// Events kept per vendor so a reconnecting display can catch up with Last-Event-ID
+const HISTORY_SIZE = 100;
+// Proxies close connections that stay silent, a comment line every so often keeps the stream open
+const HEARTBEAT_SECONDS = 25;
+// Orders shown on a kitchen display, including held orders once the scheduler has released them
+const activeOrderStatuses = ['pending', ...queuedOrderStatuses, 'ready'];
+
+// Seeded from the clock so ids keep increasing across restarts, events from before a restart are gone
+const firstEventId = Date.now();
+let lastEventId = firstEventId;
+const subscribers = new Map();
+const histories = new Map();
+
+/**
+ * Shape an order for the kitchen display
+ * @param {Order} order
+ * @returns {Object}
+ */
+const formatStreamOrder = (order) => ({
+  orderId: order._id.toString(),
+  orderNumber: order.orderNumber,
+  status: order.status,
+  customerName: order.customer && order.customer.name ? order.customer.name : undefined,
+  items: order.items.map((item) => ({
+    lineId: item._id.toString(),
+    name: item.name,
+    quantity: item.quantity - (item.refundedQuantity || 0),
+    modifiers: (item.modifiers || []).map((modifier) => `${modifier.group}: ${modifier.option}`),
+  })),
+  summary: order.getItemsSummary(),
+  notes: order.notes,
+  scheduledTime: order.scheduledTime,
+  queuedAt: order.queuedAt,
+  createdAt: order.createdAt,
+});
+
+/**
+ * Write one Server-Sent Event
+ * @param {Response} res
+ * @param {Object} event - { id, type, data }
+ */
+const writeEvent = (res, { id, type, data }) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression buffers responses, push the event out now
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+};
+
+/**
+ * Send an order change to every display subscribed to its vendor
+ * @param {string} type - order-created, order-updated or order-cancelled
+ * @param {Order} order - Populated order
+ */
+const publishOrderEvent = (type, order) => {
+  try {
+    const vendorId = (order.vendor._id || order.vendor).toString();
+    lastEventId += 1;
+    const event = { id: lastEventId, type, data: formatStreamOrder(order) };
+
+    const history = histories.get(vendorId) || { events: [], droppedUpTo: firstEventId };
+    history.events.push(event);
+    if (history.events.length > HISTORY_SIZE) {
+      history.droppedUpTo = history.events.shift().id;
+    }
+    histories.set(vendorId, history);
+
+    (subscribers.get(vendorId) || new Set()).forEach((res) => writeEvent(res, event));
+  } catch (error) {
+    // The stream is best effort, the order change itself already succeeded
+    logger.error(`Failed to publish ${type} for order ${order._id} to the kitchen display stream:`, error);
+  }
+};
+
+/**
+ * Events a reconnecting display missed, or null when they are no longer all in the history
+ * @param {string} vendorId
+ * @param {number} sinceId - Last event the display received
+ * @returns {Object[]|null}
+ */
+const getMissedEvents = (vendorId, sinceId) => {
+  const history = histories.get(vendorId) || { events: [], droppedUpTo: firstEventId };
+  // Ids are shared by all vendors, so only events dropped from this vendor's history can be missing
+  if (!Number.isInteger(sinceId) || sinceId < history.droppedUpTo || sinceId > lastEventId) {
+    return null;
+  }
+  return history.events.filter((event) => event.id > sinceId);
+};
+
+/**
+ * Get the active orders a display starts from
+ * @param {ObjectId} vendorId
+ * @returns {Promise<Object[]>}
+ */
+const getActiveOrders = async (vendorId) => {
+  const orders = await Order.find({
+    vendor: vendorId,
+    status: { $in: activeOrderStatuses },
+    queuedAt: { $ne: null },
+  })
+    .populate({ path: 'customer', select: 'name' })
+    .sort({ queuedAt: 1, createdAt: 1 });
+  return orders.map(formatStreamOrder);
+};
+
+/**
+ * Stream a vendor's order changes to a kitchen display.
+ * Starts with a snapshot of active orders, or replays what was missed when the display resumes with Last-Event-ID.
+ * @param {ObjectId} vendorId
+ * @param {Request} req
+ * @param {Response} res
+ * @returns {Promise<void>}
+ */
+const subscribe = async (vendorId, req, res) => {
+  const key = vendorId.toString();
+  const resumeFrom = req.get('Last-Event-ID');
+  const missed = resumeFrom ? getMissedEvents(key, Number(resumeFrom)) : null;
+  const snapshotId = lastEventId;
+  const snapshot = missed ? null : await getActiveOrders(vendorId);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (snapshot) {
+    writeEvent(res, { id: snapshotId, type: 'snapshot', data: { vendorId: key, orders: snapshot } });
+    // Changes made while the snapshot was loading, the display applies them on top
+    (getMissedEvents(key, snapshotId) || []).forEach((event) => writeEvent(res, event));
+  } else {
+    missed.forEach((event) => writeEvent(res, event));
+  }
+
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+  subscribers.get(key).add(res);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  }, HEARTBEAT_SECONDS * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const vendorSubscribers = subscribers.get(key);
+    if (vendorSubscribers) {
+      vendorSubscribers.delete(res);
+      if (vendorSubscribers.size === 0) {
+        subscribers.delete(key);
+      }
+    }
+  });
+};
+
+module.exports = {
+  publishOrderEvent,
+  subscribe,
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const QRCode = require('qrcode');
+const { Order, Scan } = require('../models');
+const ApiError = require('../utils/ApiError');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+// Prefix of the value encoded in pickup QR codes
+const QR_PREFIX = 'KEJIA-PICKUP';
+// After this many wrong codes the current code is thrown away and the customer has to refresh it
+const MAX_FAILED_ATTEMPTS = 5;
+
+/**
+ * Give an order a new pickup code. Does not save the order.
+ * @param {Order} order
+ * @returns {Order}
+ */
+const issuePickupCode = (order) => {
+  const issuedAt = new Date();
+  order.set('pickup', {
+    code: crypto.randomInt(0, 1000000).toString().padStart(6, '0'),
+    issuedAt,
+    expiresAt: new Date(issuedAt.getTime() + config.pickupCode.expirationMinutes * 60 * 1000),
+    failedAttempts: 0,
+  });
+  return order;
+};
+
+/**
+ * Build what the customer shows at the counter: the code and a QR encoding it
+ * @param {Order} order
+ * @returns {Promise<Object>}
+ */
+const formatPickupCode = async (order) => ({
+  orderId: order._id.toString(),
+  code: order.pickup.code,
+  qrCode: await QRCode.toDataURL(`${QR_PREFIX}:${order._id}:${order.pickup.code}`, { width: 300, margin: 2 }),
+  expiresAt: order.pickup.expiresAt,
+});
+
+/**
+ * Get the pickup code for a ready order, issuing a fresh one if the last one expired or was locked
+ * @param {ObjectId} orderId
+ * @param {User} actor - The order's customer or an admin
+ * @returns {Promise<Object>}
+ */
+const getPickupCode = async (orderId, actor) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+  }
+  if (actor.type !== 'admin' && order.customer.toString() !== actor.id) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Only the customer can view the pickup code');
+  }
+  if (order.status !== 'ready') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The pickup code is available once the order is ready');
+  }
+
+  if (!order.pickup || !order.pickup.code || order.pickup.expiresAt < new Date()) {
+    issuePickupCode(order);
+    await order.save();
+  }
+
+  return formatPickupCode(order);
+};
+
+/**
+ * Log a pickup verification attempt
+ * @param {Order} order
+ * @param {User} actor
+ * @param {Object} attempt
+ * @returns {Promise<void>}
+ */
+const recordScan = async (order, actor, { scanType, scannedData, scanResult, ipAddress }) => {
+  try {
+    await Scan.create({
+      user: actor._id,
+      vendor: order.vendor._id || order.vendor,
+      relatedOrder: order._id,
+      scanType,
+      scannedData,
+      scanResult,
+      action: 'verify_pickup',
+      ipAddress,
+    });
+  } catch (error) {
+    logger.error(`Failed to record pickup scan for order ${order._id}:`, error);
+  }
+};
+
+/**
+ * Count a wrong or expired attempt, throwing away the code once too many have been made
+ * @param {Order} order
+ * @returns {Promise<number>} - Failed attempts so far
+ */
+const recordFailedAttempt = async (order) => {
+  const updated = await Order.findByIdAndUpdate(
+    order._id,
+    { $inc: { 'pickup.failedAttempts': 1 } },
+    { new: true, projection: { pickup: 1 } }
+  );
+
+  if (updated.pickup.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    await Order.updateOne({ _id: order._id }, { $unset: { 'pickup.code': 1 } });
+  }
+  return updated.pickup.failedAttempts;
+};
+
+/**
+ * Check the code the vendor scanned or typed in against the order. Every attempt is logged as a Scan;
+ * wrong and expired codes are rejected and counted on the order.
+ * @param {Order} order
+ * @param {string} scannedValue - The 6 digit code, or the value read from the customer's QR code
+ * @param {User} actor - Vendor completing the handoff
+ * @param {Object} [meta]
+ * @param {string} [meta.ipAddress]
+ * @returns {Promise<void>}
+ */
+const verifyPickupCode = async (order, scannedValue, actor, { ipAddress } = {}) => {
+  if (!scannedValue) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The pickup code is required to complete the handoff');
+  }
+
+  const value = scannedValue.toString().trim();
+  const isQrScan = value.startsWith(`${QR_PREFIX}:`);
+  const [, scannedOrderId, scannedCode] = isQrScan ? value.split(':') : [null, order._id.toString(), value];
+  const attempt = { scanType: isQrScan ? 'qr_code' : 'manual_entry', scannedData: value, ipAddress };
+  const { pickup } = order;
+
+  const reject = async (scanResult, message) => {
+    await recordScan(order, actor, { ...attempt, scanResult });
+    const failedAttempts = await recordFailedAttempt(order);
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      failedAttempts >= MAX_FAILED_ATTEMPTS
+        ? `${message}. Too many failed attempts, the customer needs to refresh their pickup code`
+        : message
+    );
+  };
+
+  if (scannedOrderId !== order._id.toString()) {
+    return reject('invalid', 'This pickup code belongs to another order');
+  }
+  if (!pickup || !pickup.code) {
+    return reject('invalid', 'This order has no active pickup code');
+  }
+  if (pickup.expiresAt < new Date()) {
+    return reject('expired', 'The pickup code has expired');
+  }
+
+  const expected = Buffer.from(pickup.code);
+  const received = Buffer.from(scannedCode || '');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return reject('failed', 'The pickup code is incorrect');
+  }
+
+  await recordScan(order, actor, { ...attempt, scanResult: 'success' });
+  order.set('pickup.verifiedAt', new Date());
+  order.set('pickup.verifiedBy', actor._id);
+};
+
+module.exports = {
+  issuePickupCode,
+  formatPickupCode,
+  getPickupCode,
+  verifyPickupCode,
+};
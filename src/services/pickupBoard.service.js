@@ -0,0 +1,121 @@
+const { Order, OrderCounter, User } = require('../models');
+const socketService = require('./socket.service');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+// Statuses shown on the board, everything else has either not reached the kitchen or left the counter
+const boardStatuses = ['preparing', 'ready'];
+
+/**
+ * The festival day a moment falls on, numbers restart at midnight in the festival's time zone
+ * @param {Date} date
+ * @returns {string} - YYYY-MM-DD
+ */
+const getFestivalDay = (date) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: config.festival.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+
+/**
+ * Letters in front of a vendor's order numbers
+ * @param {User} vendor
+ * @returns {string}
+ */
+const getOrderNumberPrefix = (vendor) => {
+  const settings = vendor.vendorSettings || {};
+  if (settings.orderNumberPrefix) {
+    return settings.orderNumberPrefix;
+  }
+  const letter = (vendor.name || '').toUpperCase().match(/[A-Z]/);
+  return letter ? letter[0] : 'A';
+};
+
+/**
+ * Take the vendor's next order number for today, e.g. A-042
+ * @param {User} vendor
+ * @param {ClientSession} [session] - Pass the order's transaction so an aborted order gives its number back
+ * @returns {Promise<string>}
+ */
+const nextOrderNumber = async (vendor, session = null) => {
+  const seq = await OrderCounter.next(vendor._id, getFestivalDay(new Date()), session);
+  return `${getOrderNumberPrefix(vendor)}-${String(seq).padStart(3, '0')}`;
+};
+
+/**
+ * Group board orders by vendor, leaving out anything that identifies the customer
+ * @param {Order[]} orders - Sorted by queue position, with the vendor populated
+ * @returns {Object[]} - { vendorId, vendorName, preparing, ready }
+ */
+const groupBoardOrders = (orders) => {
+  const vendors = new Map();
+  orders.forEach((order) => {
+    const vendorId = order.vendor._id.toString();
+    if (!vendors.has(vendorId)) {
+      vendors.set(vendorId, { vendorId, vendorName: order.vendor.name, preparing: [], ready: [] });
+    }
+    vendors.get(vendorId)[order.status].push(order.orderNumber);
+  });
+  return Array.from(vendors.values()).sort((a, b) => a.vendorName.localeCompare(b.vendorName));
+};
+
+/**
+ * Find the orders shown on the board
+ * @param {Object} [filter]
+ * @returns {Promise<Order[]>}
+ */
+const findBoardOrders = (filter = {}) =>
+  Order.find({ ...filter, status: { $in: boardStatuses }, orderNumber: { $ne: null } })
+    .select('vendor orderNumber status queuedAt')
+    .populate({ path: 'vendor', select: 'name' })
+    .sort({ queuedAt: 1, createdAt: 1 });
+
+/**
+ * Get the whole pickup board
+ * @returns {Promise<Object>} - { vendors, updatedAt }
+ */
+const getPickupBoard = async () => {
+  const orders = await findBoardOrders();
+  return { vendors: groupBoardOrders(orders), updatedAt: new Date() };
+};
+
+/**
+ * Get one vendor's column of the pickup board
+ * @param {ObjectId} vendorId
+ * @returns {Promise<Object>} - { vendorId, vendorName, preparing, ready }
+ */
+const getVendorBoard = async (vendorId) => {
+  const orders = await findBoardOrders({ vendor: vendorId });
+  if (orders.length > 0) {
+    return groupBoardOrders(orders)[0];
+  }
+
+  // Still sent so the board clears the vendor's last numbers
+  const vendor = await User.findById(vendorId).select('name');
+  return { vendorId: vendorId.toString(), vendorName: vendor ? vendor.name : undefined, preparing: [], ready: [] };
+};
+
+/**
+ * Push a vendor's current column to the pickup board screens.
+ * Call this whenever one of the vendor's orders is created or changes status.
+ * @param {ObjectId} vendorId
+ * @returns {Promise<void>}
+ */
+const broadcastVendorBoard = async (vendorId) => {
+  try {
+    socketService.emitPickupBoardUpdate(await getVendorBoard(vendorId));
+  } catch (error) {
+    // The board is best effort, the order change itself already succeeded
+    logger.error(`Failed to update the pickup board for vendor ${vendorId}:`, error);
+  }
+};
+
+module.exports = {
+  getFestivalDay,
+  nextOrderNumber,
+  getPickupBoard,
+  getVendorBoard,
+  broadcastVendorBoard,
+};
@@ -0,0 +1,156 @@
+const { Order } = require('../models');
+const { queuedOrderStatuses } = require('../config/orderStatus');
+const socketService = require('./socket.service');
+const logger = require('../config/logger');
+
+// Used for menu items that don't have a preparation time set
+const DEFAULT_PREPARATION_MINUTES = 5;
+// How far back we look when measuring how fast a vendor is actually working
+const THROUGHPUT_WINDOW_MINUTES = 60;
+// Fewer readied orders than this in the window isn't enough to trust the observed pace
+const MIN_THROUGHPUT_SAMPLES = 3;
+// Keep a slow or unusually quick stretch from skewing estimates too far
+const MIN_PACE_FACTOR = 0.25;
+const MAX_PACE_FACTOR = 4;
+
+/**
+ * Estimated minutes of kitchen work for an order, from the per-item preparation times
+ * @param {Order} order
+ * @returns {number}
+ */
+const getPreparationMinutes = (order) =>
+  order.items.reduce((total, item) => {
+    const unitMinutes = item.preparationTime != null ? item.preparationTime : DEFAULT_PREPARATION_MINUTES;
+    return total + unitMinutes * (item.quantity - (item.refundedQuantity || 0));
+  }, 0);
+
+/**
+ * Compare how long the vendor actually took with what the preparation times predicted.
+ * Orders readied back to back tell us the vendor's real pace per order of estimated work.
+ * @param {ObjectId} vendorId
+ * @returns {Promise<number>} - Multiplier applied to estimated preparation minutes, 1 when there's not enough data
+ */
+const getPaceFactor = async (vendorId) => {
+  const since = new Date(Date.now() - THROUGHPUT_WINDOW_MINUTES * 60 * 1000);
+  const readied = await Order.find({
+    vendor: vendorId,
+    statusHistory: { $elemMatch: { to: 'ready', changedAt: { $gte: since } } },
+  }).select('items statusHistory');
+
+  if (readied.length < MIN_THROUGHPUT_SAMPLES) {
+    return 1;
+  }
+
+  const readyTimes = readied
+    .map((order) =>
+      order.statusHistory
+        .filter((entry) => entry.to === 'ready')
+        .pop()
+        .changedAt.getTime()
+    )
+    .sort((a, b) => a - b);
+
+  // The first readied order only marks the start of the measured stretch
+  const observedMinutes = (readyTimes[readyTimes.length - 1] - readyTimes[0]) / 60000;
+  const estimatedMinutes = readied.slice(1).reduce((total, order) => total + getPreparationMinutes(order), 0);
+
+  if (observedMinutes <= 0 || estimatedMinutes <= 0) {
+    return 1;
+  }
+
+  return Math.min(MAX_PACE_FACTOR, Math.max(MIN_PACE_FACTOR, observedMinutes / estimatedMinutes));
+};
+
+/**
+ * Get a vendor's queue in the order it will be prepared, with an ETA for every order
+ * @param {ObjectId} vendorId
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object[]>} - { orderId, customerId, position, etaMinutes, estimatedReadyAt }
+ */
+const getVendorQueue = async (vendorId, session = null) => {
+  const orders = await Order.find({ vendor: vendorId, status: { $in: queuedOrderStatuses } })
+    .select('customer items status queuedAt createdAt')
+    .sort({ queuedAt: 1, createdAt: 1 })
+    .session(session);
+  if (orders.length === 0) {
+    return [];
+  }
+
+  const paceFactor = await getPaceFactor(vendorId);
+
+  const now = Date.now();
+  let minutesAhead = 0;
+  return orders.map((order, index) => {
+    minutesAhead += getPreparationMinutes(order) * paceFactor;
+    const etaMinutes = Math.max(1, Math.ceil(minutesAhead));
+
+    return {
+      orderId: order._id.toString(),
+      customerId: order.customer.toString(),
+      status: order.status,
+      position: index + 1,
+      etaMinutes,
+      estimatedReadyAt: new Date(now + etaMinutes * 60 * 1000),
+    };
+  });
+};
+
+/**
+ * Get an order's place in its vendor's queue
+ * @param {Order} order
+ * @returns {Promise<Object|null>} - Null once the order has left the queue
+ */
+const getOrderQueueInfo = async (order) => {
+  if (!queuedOrderStatuses.includes(order.status)) {
+    return null;
+  }
+
+  const vendorId = order.vendor._id || order.vendor;
+  const queue = await getVendorQueue(vendorId);
+  return queue.find((entry) => entry.orderId === order._id.toString()) || null;
+};
+
+/**
+ * Queue fields added to order responses
+ * @param {Object|null} queueInfo - Entry from getVendorQueue
+ * @returns {Object}
+ */
+const toQueueFields = (queueInfo) => ({
+  queuePosition: queueInfo ? queueInfo.position : null,
+  etaMinutes: queueInfo ? queueInfo.etaMinutes : null,
+  estimatedReadyAt: queueInfo ? queueInfo.estimatedReadyAt : null,
+});
+
+/**
+ * Push the current queue to the vendor and every customer waiting in it.
+ * Call this whenever an order joins or leaves a vendor's queue.
+ * @param {ObjectId} vendorId
+ * @returns {Promise<Object[]|null>} - The queue that was sent, null if it couldn't be loaded
+ */
+const broadcastQueueUpdate = async (vendorId) => {
+  try {
+    const queue = await getVendorQueue(vendorId);
+
+    queue.forEach(({ customerId, ...entry }) => {
+      socketService.emitQueueUpdate(customerId, entry);
+    });
+    socketService.emitQueueUpdate(vendorId.toString(), {
+      vendorId: vendorId.toString(),
+      queueLength: queue.length,
+      orders: queue.map(({ customerId, ...entry }) => entry),
+    });
+    return queue;
+  } catch (error) {
+    // Queue updates are best effort, the order change itself already succeeded
+    logger.error(`Failed to broadcast queue update for vendor ${vendorId}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  getPreparationMinutes,
+  getVendorQueue,
+  getOrderQueueInfo,
+  toQueueFields,
+  broadcastQueueUpdate,
+};
@@ -0,0 +1,278 @@
+const httpStatus = require('http-status');
+const PDFDocument = require('pdfkit');
+const { Order, FundTransaction } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { roundCurrency } = require('../utils/money');
+const emailTemplateService = require('./emailTemplate.service');
+const { sendOrderReceiptEmail } = require('./email.service');
+
+const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'CAD' });
+
+// Festival orders are charged without sales tax, the receipt says so rather than leaving it out
+const TAX_LABEL = 'Tax (no sales tax charged)';
+
+const paymentMethodLabels = {
+  wallet: 'Festival wallet',
+  card: 'Card',
+  cash: 'Cash',
+  bank_transfer: 'Bank transfer',
+  paypal: 'PayPal',
+  google_pay: 'Google Pay',
+  apple_pay: 'Apple Pay',
+};
+
+/**
+ * Load an order the actor is allowed to get a receipt for
+ * @param {ObjectId} orderId
+ * @param {User} actor - The order's customer or vendor, or an admin
+ * @returns {Promise<Order>}
+ */
+const getReceiptOrder = async (orderId, actor) => {
+  const order = await Order.findById(orderId).populate([
+    { path: 'customer', select: 'name email username' },
+    { path: 'vendor', select: 'name email username' },
+  ]);
+  if (!order) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+  }
+
+  const isParty = [order.customer._id.toString(), order.vendor._id.toString()].includes(actor.id);
+  if (actor.type !== 'admin' && !isParty) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You can only get receipts for your own orders');
+  }
+  return order;
+};
+
+/**
+ * Gather everything shown on an order's receipt
+ * @param {ObjectId} orderId
+ * @param {User} actor - The order's customer or vendor, or an admin
+ * @returns {Promise<Object>}
+ */
+const getOrderReceipt = async (orderId, actor) => {
+  const order = await getReceiptOrder(orderId, actor);
+  const payment = await FundTransaction.findOne({
+    relatedOrder: order._id,
+    user: order.customer._id,
+    type: 'payment',
+  });
+
+  const tipAmount = order.tipAmount || 0;
+  const refundedTotal = roundCurrency(order.refundedAmount + (order.refundedTipAmount || 0));
+
+  return {
+    orderId: order._id.toString(),
+    orderDate: order.createdAt,
+    issuedAt: new Date(),
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    vendor: { name: order.vendor.name, email: order.vendor.email },
+    customer: { name: order.customer.name, email: order.customer.email },
+    items: order.items.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      totalPrice: item.totalPrice,
+      refundedQuantity: item.refundedQuantity || 0,
+      modifiers: (item.modifiers || []).map((modifier) => ({
+        group: modifier.group,
+        option: modifier.option,
+        priceDelta: modifier.priceDelta,
+      })),
+    })),
+    subtotal: order.totalAmount,
+    tipAmount,
+    tipPercentage: order.tipPercentage,
+    total: roundCurrency(order.totalAmount + tipAmount),
+    // The platform fee comes out of the vendor's share, it is part of the subtotal rather than added to it
+    platformFee: {
+      percentage: order.platformFeePercentage || 0,
+      amount: order.platformFee || 0,
+    },
+    tax: { label: TAX_LABEL, amount: 0 },
+    refunds: order.refunds.map((refund) => ({ amount: refund.amount, reason: refund.reason, createdAt: refund.createdAt })),
+    refundedTotal,
+    netPaid: roundCurrency(order.totalAmount + tipAmount - refundedTotal),
+    payment: payment
+      ? {
+          method: paymentMethodLabels[payment.method] || payment.method,
+          transactionId: payment.transactionId || payment._id.toString(),
+          paidAt: payment.processedAt || payment.createdAt,
+        }
+      : null,
+  };
+};
+
+/**
+ * Format a receipt's amounts and dates for display
+ * @param {Object} receipt
+ * @returns {Object}
+ */
+const formatReceipt = (receipt) => ({
+  ...receipt,
+  orderDate: receipt.orderDate.toLocaleString('en-CA'),
+  issuedAt: receipt.issuedAt.toLocaleString('en-CA'),
+  items: receipt.items.map((item) => ({
+    ...item,
+    unitPrice: currency.format(item.unitPrice),
+    totalPrice: currency.format(item.totalPrice),
+    modifiers: item.modifiers.map((modifier) => ({
+      ...modifier,
+      priceDelta: modifier.priceDelta ? currency.format(modifier.priceDelta) : null,
+    })),
+  })),
+  subtotal: currency.format(receipt.subtotal),
+  tipAmount: receipt.tipAmount > 0 ? currency.format(receipt.tipAmount) : null,
+  total: currency.format(receipt.total),
+  platformFee: { ...receipt.platformFee, amount: currency.format(receipt.platformFee.amount) },
+  tax: { ...receipt.tax, amount: currency.format(receipt.tax.amount) },
+  refunds: receipt.refunds.map((refund) => ({
+    ...refund,
+    amount: currency.format(refund.amount),
+    createdAt: refund.createdAt ? refund.createdAt.toLocaleString('en-CA') : '',
+  })),
+  refundedTotal: receipt.refundedTotal > 0 ? currency.format(receipt.refundedTotal) : null,
+  netPaid: currency.format(receipt.netPaid),
+  payment: receipt.payment ? { ...receipt.payment, paidAt: receipt.payment.paidAt.toLocaleString('en-CA') } : null,
+});
+
+/**
+ * Render a receipt as an HTML page
+ * @param {Object} receipt - From getOrderReceipt
+ * @returns {Promise<string>}
+ */
+const renderReceiptHtml = (receipt) => emailTemplateService.compileEmailTemplate('order-receipt', formatReceipt(receipt));
+
+/**
+ * Render a receipt as plain text, for the text part of the receipt email
+ * @param {Object} receipt - From getOrderReceipt
+ * @returns {string}
+ */
+const renderReceiptText = (receipt) => {
+  const formatted = formatReceipt(receipt);
+  const lines = [
+    `Receipt for order ${formatted.orderId}`,
+    `Vendor: ${formatted.vendor.name}`,
+    `Date: ${formatted.orderDate}`,
+    '',
+    ...formatted.items.flatMap((item) => [
+      `${item.quantity} x ${item.name} @ ${item.unitPrice} = ${item.totalPrice}`,
+      ...item.modifiers.map((modifier) => `    ${modifier.group}: ${modifier.option}`),
+    ]),
+    '',
+    `Subtotal: ${formatted.subtotal}`,
+    `Platform fee (${formatted.platformFee.percentage}%, included): ${formatted.platformFee.amount}`,
+    `${formatted.tax.label}: ${formatted.tax.amount}`,
+  ];
+  if (formatted.tipAmount) {
+    lines.push(`Tip: ${formatted.tipAmount}`);
+  }
+  lines.push(`Total: ${formatted.total}`);
+  if (formatted.refundedTotal) {
+    lines.push(`Refunded: -${formatted.refundedTotal}`, `Net paid: ${formatted.netPaid}`);
+  }
+  if (formatted.payment) {
+    lines.push('', `Paid with: ${formatted.payment.method}`, `Transaction ID: ${formatted.payment.transactionId}`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Render a receipt as a PDF
+ * @param {Object} receipt - From getOrderReceipt
+ * @returns {Promise<Buffer>}
+ */
+const renderReceiptPdf = (receipt) =>
+  new Promise((resolve, reject) => {
+    const formatted = formatReceipt(receipt);
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const amountX = 400;
+    const amountWidth = 145;
+    const row = (label, amount, options = {}) => {
+      const { y } = doc;
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(options.size || 11);
+      doc.text(label, 50, y, { width: amountX - 60 });
+      const labelBottom = doc.y;
+      doc.text(amount || '', amountX, y, { width: amountWidth, align: 'right' });
+      doc.y = Math.max(labelBottom, doc.y);
+    };
+
+    doc.font('Helvetica-Bold').fontSize(20).text('Kejia Festival Receipt');
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10).fillColor('#555555');
+    doc.text(`Order: ${formatted.orderId}`);
+    doc.text(`Vendor: ${formatted.vendor.name}`);
+    doc.text(`Customer: ${formatted.customer.name}`);
+    doc.text(`Ordered: ${formatted.orderDate}`);
+    doc.text(`Issued: ${formatted.issuedAt}`);
+    doc.fillColor('#000000').moveDown();
+
+    formatted.items.forEach((item) => {
+      row(`${item.quantity} x ${item.name} (${item.unitPrice} each)`, item.totalPrice);
+      item.modifiers.forEach((modifier) => {
+        row(`    ${modifier.group}: ${modifier.option}`, modifier.priceDelta, { size: 9 });
+      });
+    });
+
+    doc.moveDown();
+    row('Subtotal', formatted.subtotal);
+    row(`Platform fee (${formatted.platformFee.percentage}%, included in subtotal)`, formatted.platformFee.amount, {
+      size: 9,
+    });
+    row(formatted.tax.label, formatted.tax.amount, { size: 9 });
+    if (formatted.tipAmount) {
+      row('Tip', formatted.tipAmount);
+    }
+    row('Total', formatted.total, { bold: true });
+    formatted.refunds.forEach((refund) => {
+      row(`Refund ${refund.createdAt}${refund.reason ? ` - ${refund.reason}` : ''}`, `-${refund.amount}`, { size: 9 });
+    });
+    if (formatted.refundedTotal) {
+      row('Net paid', formatted.netPaid, { bold: true });
+    }
+
+    if (formatted.payment) {
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(10).fillColor('#555555');
+      doc.text(`Paid with: ${formatted.payment.method}`, 50);
+      doc.text(`Transaction ID: ${formatted.payment.transactionId}`, 50);
+      doc.text(`Paid at: ${formatted.payment.paidAt}`, 50);
+    }
+
+    doc.end();
+  });
+
+/**
+ * Email an order's receipt, with the PDF attached
+ * @param {ObjectId} orderId
+ * @param {User} actor - The order's customer or vendor, or an admin
+ * @param {string} [to] - Defaults to the customer's email. Only admins can send it anywhere else than
+ * the customer's or their own address.
+ * @returns {Promise<Object>} - { orderId, sentTo }
+ */
+const sendReceipt = async (orderId, actor, to) => {
+  const receipt = await getOrderReceipt(orderId, actor);
+  const recipient = to || receipt.customer.email;
+
+  const allowedRecipients = [receipt.customer.email, actor.email].filter(Boolean).map((email) => email.toLowerCase());
+  if (actor.type !== 'admin' && !allowedRecipients.includes(recipient.toLowerCase())) {
+    throw new ApiError(httpStatus.FORBIDDEN, "Receipts can only be sent to the customer's email or your own");
+  }
+
+  const [html, pdf] = await Promise.all([renderReceiptHtml(receipt), renderReceiptPdf(receipt)]);
+  await sendOrderReceiptEmail(recipient, receipt.customer.name, receipt.orderId, renderReceiptText(receipt), html, pdf);
+
+  return { orderId: receipt.orderId, sentTo: recipient };
+};
+
+module.exports = {
+  getOrderReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  sendReceipt,
+};
@@ -0,0 +1,237 @@
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { User, FundTransaction, ReconciliationReport } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { roundCurrency } = require('../utils/money');
+const { isDebit } = require('../utils/ledger');
+const logger = require('../config/logger');
+
+// Issues kept per user in a stored report, the rest are only counted
+const MAX_ISSUES_PER_USER = 20;
+// Users kept in a stored report, so a badly broken ledger can't outgrow the document size limit
+const MAX_DISCREPANCIES = 500;
+
+/**
+ * Whether a ledger entry is an adjustment made by reconcileUserBalance
+ * @param {Object} entry - FundTransaction
+ * @returns {boolean}
+ */
+const isReconciliationEntry = (entry) =>
+  entry.type === 'adjustment' && Boolean(entry.metadata && entry.metadata.reconciliation);
+
+/**
+ * Recompute a user's balance from their completed ledger entries and check the balanceBefore/balanceAfter chain.
+ * The chain starts at zero. A reconciliation adjustment is a checkpoint: issues before it were already settled
+ * by an admin and aren't reported again.
+ * @param {User} user - Needs _id and balance
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} - { user, balance, ledgerBalance, drift, entryCount, lastBalanceAfter, issues }
+ */
+const checkUserLedger = async (user, session = null) => {
+  let ledgerBalance = 0;
+  let lastBalanceAfter = 0;
+  let entryCount = 0;
+  let issues = [];
+
+  const cursor = FundTransaction.find({ user: user._id, status: 'completed' })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('amount direction type balanceBefore balanceAfter transactionId metadata')
+    .session(session)
+    .lean()
+    .cursor();
+
+  await cursor.eachAsync((entry) => {
+    const signedAmount = isDebit(entry) ? -entry.amount : entry.amount;
+    const issue = { transaction: entry._id, transactionId: entry.transactionId };
+    entryCount += 1;
+    ledgerBalance = roundCurrency(ledgerBalance + signedAmount);
+
+    if (isReconciliationEntry(entry)) {
+      // Its before/after bracket all the drift it settled, so it isn't checked like a normal entry
+      issues = [];
+    } else {
+      if (roundCurrency(entry.balanceBefore - lastBalanceAfter) !== 0) {
+        issues.push({ ...issue, kind: 'chain_break', expected: lastBalanceAfter, actual: entry.balanceBefore });
+      }
+      const expectedAfter = roundCurrency(entry.balanceBefore + signedAmount);
+      if (roundCurrency(entry.balanceAfter - expectedAfter) !== 0) {
+        issues.push({ ...issue, kind: 'amount_mismatch', expected: expectedAfter, actual: entry.balanceAfter });
+      }
+    }
+    lastBalanceAfter = entry.balanceAfter;
+  });
+
+  const balance = roundCurrency(user.balance || 0);
+  return {
+    user: user._id,
+    balance,
+    ledgerBalance,
+    drift: roundCurrency(balance - ledgerBalance),
+    entryCount,
+    lastBalanceAfter,
+    issues,
+  };
+};
+
+/**
+ * Reconcile one user's wallet against their ledger
+ * @param {ObjectId} userId
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>}
+ */
+const reconcileUser = async (userId, session = null) => {
+  const user = await User.findById(userId).select('balance').session(session);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+  const { lastBalanceAfter, ...result } = await checkUserLedger(user, session);
+  return result;
+};
+
+/**
+ * Reconcile every wallet and store a report of the ones that don't add up
+ * @param {Object} options
+ * @param {string} options.trigger - cli or admin
+ * @param {User} [options.runBy] - The admin who asked for it
+ * @returns {Promise<ReconciliationReport>}
+ */
+const runReconciliation = async ({ trigger, runBy = null }) => {
+  const report = {
+    trigger,
+    runBy: runBy && runBy._id,
+    startedAt: new Date(),
+    usersChecked: 0,
+    usersWithDrift: 0,
+    usersWithIssues: 0,
+    totalDrift: 0,
+    discrepancyCount: 0,
+    discrepancies: [],
+  };
+
+  await User.find()
+    .select('balance')
+    .lean()
+    .cursor()
+    .eachAsync(async (user) => {
+      const { lastBalanceAfter, issues, ...result } = await checkUserLedger(user);
+      report.usersChecked += 1;
+      if (result.drift === 0 && issues.length === 0) {
+        return;
+      }
+
+      if (result.drift !== 0) {
+        report.usersWithDrift += 1;
+        report.totalDrift = roundCurrency(report.totalDrift + Math.abs(result.drift));
+      }
+      if (issues.length > 0) {
+        report.usersWithIssues += 1;
+      }
+      report.discrepancyCount += 1;
+      if (report.discrepancies.length < MAX_DISCREPANCIES) {
+        report.discrepancies.push({ ...result, issueCount: issues.length, issues: issues.slice(0, MAX_ISSUES_PER_USER) });
+      }
+    });
+
+  report.finishedAt = new Date();
+  const saved = await ReconciliationReport.create(report);
+  logger.info(
+    `Reconciliation checked ${report.usersChecked} wallet(s): ${report.usersWithDrift} drifting by ${report.totalDrift} in total, ${report.usersWithIssues} with ledger chain issues`
+  );
+  return saved;
+};
+
+/**
+ * Query stored reconciliation reports
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryReconciliationReports = async (filter, options) => {
+  return ReconciliationReport.paginate(filter, { sortBy: 'createdAt:desc', ...options });
+};
+
+/**
+ * Get a stored reconciliation report, with the users it flags
+ * @param {ObjectId} reportId
+ * @returns {Promise<ReconciliationReport>}
+ */
+const getReconciliationReportById = async (reportId) => {
+  const report = await ReconciliationReport.findById(reportId).populate('discrepancies.user', 'name email username type');
+  if (!report) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Reconciliation report not found');
+  }
+  return report;
+};
+
+/**
+ * Write an adjustment entry that brings a user's ledger in line with their balance.
+ * The balance itself doesn't change; the entry records the money that moved outside the ledger,
+ * and marks the chain issues before it as settled. Wallets without drift have nothing to adjust.
+ * @param {ObjectId} userId
+ * @param {User} admin
+ * @param {string} [note]
+ * @returns {Promise<Object>} - { transaction, reconciliation }
+ */
+const reconcileUserBalance = async (userId, admin, note) => {
+  const session = await mongoose.startSession();
+  let transaction;
+  try {
+    // Balance and ledger are read from one snapshot, so a payment landing meanwhile can't skew the drift
+    await session.withTransaction(
+      async () => {
+        const user = await User.findById(userId).select('balance').session(session);
+        if (!user) {
+          throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+        }
+        const { drift, ledgerBalance, lastBalanceAfter, issues } = await checkUserLedger(user, session);
+        if (drift === 0) {
+          throw new ApiError(
+            httpStatus.BAD_REQUEST,
+            issues.length === 0
+              ? 'This wallet already reconciles with its ledger'
+              : "This wallet's balance matches its ledger, its chain issues don't move any money to adjust"
+          );
+        }
+
+        [transaction] = await FundTransaction.create(
+          [
+            {
+              user: user._id,
+              amount: Math.abs(drift),
+              type: 'adjustment',
+              method: 'admin_adjustment',
+              integrationSource: 'admin',
+              direction: drift < 0 ? 'debit' : 'credit',
+              status: 'completed',
+              processedAt: new Date(),
+              description: note || 'Reconciliation adjustment',
+              balanceBefore: lastBalanceAfter,
+              balanceAfter: roundCurrency(user.balance),
+              metadata: {
+                reconciliation: { drift, ledgerBalance, issueCount: issues.length, adjustedBy: admin._id },
+              },
+            },
+          ],
+          { session }
+        );
+      },
+      { readConcern: { level: 'snapshot' } }
+    );
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`Reconciliation adjustment ${transaction.transactionId} for user ${userId} by admin ${admin._id}`);
+  return { transaction, reconciliation: await reconcileUser(userId) };
+};
+
+module.exports = {
+  reconcileUser,
+  runReconciliation,
+  queryReconciliationReports,
+  getReconciliationReportById,
+  reconcileUserBalance,
+};
@@ -0,0 +1,198 @@
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Review, Order } = require('../models');
+const ApiError = require('../utils/ApiError');
+const config = require('../config/config');
+
+/**
+ * When an order was completed
+ * @param {Order} order
+ * @returns {Date}
+ */
+const getCompletedAt = (order) => {
+  const entry = order.statusHistory.filter((change) => change.to === 'completed').pop();
+  return (entry && entry.changedAt) || order.markedOffAt || order.updatedAt;
+};
+
+/**
+ * Rating summary from an aggregation group
+ * @param {Object} [group] - { averageRating, reviewCount }
+ * @returns {Object}
+ */
+const toRating = (group) => ({
+  averageRating: group ? Math.round(group.averageRating * 10) / 10 : null,
+  reviewCount: group ? group.reviewCount : 0,
+});
+
+/**
+ * Rate a completed order, once per order
+ * @param {ObjectId} orderId
+ * @param {Object} reviewBody - { rating, comment }
+ * @param {User} actor - The order's customer
+ * @returns {Promise<Review>}
+ */
+const createReview = async (orderId, reviewBody, actor) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+  }
+  if (order.customer.toString() !== actor.id) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You can only review your own orders');
+  }
+  if (order.status !== 'completed') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Only completed orders can be reviewed');
+  }
+
+  const windowEndsAt = getCompletedAt(order).getTime() + config.reviews.windowHours * 60 * 60 * 1000;
+  if (Date.now() > windowEndsAt) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Orders can only be reviewed within ${config.reviews.windowHours} hours of completion`
+    );
+  }
+
+  if (await Review.exists({ order: order._id })) {
+    throw new ApiError(httpStatus.CONFLICT, 'This order has already been reviewed');
+  }
+
+  try {
+    return await Review.create({
+      order: order._id,
+      customer: order.customer,
+      vendor: order.vendor,
+      menuItems: [...new Set(order.items.filter((item) => item.menuItemId).map((item) => item.menuItemId.toString()))],
+      rating: reviewBody.rating,
+      comment: reviewBody.comment,
+    });
+  } catch (error) {
+    // Two submissions racing past the check above, the unique index lets only one through
+    if (error.code === 11000) {
+      throw new ApiError(httpStatus.CONFLICT, 'This order has already been reviewed');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get a vendor's average rating, leaving out hidden reviews
+ * @param {ObjectId} vendorId
+ * @returns {Promise<Object>} - { averageRating, reviewCount }
+ */
+const getVendorRating = async (vendorId) => {
+  const [group] = await Review.aggregate([
+    { $match: { vendor: new mongoose.Types.ObjectId(vendorId.toString()), isHidden: false } },
+    { $group: { _id: null, averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } },
+  ]);
+  return toRating(group);
+};
+
+/**
+ * Get the average rating of several menu items, leaving out hidden reviews
+ * @param {ObjectId[]} menuItemIds
+ * @returns {Promise<Map<string, Object>>} - Menu item id to { averageRating, reviewCount }
+ */
+const getMenuItemRatings = async (menuItemIds) => {
+  const ids = menuItemIds.map((id) => new mongoose.Types.ObjectId(id.toString()));
+  const groups = await Review.aggregate([
+    { $match: { menuItems: { $in: ids }, isHidden: false } },
+    { $unwind: '$menuItems' },
+    { $match: { menuItems: { $in: ids } } },
+    { $group: { _id: '$menuItems', averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } },
+  ]);
+
+  const ratings = new Map(groups.map((group) => [group._id.toString(), toRating(group)]));
+  ids.forEach((id) => {
+    if (!ratings.has(id.toString())) {
+      ratings.set(id.toString(), toRating());
+    }
+  });
+  return ratings;
+};
+
+/**
+ * Query for reviews
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryReviews = async (filter, options) => {
+  const reviews = await Review.paginate(filter, {
+    sortBy: 'createdAt:desc',
+    ...options,
+    populate: [{ path: 'customer', select: 'name username' }],
+  });
+
+  // The toJSON plugin drops createdAt, customers and admins need to see when a review was left
+  return {
+    ...reviews,
+    results: reviews.results.map((review) => ({ ...review.toJSON(), createdAt: review.createdAt })),
+  };
+};
+
+/**
+ * Query the reviews shown on a vendor's page
+ * @param {ObjectId} vendorId
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const queryVendorReviews = async (vendorId, options) => {
+  const reviews = await queryReviews({ vendor: vendorId, isHidden: false }, options);
+  // Moderation details are for admins only
+  return {
+    ...reviews,
+    results: reviews.results.map(({ hiddenAt, hiddenBy, hiddenReason, ...review }) => review),
+  };
+};
+
+/**
+ * Hide an abusive review from listings and ratings
+ * @param {ObjectId} reviewId
+ * @param {User} admin
+ * @param {string} [reason]
+ * @returns {Promise<Review>}
+ */
+const hideReview = async (reviewId, admin, reason) => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Review not found');
+  }
+
+  review.isHidden = true;
+  review.hiddenAt = new Date();
+  review.hiddenBy = admin.id;
+  review.hiddenReason = reason;
+  await review.save();
+  return review;
+};
+
+/**
+ * Show a hidden review again
+ * @param {ObjectId} reviewId
+ * @returns {Promise<Review>}
+ */
+const unhideReview = async (reviewId) => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Review not found');
+  }
+
+  review.isHidden = false;
+  review.hiddenAt = undefined;
+  review.hiddenBy = undefined;
+  review.hiddenReason = undefined;
+  await review.save();
+  return review;
+};
+
+module.exports = {
+  createReview,
+  getVendorRating,
+  getMenuItemRatings,
+  queryReviews,
+  queryVendorReviews,
+  hideReview,
+  unhideReview,
+};
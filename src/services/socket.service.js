@@ -1,4 +1,3 @@
-const SocketController = require('../controllers/socket.controller');
 const logger = require('../config/logger');
 
 /**
@@ -11,15 +10,17 @@ class SocketService {
   }
 
   /**
-   * Initialize socket service with Socket.IO instance
+   * Initialize socket service with the controller of the Socket.IO instance.
+   * The controller is built by the caller, it depends on services that emit through this one.
+   * @param {SocketController} socketController
    */
-  initialize(io) {
+  initialize(socketController) {
     if (this.isInitialized) {
       logger.warn('SocketService already initialized');
       return;
     }
 
-    this.socketController = new SocketController(io);
+    this.socketController = socketController;
     this.isInitialized = true;
     logger.info('SocketService initialized successfully');
   }
@@ -29,7 +30,7 @@ class SocketService {
    */
   ensureInitialized() {
     if (!this.isInitialized || !this.socketController) {
-      throw new Error('SocketService not initialized. Call initialize(io) first.');
+      throw new Error('SocketService not initialized. Call initialize(socketController) first.');
     }
   }
 
@@ -43,7 +44,8 @@ class SocketService {
       
       const payload = {
         newBalance: balanceData.newBalance,
-        oldBalance: balanceData.oldBalance || balanceData.newBalance,
+        // A first top-up starts from 0, which is still an old balance
+        oldBalance: balanceData.oldBalance !== undefined ? balanceData.oldBalance : balanceData.newBalance,
         amount: balanceData.amount || 0,
         reason: balanceData.reason || 'Balance update'
       };
@@ -87,25 +89,89 @@ class SocketService {
     try {
       this.ensureInitialized();
 
-      const payload = {
-        orderId,
-        status: statusData.status,
-        estimatedTime: statusData.estimatedTime,
-        itemName: statusData.itemName,
-        userId: statusData.userId,
-        vendorId: statusData.vendorId,
-        message: statusData.message
-      };
+      this.socketController.emitOrderStatusUpdate(statusData.userId, orderId, statusData.status, statusData.itemName);
 
-      await this.socketController.handleOrderStatusUpdate(
-        { userId: statusData.vendorId }, // Mock socket object
-        payload
-      );
+      logger.info(`Order status change emitted for order ${orderId}: ${statusData.status}`);
+    } catch (error) {
+      logger.error('Error emitting order status change:', error);
+    }
+  }
 
-      logger.info(`Order status change emitted for order ${orderId}: ${payload.status}`);
+  /**
+   * Emit order status update to the customer
+   * Call this after an order moves to a new status
+   */
+  emitOrderStatusUpdate(userId, orderId, status, itemName) {
+    try {
+      this.ensureInitialized();
+      this.socketController.emitOrderStatusUpdate(userId, orderId, status, itemName);
+    } catch (error) {
+      logger.error('Error emitting order status update:', error);
+    }
+  }
 
+  /**
+   * Emit order completion to the customer
+   * Call this when the order has been handed off
+   */
+  emitOrderCompletion(userId, orderId, itemName) {
+    try {
+      this.ensureInitialized();
+      this.socketController.emitOrderCompletion(userId, orderId, itemName);
     } catch (error) {
-      logger.error('Error emitting order status change:', error);
+      logger.error('Error emitting order completion:', error);
+    }
+  }
+
+  /**
+   * Emit queue position and ETA to a customer, or the whole queue to a vendor
+   * Call this whenever an order joins or leaves a vendor's queue
+   */
+  emitQueueUpdate(userId, queueData) {
+    try {
+      this.ensureInitialized();
+      this.socketController.emitQueueUpdate(userId, queueData);
+    } catch (error) {
+      logger.error('Error emitting queue update:', error);
+    }
+  }
+
+  /**
+   * Emit vendor availability to all connected clients
+   * Call this when a vendor pauses, resumes or fills up
+   */
+  emitVendorAvailability(availability) {
+    try {
+      this.ensureInitialized();
+      this.socketController.emitVendorAvailability(availability);
+      logger.info(`Vendor availability emitted for vendor ${availability.vendorId}: ${availability.status}`);
+    } catch (error) {
+      logger.error('Error emitting vendor availability:', error);
+    }
+  }
+
+  /**
+   * Emit an order chat message to its sender and recipient
+   * Call this after the message is saved
+   */
+  emitOrderMessage(message) {
+    try {
+      this.ensureInitialized();
+      this.socketController.emitOrderMessage(message);
+    } catch (error) {
+      logger.error('Error emitting order message:', error);
+    }
+  }
+
+  /**
+   * Emit a read receipt to the user whose order chat messages were read
+   */
+  emitOrderMessagesRead(userId, receipt) {
+    try {
+      this.ensureInitialized();
+      this.socketController.emitOrderMessagesRead(userId, receipt);
+    } catch (error) {
+      logger.error('Error emitting order messages read:', error);
     }
   }
 
@@ -143,6 +209,7 @@ class SocketService {
       // Emit to order room
       this.socketController.io.to(`order-${orderId}`).emit('order-ready', {
         orderId,
+        orderNumber: orderData.orderNumber,
         itemName: orderData.itemName,
         vendorId: orderData.vendorId,
         vendorName: orderData.vendorName,
@@ -150,7 +217,7 @@ class SocketService {
         timestamp: new Date()
       });
 
-      // Also send as notification
+      // Also send as notification. The pickup code only goes to the customer's own room.
       this.emitNotification(orderData.userId, {
         message: `🎉 Your ${orderData.itemName} is ready! Please come to ${orderData.vendorName} to pick it up.`,
         type: 'order-ready',
@@ -158,8 +225,10 @@ class SocketService {
         data: {
           vendorId: orderData.vendorId,
           vendorName: orderData.vendorName,
-          itemName: orderData.itemName
-        }
+          itemName: orderData.itemName,
+          orderNumber: orderData.orderNumber,
+          pickup: orderData.pickup,
+        },
       });
 
       logger.info(`Order ready notification sent for order ${orderId}`);
@@ -182,6 +251,7 @@ class SocketService {
       const notification = {
         eventType: 'new-order',
         orderId: orderData.orderId,
+        orderNumber: orderData.orderNumber,
         customer: {
           id: orderData.customerId,
           name: orderData.customerName,
@@ -189,10 +259,14 @@ class SocketService {
         },
         orderDetails: {
           items: orderData.items,
+          summary: orderData.summary,
           totalPrice: orderData.totalPrice,
+          tipAmount: orderData.tipAmount || 0,
         },
         timestamp: new Date(),
-        message: `New order from ${orderData.customerName}`
+        message: orderData.summary
+          ? `New order from ${orderData.customerName}: ${orderData.summary}`
+          : `New order from ${orderData.customerName}`,
       };
 
       logger.info(`📦 Notification payload:`, JSON.stringify(notification, null, 2));
@@ -252,6 +326,76 @@ class SocketService {
     }
   }
 
+  /**
+   * Emit an escalated uncollected order for admin monitoring
+   * Call this when a ready order has gone through every reminder without being picked up
+   */
+  emitUncollectedOrderForAdmin(orderData) {
+    try {
+      this.ensureInitialized();
+
+      this.socketController.io.to('admin-monitoring').emit('uncollected-order', {
+        ...orderData,
+        timestamp: new Date(),
+      });
+
+      logger.info(`Uncollected order ${orderData.orderId} sent to admin monitoring`);
+    } catch (error) {
+      logger.error('Error emitting uncollected order for admin:', error);
+    }
+  }
+
+  /**
+   * Emit a payment no user could be found for, for admin monitoring
+   * Call this when a webhook payment lands in the unmatched payments inbox
+   */
+  emitUnmatchedPaymentForAdmin(paymentData) {
+    try {
+      this.ensureInitialized();
+
+      this.socketController.io.to('admin-monitoring').emit('unmatched-payment', {
+        ...paymentData,
+        timestamp: new Date(),
+      });
+
+      logger.info(`Unmatched payment ${paymentData.unmatchedPaymentId} sent to admin monitoring`);
+    } catch (error) {
+      logger.error('Error emitting unmatched payment for admin:', error);
+    }
+  }
+
+  /**
+   * Emit a manual balance adjustment waiting for a second admin, for admin monitoring
+   * Call this when an adjustment above the approval threshold is requested
+   */
+  emitBalanceAdjustmentForAdmin(adjustmentData) {
+    try {
+      this.ensureInitialized();
+
+      this.socketController.io.to('admin-monitoring').emit('balance-adjustment-pending', {
+        ...adjustmentData,
+        timestamp: new Date(),
+      });
+
+      logger.info(`Balance adjustment ${adjustmentData.adjustmentId} sent to admin monitoring`);
+    } catch (error) {
+      logger.error('Error emitting balance adjustment for admin:', error);
+    }
+  }
+
+  /**
+   * Emit one vendor's column of the public pickup board
+   * Call this when one of the vendor's orders is created or changes status
+   */
+  emitPickupBoardUpdate(vendorBoard) {
+    try {
+      this.ensureInitialized();
+      this.socketController.emitPickupBoardUpdate(vendorBoard);
+    } catch (error) {
+      logger.error('Error emitting pickup board update:', error);
+    }
+  }
+
   /**
    * Broadcast system announcement to all users
    * Call this for festival-wide announcements
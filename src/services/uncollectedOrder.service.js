@@ -0,0 +1,192 @@
+const { Order, User, Settings } = require('../models');
+const orderService = require('./order.service');
+const pickupService = require('./pickup.service');
+const socketService = require('./socket.service');
+const { sendPickupReminderEmail } = require('./email.service');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+const actionDescriptions = {
+  hold: 'held for the vendor and admins to resolve',
+  auto_complete: 'completed automatically',
+  auto_refund: 'cancelled and refunded automatically',
+};
+
+/**
+ * When an order last became ready
+ * @param {Order} order
+ * @returns {Date}
+ */
+const getReadyAt = (order) => {
+  const entry = order.statusHistory.filter((change) => change.to === 'ready').pop();
+  return entry ? entry.changedAt : order.updatedAt;
+};
+
+/**
+ * Remind the customer that their order is waiting, by socket and email
+ * @param {Order} order
+ * @returns {Promise<boolean>} - False if another run already sent this reminder
+ */
+const sendPickupReminder = async (order) => {
+  const lastReminderAt = order.uncollected && order.uncollected.lastReminderAt;
+  const reminderNumber = ((order.uncollected && order.uncollected.reminderCount) || 0) + 1;
+
+  // Claim the reminder so concurrent job runs (e.g. several PM2 instances) send it once
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: 'ready',
+      'uncollected.escalatedAt': null,
+      'uncollected.lastReminderAt': lastReminderAt || null,
+    },
+    {
+      $set: { 'uncollected.lastReminderAt': new Date() },
+      $inc: { 'uncollected.reminderCount': 1 },
+      $push: { 'uncollected.steps': { type: 'reminder', note: `Reminder ${reminderNumber} sent to the customer` } },
+    },
+    { new: true }
+  ).populate([
+    { path: 'customer', select: 'name email username' },
+    { path: 'vendor', select: 'name email username' },
+  ]);
+  if (!claimed) {
+    return false;
+  }
+
+  // The customer needs a working code to collect, replace it if it ran out while the order sat there
+  if (!claimed.pickup || !claimed.pickup.code || claimed.pickup.expiresAt < new Date()) {
+    pickupService.issuePickupCode(claimed);
+    await claimed.save();
+  }
+
+  const readyAt = getReadyAt(claimed);
+  const summary = claimed.getItemsSummary();
+  const pickup = await pickupService.formatPickupCode(claimed);
+  socketService.emitNotification(claimed.customer._id.toString(), {
+    message: `Your ${summary} is still waiting at ${claimed.vendor.name}. Please pick it up soon!`,
+    type: 'pickup-reminder',
+    orderId: claimed._id.toString(),
+    data: {
+      vendorId: claimed.vendor._id.toString(),
+      vendorName: claimed.vendor.name,
+      reminderNumber,
+      readyAt,
+      pickup,
+    },
+  });
+
+  try {
+    await sendPickupReminderEmail(
+      claimed.customer.email,
+      claimed.customer.name,
+      summary,
+      claimed.totalAmount,
+      readyAt,
+      config.frontend.url,
+      claimed.pickup.code
+    );
+  } catch (error) {
+    logger.error(`Failed to send pickup reminder email for order ${claimed._id}:`, error);
+  }
+
+  return true;
+};
+
+/**
+ * Flag the vendor and apply the uncollected order policy to an order that used up its reminders
+ * @param {Order} order
+ * @param {Object} policy - From Settings.getUncollectedOrderPolicy
+ * @returns {Promise<boolean>} - False if another run already escalated the order
+ */
+const escalateUncollectedOrder = async (order, policy) => {
+  const { action } = policy;
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'ready', 'uncollected.escalatedAt': null },
+    {
+      $set: { 'uncollected.escalatedAt': new Date(), 'uncollected.action': action },
+      $push: {
+        'uncollected.steps': {
+          type: 'escalation',
+          note: `Not collected after ${order.uncollected.reminderCount} reminder(s), ${actionDescriptions[action]}`,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return false;
+  }
+
+  const orderId = claimed._id.toString();
+  const vendorId = claimed.vendor.toString();
+  await User.updateOne(
+    { _id: vendorId },
+    { $inc: { 'vendorFlags.uncollectedOrders': 1 }, $set: { 'vendorFlags.lastUncollectedOrderAt': new Date() } }
+  );
+
+  socketService.emitNotification(vendorId, {
+    message: `Order ${orderId} was not collected and has been ${actionDescriptions[action]}`,
+    type: 'order-uncollected',
+    orderId,
+    data: { action },
+  });
+  socketService.emitUncollectedOrderForAdmin({
+    orderId,
+    vendorId,
+    customerId: claimed.customer.toString(),
+    readyAt: getReadyAt(claimed),
+    reminders: claimed.uncollected.reminderCount,
+    action,
+  });
+
+  try {
+    if (action === 'auto_complete') {
+      await orderService.updateOrderStatus(orderId, 'completed', undefined, 'Completed automatically, not collected');
+    } else if (action === 'auto_refund') {
+      await orderService.cancelOrder(orderId, undefined, 'Not collected');
+    }
+  } catch (error) {
+    logger.error(`Failed to apply uncollected order policy ${action} to order ${orderId}:`, error);
+    await Order.updateOne(
+      { _id: orderId },
+      { $push: { 'uncollected.steps': { type: 'action_failed', note: `${action} failed: ${error.message}` } } }
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Send due reminders for ready orders and escalate the ones that ran out of reminders
+ * @returns {Promise<Object>} - { reminded, escalated }
+ */
+const processUncollectedOrders = async () => {
+  const policy = await Settings.getUncollectedOrderPolicy();
+  const cutoff = new Date(Date.now() - policy.reminderIntervalMinutes * 60 * 1000);
+  const dueOrders = await Order.find({
+    status: 'ready',
+    'uncollected.escalatedAt': null,
+    statusHistory: { $elemMatch: { to: 'ready', changedAt: { $lte: cutoff } } },
+    $or: [{ 'uncollected.lastReminderAt': null }, { 'uncollected.lastReminderAt': { $lte: cutoff } }],
+  }).select('uncollected');
+
+  return dueOrders.reduce(async (totalsSoFar, order) => {
+    const totals = await totalsSoFar;
+    try {
+      if ((order.uncollected.reminderCount || 0) >= policy.maxReminders) {
+        totals.escalated += (await escalateUncollectedOrder(order, policy)) ? 1 : 0;
+      } else {
+        totals.reminded += (await sendPickupReminder(order)) ? 1 : 0;
+      }
+    } catch (error) {
+      logger.error(`Failed to follow up on uncollected order ${order._id}:`, error);
+    }
+    return totals;
+  }, Promise.resolve({ reminded: 0, escalated: 0 }));
+};
+
+module.exports = {
+  sendPickupReminder,
+  escalateUncollectedOrder,
+  processUncollectedOrders,
+};
@@ -0,0 +1,113 @@
+const httpStatus = require('http-status');
+const { UnmatchedPayment, User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const webhookService = require('./webhook.service');
+
+/**
+ * Load an inbox entry that is still waiting for an admin
+ * @param {ObjectId} unmatchedPaymentId
+ * @returns {Promise<UnmatchedPayment>}
+ */
+const getPendingPayment = async (unmatchedPaymentId) => {
+  const payment = await UnmatchedPayment.findById(unmatchedPaymentId);
+  if (!payment) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Unmatched payment not found');
+  }
+  if (payment.status !== 'pending') {
+    throw new ApiError(httpStatus.BAD_REQUEST, `This payment has already been ${payment.status}`);
+  }
+  return payment;
+};
+
+/**
+ * Query the unmatched payments inbox
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryUnmatchedPayments = async (filter, options) => {
+  const payments = await UnmatchedPayment.paginate(filter, {
+    sortBy: 'createdAt:desc',
+    ...options,
+    populate: [{ path: 'assignedUser', select: 'name email username' }],
+  });
+
+  // The toJSON plugin drops createdAt, admins need to see when the payment came in
+  return {
+    ...payments,
+    results: payments.results.map((payment) => ({ ...payment.toJSON(), createdAt: payment.createdAt })),
+  };
+};
+
+/**
+ * Credit an unmatched payment to the user an admin picked
+ * @param {ObjectId} unmatchedPaymentId
+ * @param {ObjectId} userId
+ * @param {User} admin
+ * @returns {Promise<UnmatchedPayment>}
+ */
+const assignUnmatchedPayment = async (unmatchedPaymentId, userId, admin) => {
+  const payment = await getPendingPayment(unmatchedPaymentId);
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+
+  const resolution = { status: 'assigned', resolvedBy: admin._id, resolvedAt: new Date() };
+  const { transaction, duplicate } = await webhookService.creditDeposit(
+    payment.source,
+    payment.payload,
+    payment.externalId,
+    user,
+    { webhookVerified: true, metadata: { unmatchedPayment: payment._id, assignedBy: admin._id } },
+    async (credit, session) => {
+      // Claimed in the same transaction, two admins assigning at once can't both credit
+      const claimed = await UnmatchedPayment.findOneAndUpdate(
+        { _id: payment._id, status: 'pending' },
+        { ...resolution, assignedUser: user._id, transaction: credit._id },
+        { session }
+      );
+      if (!claimed) {
+        throw new ApiError(httpStatus.CONFLICT, 'This payment was resolved by another admin');
+      }
+    }
+  );
+
+  if (duplicate) {
+    // A redelivery credited it since it was queued, e.g. after the payer signed up; close the entry to match
+    await UnmatchedPayment.updateOne(
+      { _id: payment._id, status: 'pending' },
+      { ...resolution, assignedUser: transaction.user, transaction: transaction._id }
+    );
+  }
+  return UnmatchedPayment.findById(payment._id);
+};
+
+/**
+ * Reject an unmatched payment, e.g. a test payment or one refunded at the provider. Nothing is credited.
+ * @param {ObjectId} unmatchedPaymentId
+ * @param {User} admin
+ * @param {string} [reason]
+ * @returns {Promise<UnmatchedPayment>}
+ */
+const rejectUnmatchedPayment = async (unmatchedPaymentId, admin, reason) => {
+  const payment = await getPendingPayment(unmatchedPaymentId);
+  const rejected = await UnmatchedPayment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    { status: 'rejected', rejectionReason: reason, resolvedBy: admin._id, resolvedAt: new Date() },
+    { new: true }
+  );
+  if (!rejected) {
+    throw new ApiError(httpStatus.CONFLICT, 'This payment was resolved by another admin');
+  }
+  return rejected;
+};
+
+module.exports = {
+  queryUnmatchedPayments,
+  assignUnmatchedPayment,
+  rejectUnmatchedPayment,
+};
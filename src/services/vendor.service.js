@@ -0,0 +1,133 @@
+const httpStatus = require('http-status');
+const { User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const queueService = require('./queue.service');
+const socketService = require('./socket.service');
+const logger = require('../config/logger');
+
+/**
+ * Get a vendor by id
+ * @param {ObjectId} vendorId
+ * @returns {Promise<User>}
+ */
+const getVendorById = async (vendorId) => {
+  const vendor = await User.findById(vendorId);
+  if (!vendor || vendor.type !== 'vendor') {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Vendor not found');
+  }
+  return vendor;
+};
+
+/**
+ * Work out whether a vendor can take new orders right now
+ * @param {User} vendor
+ * @param {Object[]} [queue] - The vendor's current queue, loaded when omitted
+ * @param {ClientSession} [session] - Loads the queue inside the caller's transaction
+ * @returns {Promise<Object>} - { vendorId, status, acceptingOrders, preparingOrders, etaMinutes }
+ */
+const getVendorAvailability = async (vendor, queue, session = null) => {
+  const currentQueue = queue || (await queueService.getVendorQueue(vendor._id, session));
+  const settings = vendor.vendorSettings || {};
+  const preparingOrders = currentQueue.filter((entry) => entry.status === 'preparing').length;
+  const etaMinutes = currentQueue.length > 0 ? currentQueue[currentQueue.length - 1].etaMinutes : 0;
+
+  let status = 'open';
+  if (settings.acceptingOrders === false) {
+    status = 'paused';
+  } else if (settings.autoPauseEtaMinutes && etaMinutes > settings.autoPauseEtaMinutes) {
+    status = 'auto_paused';
+  } else if (settings.maxPreparingOrders && preparingOrders >= settings.maxPreparingOrders) {
+    status = 'at_capacity';
+  }
+
+  return {
+    vendorId: vendor._id.toString(),
+    status,
+    acceptingOrders: status === 'open',
+    preparingOrders,
+    maxPreparingOrders: settings.maxPreparingOrders || null,
+    etaMinutes,
+  };
+};
+
+/**
+ * Reject an order the vendor can't take
+ * @param {User} vendor
+ * @param {Object} [options]
+ * @param {boolean} [options.isScheduled] - Scheduled orders only respect the manual pause, the kitchen load will have changed by pickup
+ * @param {ClientSession} [options.session] - The checkout transaction, so the queue is read with the orders it will commit
+ * @returns {Promise<void>}
+ */
+const assertVendorAcceptingOrders = async (vendor, { isScheduled = false, session = null } = {}) => {
+  const availability = await getVendorAvailability(vendor, undefined, session);
+  const blocked = isScheduled ? availability.status === 'paused' : !availability.acceptingOrders;
+  if (!blocked) {
+    return;
+  }
+
+  const messages = {
+    paused: `${vendor.name} is not accepting orders right now`,
+    auto_paused: `${vendor.name} is too busy to take new orders, the current wait is about ${availability.etaMinutes} min. Please try again shortly`,
+    at_capacity: `${vendor.name} is preparing as many orders as they can. Please try again in a few minutes`,
+  };
+  throw new ApiError(httpStatus.CONFLICT, messages[availability.status]);
+};
+
+/**
+ * Recompute a vendor's availability, store it and tell everyone when it changes.
+ * Call this whenever the vendor's queue or intake settings change.
+ * @param {ObjectId} vendorId
+ * @param {Object[]} [queue] - The vendor's current queue, loaded when omitted
+ * @returns {Promise<Object|null>} - The availability, null if it couldn't be worked out
+ */
+const refreshVendorAvailability = async (vendorId, queue) => {
+  try {
+    const vendor = await getVendorById(vendorId);
+    const availability = await getVendorAvailability(vendor, queue);
+
+    // Only the first process to see the change records it, so the broadcast goes out once
+    const changed = await User.updateOne(
+      { _id: vendor._id, 'vendorAvailability.status': { $ne: availability.status } },
+      { $set: { 'vendorAvailability.status': availability.status, 'vendorAvailability.changedAt': new Date() } }
+    );
+    if (changed.modifiedCount > 0) {
+      socketService.emitVendorAvailability({ ...availability, vendorName: vendor.name });
+    }
+
+    return availability;
+  } catch (error) {
+    logger.error(`Failed to refresh availability for vendor ${vendorId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Update a vendor's order settings
+ * @param {ObjectId} vendorId
+ * @param {Object} settingsBody
+ * @param {User} actor - The vendor themselves or an admin
+ * @returns {Promise<Object>} - { settings, availability }
+ */
+const updateVendorSettings = async (vendorId, settingsBody, actor) => {
+  if (actor.type !== 'admin' && actor.id !== vendorId.toString()) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You can only change your own settings');
+  }
+
+  const vendor = await getVendorById(vendorId);
+  Object.entries(settingsBody).forEach(([key, value]) => {
+    // null clears a limit, e.g. maxOrdersPerSlot back to unlimited
+    vendor.set(`vendorSettings.${key}`, value === null ? undefined : value);
+  });
+  await vendor.save();
+
+  const availability = await refreshVendorAvailability(vendor._id);
+  return { settings: vendor.vendorSettings, availability };
+};
+
+module.exports = {
+  getVendorById,
+  getVendorAvailability,
+  assertVendorAcceptingOrders,
+  refreshVendorAvailability,
+  updateVendorSettings,
+};
@@ -0,0 +1,114 @@
+const httpStatus = require('http-status');
+const { User, FundTransaction } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { roundCurrency } = require('../utils/money');
+
+/**
+ * Apply a signed change to a user's balance and write the matching ledger entry.
+ * Debits only succeed while the balance covers them, so concurrent payments can't overdraw a wallet.
+ * @param {ObjectId} userId
+ * @param {number} delta - Positive to credit, negative to debit
+ * @param {Object} entry - FundTransaction fields (type, method, description, relatedOrder, ...)
+ * @param {ClientSession} [session]
+ * @param {Object} [options]
+ * @param {boolean} [options.allowOverdraft] - Let a debit take the balance below zero
+ * @returns {Promise<FundTransaction>}
+ */
+const applyBalanceChange = async (userId, delta, entry, session = null, { allowOverdraft = false } = {}) => {
+  const amount = roundCurrency(Math.abs(delta));
+  const signedAmount = delta < 0 ? -amount : amount;
+  const filter = { _id: userId };
+  if (signedAmount < 0 && !allowOverdraft) {
+    filter.balance = { $gte: amount };
+  }
+
+  // Returns the document as it was before the update, which gives us balanceBefore
+  const before = await User.findOneAndUpdate(
+    filter,
+    [{ $set: { balance: { $round: [{ $add: ['$balance', signedAmount] }, 2] } } }],
+    { new: false, session }
+  );
+
+  if (!before) {
+    const exists = await User.exists({ _id: userId }).session(session);
+    if (!exists) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+    }
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Insufficient balance');
+  }
+
+  const balanceBefore = before.balance;
+  // The part of a debit the balance didn't cover, now owed by the user
+  const shortfall = signedAmount < 0 ? roundCurrency(Math.min(amount, amount - balanceBefore)) : 0;
+  const [transaction] = await FundTransaction.create(
+    [
+      {
+        ...entry,
+        metadata: shortfall > 0 ? { ...entry.metadata, shortfall } : entry.metadata,
+        user: userId,
+        amount,
+        direction: signedAmount < 0 ? 'debit' : 'credit',
+        status: 'completed',
+        processedAt: new Date(),
+        balanceBefore,
+        balanceAfter: roundCurrency(balanceBefore + signedAmount),
+      },
+    ],
+    { session }
+  );
+
+  return transaction;
+};
+
+/**
+ * Credit a user's wallet
+ * @param {ObjectId} userId
+ * @param {number} amount
+ * @param {Object} entry - FundTransaction fields (type, method, description, relatedOrder, ...)
+ * @param {ClientSession} [session]
+ * @returns {Promise<FundTransaction>}
+ */
+const creditUser = async (userId, amount, entry, session = null) => {
+  if (amount < 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Credit amount must be positive');
+  }
+  return applyBalanceChange(userId, amount, entry, session);
+};
+
+/**
+ * Debit a user's wallet
+ * @param {ObjectId} userId
+ * @param {number} amount
+ * @param {Object} entry - FundTransaction fields (type, method, description, relatedOrder, ...)
+ * @param {ClientSession} [session]
+ * @returns {Promise<FundTransaction>}
+ */
+const debitUser = async (userId, amount, entry, session = null) => {
+  if (amount < 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Debit amount must be positive');
+  }
+  return applyBalanceChange(userId, -amount, entry, session);
+};
+
+/**
+ * Take money back from a user even when their balance no longer covers it, e.g. a vendor's share of a refund
+ * after they spent the payout. The balance goes below zero, which is what the user owes: they can't pay with
+ * it until their next credits bring it back up. The uncovered part is recorded as metadata.shortfall.
+ * @param {ObjectId} userId
+ * @param {number} amount
+ * @param {Object} entry - FundTransaction fields (type, method, description, relatedOrder, ...)
+ * @param {ClientSession} [session]
+ * @returns {Promise<FundTransaction>}
+ */
+const clawbackUser = async (userId, amount, entry, session = null) => {
+  if (amount < 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Debit amount must be positive');
+  }
+  return applyBalanceChange(userId, -amount, entry, session, { allowOverdraft: true });
+};
+
+module.exports = {
+  creditUser,
+  debitUser,
+  clawbackUser,
+};
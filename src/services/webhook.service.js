@@ -0,0 +1,228 @@
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { FundTransaction, UnmatchedPayment, User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const walletService = require('./wallet.service');
+const socketService = require('./socket.service');
+const { sendDepositConfirmedEmail } = require('./email.service');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'CAD' });
+
+/**
+ * Provider specifics: how a payment maps to ledger fields and where its dedupe id lives
+ */
+const depositSources = {
+  zeffy: {
+    getFields: (payload) => FundTransaction.getZeffyDonationFields(payload),
+    findCredited: (externalId) => FundTransaction.findByZeffyId(externalId),
+  },
+  zapier: {
+    getFields: (payload, externalId) => FundTransaction.getZapierWebhookFields(payload, externalId),
+    findCredited: (externalId) => FundTransaction.findByZapierWebhookId(externalId),
+  },
+};
+
+/**
+ * Whether a payment carries anything to credit. Free tickets and zero-amount donations are delivered like any other.
+ * @param {string} source - zeffy or zapier
+ * @param {Object} payload - Webhook data
+ * @param {string} externalId - The provider's id for the payment
+ * @returns {boolean}
+ */
+const hasAmountToCredit = (source, payload, externalId) => depositSources[source].getFields(payload, externalId).amount > 0;
+
+/**
+ * Find the user a Zeffy donation is for, by the user_id custom field or else the donor's email
+ * @param {Object} payload - Zeffy webhook data
+ * @returns {Promise<User|null>}
+ */
+const findZeffyDonor = async ({ user_id: userId, donor_email: donorEmail }) => {
+  const user = userId ? await User.findById(userId) : null;
+  if (user || !donorEmail) {
+    return user;
+  }
+  return User.findOne({ email: donorEmail.toLowerCase() });
+};
+
+/**
+ * Tell a user their wallet was topped up
+ * @param {User} user
+ * @param {FundTransaction} transaction
+ * @returns {Promise<void>}
+ */
+const notifyDeposit = async (user, transaction) => {
+  const userId = user._id.toString();
+  socketService.emitBalanceUpdate(userId, {
+    newBalance: transaction.balanceAfter,
+    oldBalance: transaction.balanceBefore,
+    amount: transaction.amount,
+    reason: transaction.description,
+  });
+  socketService.emitPaymentCompleted(userId, {
+    amount: transaction.amount,
+    newBalance: transaction.balanceAfter,
+    paymentMethod: transaction.method,
+    transactionId: transaction.transactionId,
+  });
+
+  try {
+    await sendDepositConfirmedEmail(
+      user.email,
+      user.name,
+      currency.format(transaction.amount),
+      transaction.transactionId,
+      transaction.processedAt,
+      config.frontend.url
+    );
+  } catch (error) {
+    logger.error(`Failed to send deposit confirmation for transaction ${transaction.transactionId}:`, error);
+  }
+};
+
+/**
+ * Credit a provider payment to a user's wallet, once per external id
+ * @param {string} source - zeffy or zapier
+ * @param {Object} payload - Webhook data
+ * @param {string} externalId - The provider's id for the payment
+ * @param {User} user
+ * @param {Object} [extra] - More ledger fields, e.g. the verified signature
+ * @param {Function} [beforeCommit] - Runs in the same transaction with (transaction, session), e.g. to resolve an inbox entry
+ * @returns {Promise<Object>} - { transaction, duplicate }
+ */
+const creditDeposit = async (source, payload, externalId, user, extra = {}, beforeCommit = null) => {
+  const { getFields, findCredited } = depositSources[source];
+  const fields = getFields(payload, externalId);
+  if (!(fields.amount > 0)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Payment has no amount to credit');
+  }
+
+  // The balance, the ledger entry and the user's deposit history commit or roll back together
+  const session = await mongoose.startSession();
+  let transaction;
+  try {
+    await session.withTransaction(async () => {
+      transaction = await walletService.creditUser(
+        user._id,
+        fields.amount,
+        { ...fields, ...extra, type: 'deposit' },
+        session
+      );
+      await User.updateOne({ _id: user._id }, { $push: { fundsAddedHistory: transaction._id } }, { session });
+      if (beforeCommit) {
+        await beforeCommit(transaction, session);
+      }
+    });
+  } catch (error) {
+    // The same payment delivered twice at once, the unique index lets only one through
+    if (error.code === 11000) {
+      return { transaction: await findCredited(externalId), duplicate: true };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`${source} payment ${externalId} credited ${transaction.amount} to user ${user._id}`);
+  await notifyDeposit(user, transaction);
+  return { transaction, duplicate: false };
+};
+
+/**
+ * Park a payment no user could be found for in the admins' unmatched payments inbox
+ * @param {string} source - zeffy or zapier
+ * @param {Object} payload - Webhook data
+ * @param {string} externalId - The provider's id for the payment
+ * @param {Object} payer - { name, email, userId } as given in the payload
+ * @returns {Promise<Object>} - { unmatchedPayment, duplicate }
+ */
+const queueUnmatchedPayment = async (source, payload, externalId, payer) => {
+  const { amount } = depositSources[source].getFields(payload, externalId);
+  try {
+    const unmatchedPayment = await UnmatchedPayment.create({
+      source,
+      externalId,
+      amount,
+      payerName: payer.name,
+      payerEmail: payer.email,
+      referencedUserId: payer.userId,
+      payload,
+    });
+
+    logger.warn(`${source} payment ${externalId} matches no user, queued as unmatched payment ${unmatchedPayment._id}`);
+    socketService.emitUnmatchedPaymentForAdmin({
+      unmatchedPaymentId: unmatchedPayment._id.toString(),
+      source,
+      amount,
+      payerEmail: unmatchedPayment.payerEmail,
+    });
+    return { unmatchedPayment, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { unmatchedPayment: await UnmatchedPayment.findOne({ source, externalId }), duplicate: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Credit a Zeffy donation to the donor's wallet, once.
+ * Donations no user matches go to the unmatched payments inbox, donations without an amount are skipped.
+ * @param {Object} payload - Zeffy webhook data, its signature already verified
+ * @param {string} signature
+ * @returns {Promise<Object>} - { transaction, duplicate }, { unmatchedPayment, duplicate } or { skipped }
+ */
+const processZeffyDonation = async (payload, signature) => {
+  const externalId = FundTransaction.getZeffyDonationFields(payload).zeffyTransactionId;
+  const existing = await FundTransaction.findByZeffyId(externalId);
+  if (existing) {
+    return { transaction: existing, duplicate: true };
+  }
+  if (!hasAmountToCredit('zeffy', payload, externalId)) {
+    logger.info(`zeffy payment ${externalId} has no amount to credit, skipped`);
+    return { skipped: true };
+  }
+
+  const user = await findZeffyDonor(payload);
+  if (!user) {
+    return queueUnmatchedPayment('zeffy', payload, externalId, {
+      name: payload.donor_name,
+      email: payload.donor_email,
+      userId: payload.user_id,
+    });
+  }
+  return creditDeposit('zeffy', payload, externalId, user, { webhookVerified: true, webhookSignature: signature });
+};
+
+/**
+ * Credit a Zapier payment to the referenced user's wallet, once per webhook ID.
+ * Payments without a user_id, or for a user that doesn't exist, go to the unmatched payments inbox.
+ * Payments without an amount are skipped.
+ * @param {Object} payload - Zapier webhook data
+ * @param {string} webhookId - Unique per payment, set by the Zap
+ * @returns {Promise<Object>} - { transaction, duplicate }, { unmatchedPayment, duplicate } or { skipped }
+ */
+const processZapierCredit = async (payload, webhookId) => {
+  const existing = await FundTransaction.findByZapierWebhookId(webhookId);
+  if (existing) {
+    return { transaction: existing, duplicate: true };
+  }
+  if (!hasAmountToCredit('zapier', payload, webhookId)) {
+    logger.info(`zapier payment ${webhookId} has no amount to credit, skipped`);
+    return { skipped: true };
+  }
+
+  // Zaps fill user_id from a form field, so it may be empty or not an id at all
+  const user = mongoose.isObjectIdOrHexString(payload.user_id) ? await User.findById(payload.user_id) : null;
+  if (!user) {
+    return queueUnmatchedPayment('zapier', payload, webhookId, { userId: payload.user_id || undefined });
+  }
+  return creditDeposit('zapier', payload, webhookId, user, { webhookVerified: true });
+};
+
+module.exports = {
+  creditDeposit,
+  processZeffyDonation,
+  processZapierCredit,
+};
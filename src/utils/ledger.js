@@ -0,0 +1,19 @@
+// Entries written before direction was stored are debits when they took money out of the wallet
+const DEBIT_TYPES = ['payment', 'withdrawal'];
+
+/**
+ * Whether a ledger entry took money out of the wallet
+ * @param {Object} entry - FundTransaction
+ * @returns {boolean}
+ */
+const isDebit = (entry) => (entry.direction ? entry.direction === 'debit' : DEBIT_TYPES.includes(entry.type));
+
+// isDebit as an aggregation expression over a FundTransaction document
+const isDebitExpression = {
+  $cond: [{ $ifNull: ['$direction', false] }, { $eq: ['$direction', 'debit'] }, { $in: ['$type', DEBIT_TYPES] }],
+};
+
+module.exports = {
+  isDebit,
+  isDebitExpression,
+};
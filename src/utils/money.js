@@ -0,0 +1,10 @@
+/**
+ * Round an amount to whole cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+module.exports = {
+  roundCurrency,
+};
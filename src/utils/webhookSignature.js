@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+/**
+ * Sign a webhook body. The timestamp is part of the signed payload so it can't be swapped to replay an old delivery.
+ * @param {string} secret
+ * @param {number|string} timestamp - Unix seconds
+ * @param {Buffer|string} rawBody - Body exactly as it was sent
+ * @returns {string} - Hex HMAC-SHA256
+ */
+const signWebhookPayload = (secret, timestamp, rawBody) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+
+/**
+ * Check a webhook signature in constant time
+ * @param {string} signature - Hex HMAC-SHA256, optionally prefixed with sha256=
+ * @param {string} secret
+ * @param {number|string} timestamp - Unix seconds
+ * @param {Buffer|string} rawBody
+ * @returns {boolean}
+ */
+const isValidWebhookSignature = (signature, secret, timestamp, rawBody) => {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, rawBody), 'hex');
+  const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Compare a shared secret sent with a webhook in constant time
+ * @param {string} received
+ * @param {string} secret
+ * @returns {boolean}
+ */
+const isValidSharedSecret = (received, secret) => {
+  // Hashing first gives equal lengths, timingSafeEqual would throw on a wrong-length guess
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(received), digest(secret));
+};
+
+module.exports = {
+  signWebhookPayload,
+  isValidWebhookSignature,
+  isValidSharedSecret,
+};
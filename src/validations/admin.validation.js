@@ -62,6 +62,153 @@ const updatePlatformFee = {
   }),
 };
 
+const updateScheduledOrderLeadMinutes = {
+  body: Joi.object().keys({
+    minutes: Joi.number()
+      .integer()
+      .min(0)
+      .max(24 * 60)
+      .required(),
+  }),
+};
+
+const updateUncollectedOrderPolicy = {
+  body: Joi.object()
+    .keys({
+      reminderIntervalMinutes: Joi.number()
+        .integer()
+        .min(1)
+        .max(24 * 60),
+      maxReminders: Joi.number().integer().min(0).max(20),
+      action: Joi.string().valid('hold', 'auto_complete', 'auto_refund'),
+    })
+    .min(1),
+};
+
+const getReviews = {
+  query: Joi.object().keys({
+    vendor: Joi.string().custom(objectId),
+    customer: Joi.string().custom(objectId),
+    rating: Joi.number().integer().min(1).max(5),
+    isHidden: Joi.boolean(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const hideReview = {
+  params: Joi.object().keys({
+    reviewId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    reason: Joi.string().trim().max(500),
+  }),
+};
+
+const unhideReview = {
+  params: Joi.object().keys({
+    reviewId: Joi.string().custom(objectId),
+  }),
+};
+
+const getUnmatchedPayments = {
+  query: Joi.object().keys({
+    status: Joi.string().valid('pending', 'assigned', 'rejected'),
+    source: Joi.string().valid('zeffy', 'zapier'),
+    payerEmail: Joi.string().email(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const assignUnmatchedPayment = {
+  params: Joi.object().keys({
+    unmatchedPaymentId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    userId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const rejectUnmatchedPayment = {
+  params: Joi.object().keys({
+    unmatchedPaymentId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    reason: Joi.string().trim().max(500),
+  }),
+};
+
+const getReconciliationReports = {
+  query: Joi.object().keys({
+    trigger: Joi.string().valid('cli', 'admin'),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getReconciliationReport = {
+  params: Joi.object().keys({
+    reportId: Joi.string().custom(objectId),
+  }),
+};
+
+const reconcileUser = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+};
+
+const reconcileUserBalance = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    note: Joi.string().trim().max(500),
+  }),
+};
+
+const createBalanceAdjustment = {
+  body: Joi.object().keys({
+    userId: Joi.string().custom(objectId).required(),
+    amount: Joi.number().positive().precision(2).required(),
+    direction: Joi.string().valid('credit', 'debit').required(),
+    reasonCode: Joi.string().valid('cash_top_up', 'refund', 'correction', 'compensation', 'other').required(),
+    // 'other' says nothing on its own
+    note: Joi.string().trim().max(500).when('reasonCode', { is: 'other', then: Joi.required() }),
+  }),
+};
+
+const getBalanceAdjustments = {
+  query: Joi.object().keys({
+    user: Joi.string().custom(objectId),
+    status: Joi.string().valid('pending', 'applied', 'rejected'),
+    reasonCode: Joi.string().valid('cash_top_up', 'refund', 'correction', 'compensation', 'other'),
+    requestedBy: Joi.string().custom(objectId),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const approveBalanceAdjustment = {
+  params: Joi.object().keys({
+    adjustmentId: Joi.string().custom(objectId),
+  }),
+};
+
+const rejectBalanceAdjustment = {
+  params: Joi.object().keys({
+    adjustmentId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    reason: Joi.string().trim().max(500),
+  }),
+};
+
 module.exports = {
   getUsers,
   getVendors,
@@ -70,4 +217,20 @@ module.exports = {
   suspendUser,
   unsuspendUser,
   updatePlatformFee,
+  updateScheduledOrderLeadMinutes,
+  updateUncollectedOrderPolicy,
+  getReviews,
+  hideReview,
+  unhideReview,
+  getUnmatchedPayments,
+  assignUnmatchedPayment,
+  rejectUnmatchedPayment,
+  getReconciliationReports,
+  getReconciliationReport,
+  reconcileUser,
+  reconcileUserBalance,
+  createBalanceAdjustment,
+  getBalanceAdjustments,
+  approveBalanceAdjustment,
+  rejectBalanceAdjustment,
 };
@@ -5,8 +5,22 @@ const createFundTransaction = {
   body: Joi.object().keys({
     user: Joi.string().required().custom(objectId),
     amount: Joi.number().min(0).required(),
-    type: Joi.string().required().valid('deposit', 'withdrawal', 'refund', 'payment', 'adjustment'),
-    method: Joi.string().required().valid('card', 'bank_transfer', 'paypal', 'google_pay', 'apple_pay', 'cash', 'admin_adjustment', 'zeffy', 'zapier_webhook'),
+    type: Joi.string().required().valid('deposit', 'withdrawal', 'refund', 'payment', 'sale', 'tip', 'adjustment'),
+    method: Joi.string()
+      .required()
+      .valid(
+        'card',
+        'bank_transfer',
+        'paypal',
+        'google_pay',
+        'apple_pay',
+        'cash',
+        'wallet',
+        'admin_adjustment',
+        'zeffy',
+        'zapier_webhook'
+      ),
+    direction: Joi.string().valid('credit', 'debit'),
     description: Joi.string(),
     relatedOrder: Joi.string().custom(objectId),
     balanceBefore: Joi.number().min(0).required(),
@@ -36,26 +50,40 @@ const zeffyWebhook = {
 };
 
 const zapierWebhook = {
-  body: Joi.object().keys({
-    zap_id: Joi.string(),
-    timestamp: Joi.string().isoDate(),
-    source_app: Joi.string(),
-    webhook_url: Joi.string().uri(),
-    retry_count: Joi.number().integer().min(0),
-    event_type: Joi.string(),
-    amount: Joi.number().min(0).required(),
-    credit_amount: Joi.number().min(0),
-    description: Joi.string(),
-    user_id: Joi.string().custom(objectId).required(), // Custom field to identify the user
-    // Allow additional fields from various Zapier integrations
-  }).unknown(true),
+  body: Joi.object()
+    .keys({
+      zap_id: Joi.string(),
+      timestamp: Joi.string().isoDate(),
+      source_app: Joi.string(),
+      webhook_url: Joi.string().uri(),
+      retry_count: Joi.number().integer().min(0),
+      event_type: Joi.string(),
+      amount: Joi.number().min(0).required(),
+      credit_amount: Joi.number().min(0),
+      description: Joi.string(),
+      // Custom field to identify the user. Missing, malformed or unknown ids land in the unmatched payments inbox
+      user_id: Joi.string().allow(''),
+      // Allow additional fields from various Zapier integrations
+    })
+    .unknown(true),
 };
 
 const getFundTransactions = {
   query: Joi.object().keys({
     user: Joi.string().custom(objectId),
-    type: Joi.string().valid('deposit', 'withdrawal', 'refund', 'payment', 'adjustment'),
-    method: Joi.string().valid('card', 'bank_transfer', 'paypal', 'google_pay', 'apple_pay', 'cash', 'admin_adjustment', 'zeffy', 'zapier_webhook'),
+    type: Joi.string().valid('deposit', 'withdrawal', 'refund', 'payment', 'sale', 'tip', 'adjustment'),
+    method: Joi.string().valid(
+      'card',
+      'bank_transfer',
+      'paypal',
+      'google_pay',
+      'apple_pay',
+      'cash',
+      'wallet',
+      'admin_adjustment',
+      'zeffy',
+      'zapier_webhook'
+    ),
     status: Joi.string().valid('pending', 'completed', 'failed', 'cancelled'),
     integrationSource: Joi.string().valid('manual', 'zeffy', 'zapier', 'api', 'admin'),
     startDate: Joi.date(),
@@ -66,6 +94,30 @@ const getFundTransactions = {
   }),
 };
 
+const getWalletTransactions = {
+  query: Joi.object().keys({
+    type: Joi.string().valid('deposit', 'withdrawal', 'refund', 'payment', 'sale', 'tip', 'adjustment'),
+    method: Joi.string().valid(
+      'card',
+      'bank_transfer',
+      'paypal',
+      'google_pay',
+      'apple_pay',
+      'cash',
+      'wallet',
+      'admin_adjustment',
+      'zeffy',
+      'zapier_webhook'
+    ),
+    status: Joi.string().valid('pending', 'completed', 'failed', 'cancelled'),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
 const getFundTransaction = {
   params: Joi.object().keys({
     transactionId: Joi.string().custom(objectId),
@@ -109,6 +161,7 @@ module.exports = {
   zeffyWebhook,
   zapierWebhook,
   getFundTransactions,
+  getWalletTransactions,
   getFundTransaction,
   updateFundTransaction,
   verifyWebhook,
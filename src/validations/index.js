@@ -6,3 +6,4 @@ module.exports.menuItemValidation = require('./menuItem.validation');
 module.exports.fundTransactionValidation = require('./fundTransaction.validation');
 module.exports.vendorCodeValidation = require('./vendorCode.validation');
 module.exports.adminValidation = require('./admin.validation');
+module.exports.vendorValidation = require('./vendor.validation');
@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { objectId } = require('./custom.validation');
+const { modifierGroups } = require('./menuItem.validation');
 
 const createMenu = {
   body: Joi.object().keys({
@@ -61,18 +62,7 @@ const addMenuItem = {
     dietary: Joi.array().items(
       Joi.string().valid('vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free', 'halal', 'kosher')
     ),
-    customizations: Joi.array().items(
-      Joi.object().keys({
-        name: Joi.string().required(),
-        options: Joi.array().items(
-          Joi.object().keys({
-            name: Joi.string().required(),
-            price: Joi.number().min(0).required(),
-          })
-        ),
-        required: Joi.boolean(),
-      })
-    ),
+    modifierGroups,
   }),
 };
 
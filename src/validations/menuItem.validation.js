@@ -1,6 +1,28 @@
 const Joi = require('joi');
 const { objectId } = require('./custom.validation');
 
+// Choices offered with an item, e.g. a required size or up to three toppings
+const modifierGroups = Joi.array().items(
+  Joi.object().keys({
+    name: Joi.string().required().trim(),
+    required: Joi.boolean(),
+    minSelections: Joi.number().integer().min(0),
+    maxSelections: Joi.number()
+      .integer()
+      .min(1)
+      .when('minSelections', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minSelections')) }),
+    options: Joi.array()
+      .items(
+        Joi.object().keys({
+          name: Joi.string().required().trim(),
+          priceDelta: Joi.number(),
+        })
+      )
+      .min(1)
+      .required(),
+  })
+);
+
 const createMenuItem = {
   body: Joi.object().keys({
     userId: Joi.string().custom(objectId).required(), // Vendor ID
@@ -9,6 +31,8 @@ const createMenuItem = {
     price: Joi.number().min(0).required(),
     image: Joi.string(), // Image URL from Google Cloud Storage
     qrCode: Joi.string(), // QR code URL (auto-generated, but allow in validation)
+    preparationTime: Joi.number().min(0), // Minutes per unit, used for queue ETAs
+    modifierGroups,
   }),
 };
 
@@ -49,6 +73,8 @@ const updateMenuItem = {
       price: Joi.number().min(0),
       image: Joi.string(), // Image URL
       qrCode: Joi.string(), // QR code URL
+      preparationTime: Joi.number().min(0), // Minutes per unit
+      modifierGroups,
     })
     .min(1),
 };
@@ -60,6 +86,7 @@ const deleteMenuItem = {
 };
 
 module.exports = {
+  modifierGroups,
   createMenuItem,
   getMenuItems,
   getMenuItem,
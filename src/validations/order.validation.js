@@ -1,36 +1,62 @@
 const Joi = require('joi');
 const { objectId } = require('./custom.validation');
+const { orderStatuses } = require('../config/orderStatus');
+
+// Options picked for an item, one entry per modifier group
+const modifiers = Joi.array().items(
+  Joi.object().keys({
+    groupId: Joi.string().custom(objectId).required(),
+    optionIds: Joi.array().items(Joi.string().custom(objectId)).unique().required(),
+  })
+);
 
 const createOrder = {
-  body: Joi.object().keys({
-    vendorId: Joi.string().custom(objectId).required(),
-    userId: Joi.string().custom(objectId).required(),
-    itemId: Joi.string().custom(objectId),
-    quantity: Joi.number().integer().min(1).required(),
-    // Item field - no validation, just pass through for verification
-    item: Joi.any(),
-    // Legacy support for existing structure
-    vendor: Joi.string().custom(objectId),
-    items: Joi.array().items(
-      Joi.object().keys({
-        name: Joi.string().required(),
-        description: Joi.string(),
-        quantity: Joi.number().integer().min(1).required(),
-        price: Joi.number().min(0).required(),
-        totalPrice: Joi.number().min(0).required(),
-      })
-    ),
-    orderType: Joi.string().valid('pre-order', 'instant', 'scheduled'),
-    scheduledTime: Joi.date(),
-    notes: Joi.string(),
-  }),
+  body: Joi.object()
+    .keys({
+      vendorId: Joi.string().custom(objectId).required(),
+      // Admins only, everyone else orders for themselves
+      userId: Joi.string().custom(objectId),
+      // Cart lines, each priced from the vendor's menu
+      items: Joi.array()
+        .items(
+          Joi.object().keys({
+            itemId: Joi.string().custom(objectId).required(),
+            quantity: Joi.number().integer().min(1).required(),
+            modifiers,
+          })
+        )
+        .min(1),
+      // Legacy single-item order
+      itemId: Joi.string().custom(objectId),
+      quantity: Joi.number().integer().min(1),
+      modifiers,
+      // Item field - no validation, just pass through for verification
+      item: Joi.any(),
+      // Legacy support for existing structure
+      vendor: Joi.string().custom(objectId),
+      orderType: Joi.string().valid('pre-order', 'instant', 'scheduled'),
+      // Pickup time, required for scheduled and pre-orders
+      scheduledTime: Joi.date()
+        .greater('now')
+        .when('orderType', { is: Joi.valid('pre-order', 'scheduled'), then: Joi.required() }),
+      notes: Joi.string(),
+      // Optional tip, a fixed amount or a percentage of the order total
+      tip: Joi.object()
+        .keys({
+          amount: Joi.number().min(0),
+          percentage: Joi.number().min(0).max(100),
+        })
+        .xor('amount', 'percentage'),
+    })
+    .or('items', 'itemId')
+    .with('itemId', 'quantity'),
 };
 
 const getOrders = {
   query: Joi.object().keys({
     customer: Joi.string().custom(objectId),
     vendor: Joi.string().custom(objectId),
-    status: Joi.string().valid('pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'),
+    status: Joi.string().valid(...orderStatuses),
     orderType: Joi.string().valid('pre-order', 'instant', 'scheduled'),
     sortBy: Joi.string(),
     limit: Joi.number().integer(),
@@ -44,13 +70,23 @@ const getOrder = {
   }),
 };
 
+const exportVendorOrders = {
+  params: Joi.object().keys({
+    vendorId: Joi.required().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    from: Joi.date(),
+    to: Joi.date().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+    format: Joi.string().valid('csv', 'xlsx').default('csv'),
+  }),
+};
+
 const updateOrder = {
   params: Joi.object().keys({
     orderId: Joi.required().custom(objectId),
   }),
   body: Joi.object()
     .keys({
-      status: Joi.string().valid('pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'),
       vendorNotes: Joi.string(),
       pickupTime: Joi.date(),
     })
@@ -62,7 +98,113 @@ const updateOrderStatus = {
     orderId: Joi.required().custom(objectId),
   }),
   body: Joi.object().keys({
-    status: Joi.string().valid('pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled').required(),
+    status: Joi.string()
+      .valid(...orderStatuses)
+      .required(),
+    note: Joi.string(),
+    // Needed when a vendor completes the order
+    pickupCode: Joi.string().trim(),
+  }),
+};
+
+const bulkUpdateOrderStatus = {
+  body: Joi.object().keys({
+    orderIds: Joi.array().items(Joi.string().custom(objectId)).min(1).max(100).required(),
+    status: Joi.string()
+      .valid(...orderStatuses)
+      .required(),
+    note: Joi.string(),
+  }),
+};
+
+const completeOrder = {
+  params: Joi.object().keys({
+    orderId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    // The 6 digit code, or the value scanned from the customer's QR code
+    pickupCode: Joi.string().trim(),
+  }),
+};
+
+const cancelOrder = {
+  params: Joi.object().keys({
+    orderId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    reason: Joi.string(),
+  }),
+};
+
+const refundOrderItems = {
+  params: Joi.object().keys({
+    orderId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    items: Joi.array()
+      .items(
+        Joi.object().keys({
+          lineId: Joi.string().custom(objectId).required(),
+          quantity: Joi.number().integer().min(1).required(),
+        })
+      )
+      .min(1)
+      .required(),
+    reason: Joi.string(),
+  }),
+};
+
+const getOrderReceipt = {
+  params: Joi.object().keys({
+    orderId: Joi.string().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    format: Joi.string().valid('html', 'pdf'),
+  }),
+};
+
+const sendOrderReceipt = {
+  params: Joi.object().keys({
+    orderId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    // Defaults to the customer's email, only admins can send it anywhere else than the customer's or their own
+    email: Joi.string().email(),
+  }),
+};
+
+const createOrderReview = {
+  params: Joi.object().keys({
+    orderId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    rating: Joi.number().integer().min(1).max(5).required(),
+    comment: Joi.string().trim().max(1000).allow(''),
+  }),
+};
+
+const getOrderMessages = {
+  params: Joi.object().keys({
+    orderId: Joi.required().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const sendOrderMessage = {
+  params: Joi.object().keys({
+    orderId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    message: Joi.string().trim().min(1).max(1000).required(),
+  }),
+};
+
+const markOrderMessagesRead = {
+  params: Joi.object().keys({
+    orderId: Joi.required().custom(objectId),
   }),
 };
 
@@ -82,8 +224,19 @@ module.exports = {
   createOrder,
   getOrders,
   getOrder,
+  exportVendorOrders,
   updateOrder,
   updateOrderStatus,
+  bulkUpdateOrderStatus,
+  cancelOrder,
+  refundOrderItems,
+  completeOrder,
+  getOrderReceipt,
+  sendOrderReceipt,
+  createOrderReview,
+  getOrderMessages,
+  sendOrderMessage,
+  markOrderMessagesRead,
   markOrderHandedOff,
   deleteOrder,
 };
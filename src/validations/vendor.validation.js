@@ -0,0 +1,49 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+const updateVendorSettings = {
+  params: Joi.object().keys({
+    vendorId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      slotMinutes: Joi.number().integer().min(5).max(240),
+      maxOrdersPerSlot: Joi.number().integer().min(1).allow(null),
+      acceptingOrders: Joi.boolean(),
+      maxPreparingOrders: Joi.number().integer().min(1).allow(null),
+      autoPauseEtaMinutes: Joi.number().integer().min(1).allow(null),
+      orderNumberPrefix: Joi.string()
+        .trim()
+        .uppercase()
+        .pattern(/^[A-Z]{1,3}$/)
+        .allow(null),
+    })
+    .min(1),
+};
+
+const getVendorReviews = {
+  params: Joi.object().keys({
+    vendorId: Joi.required().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const streamVendorOrders = {
+  params: Joi.object().keys({
+    vendorId: Joi.required().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    // Access token, for displays that can't send an Authorization header
+    token: Joi.string(),
+  }),
+};
+
+module.exports = {
+  updateVendorSettings,
+  getVendorReviews,
+  streamVendorOrders,
+};
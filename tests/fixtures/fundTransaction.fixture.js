@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const faker = require('faker');
+const { FundTransaction } = require('../../src/models');
+const { customerOne } = require('./user.fixture');
+
+// The cash top-up customerOne's starting balance came from
+const depositOne = {
+  _id: new mongoose.Types.ObjectId(),
+  user: customerOne._id,
+  transactionId: `TXN_${faker.datatype.uuid()}`,
+  amount: 50,
+  type: 'deposit',
+  method: 'cash',
+  direction: 'credit',
+  status: 'completed',
+  balanceBefore: 0,
+  balanceAfter: 50,
+};
+
+const insertFundTransactions = async (fundTransactions) => {
+  await FundTransaction.insertMany(fundTransactions);
+};
+
+module.exports = {
+  depositOne,
+  insertFundTransactions,
+};
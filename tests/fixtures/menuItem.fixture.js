@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const faker = require('faker');
+const MenuItem = require('../../src/models/menu.model');
+const { vendorOne } = require('./user.fixture');
+
+const menuItemOne = {
+  _id: new mongoose.Types.ObjectId(),
+  name: faker.commerce.productName(),
+  price: 10,
+  vendor: vendorOne._id,
+};
+
+const menuItemTwo = {
+  _id: new mongoose.Types.ObjectId(),
+  name: faker.commerce.productName(),
+  price: 5,
+  vendor: vendorOne._id,
+};
+
+// A size must be picked, up to two toppings may be
+const menuItemThree = {
+  _id: new mongoose.Types.ObjectId(),
+  name: faker.commerce.productName(),
+  price: 8,
+  vendor: vendorOne._id,
+  modifierGroups: [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Size',
+      required: true,
+      options: [
+        { _id: new mongoose.Types.ObjectId(), name: 'Regular', priceDelta: 0 },
+        { _id: new mongoose.Types.ObjectId(), name: 'Large', priceDelta: 2 },
+      ],
+    },
+    {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Toppings',
+      maxSelections: 2,
+      options: [
+        { _id: new mongoose.Types.ObjectId(), name: 'Cheese', priceDelta: 1 },
+        { _id: new mongoose.Types.ObjectId(), name: 'Bacon', priceDelta: 1.5 },
+        { _id: new mongoose.Types.ObjectId(), name: 'Onions', priceDelta: 0.5 },
+      ],
+    },
+  ],
+};
+
+const insertMenuItems = async (menuItems) => {
+  await MenuItem.insertMany(menuItems);
+};
+
+module.exports = {
+  menuItemOne,
+  menuItemTwo,
+  menuItemThree,
+  insertMenuItems,
+};
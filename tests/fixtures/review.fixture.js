@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const faker = require('faker');
+const { Review } = require('../../src/models');
+const { customerOne, customerTwo, vendorOne } = require('./user.fixture');
+const { menuItemOne, menuItemTwo } = require('./menuItem.fixture');
+
+const reviewOne = {
+  _id: new mongoose.Types.ObjectId(),
+  order: new mongoose.Types.ObjectId(),
+  customer: customerOne._id,
+  vendor: vendorOne._id,
+  menuItems: [menuItemOne._id, menuItemTwo._id],
+  rating: 5,
+  comment: faker.lorem.sentence(),
+};
+
+const reviewTwo = {
+  _id: new mongoose.Types.ObjectId(),
+  order: new mongoose.Types.ObjectId(),
+  customer: customerTwo._id,
+  vendor: vendorOne._id,
+  menuItems: [menuItemOne._id],
+  rating: 2,
+  comment: faker.lorem.sentence(),
+};
+
+const insertReviews = async (reviews) => {
+  await Review.insertMany(reviews);
+};
+
+module.exports = {
+  reviewOne,
+  reviewTwo,
+  insertReviews,
+};
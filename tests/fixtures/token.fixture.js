@@ -2,13 +2,25 @@ const moment = require('moment');
 const config = require('../../src/config/config');
 const { tokenTypes } = require('../../src/config/tokens');
 const tokenService = require('../../src/services/token.service');
-const { userOne, admin } = require('./user.fixture');
+const { userOne, admin, customerOne, customerTwo, vendorOne, vendorTwo, adminOne, adminTwo } = require('./user.fixture');
 
 const accessTokenExpires = moment().add(config.jwt.accessExpirationMinutes, 'minutes');
 const userOneAccessToken = tokenService.generateToken(userOne._id, accessTokenExpires, tokenTypes.ACCESS);
 const adminAccessToken = tokenService.generateToken(admin._id, accessTokenExpires, tokenTypes.ACCESS);
+const customerOneAccessToken = tokenService.generateToken(customerOne._id, accessTokenExpires, tokenTypes.ACCESS);
+const customerTwoAccessToken = tokenService.generateToken(customerTwo._id, accessTokenExpires, tokenTypes.ACCESS);
+const vendorOneAccessToken = tokenService.generateToken(vendorOne._id, accessTokenExpires, tokenTypes.ACCESS);
+const vendorTwoAccessToken = tokenService.generateToken(vendorTwo._id, accessTokenExpires, tokenTypes.ACCESS);
+const adminOneAccessToken = tokenService.generateToken(adminOne._id, accessTokenExpires, tokenTypes.ACCESS);
+const adminTwoAccessToken = tokenService.generateToken(adminTwo._id, accessTokenExpires, tokenTypes.ACCESS);
 
 module.exports = {
   userOneAccessToken,
   adminAccessToken,
+  customerOneAccessToken,
+  customerTwoAccessToken,
+  vendorOneAccessToken,
+  vendorTwoAccessToken,
+  adminOneAccessToken,
+  adminTwoAccessToken,
 };
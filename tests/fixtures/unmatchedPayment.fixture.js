@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const faker = require('faker');
+const { UnmatchedPayment } = require('../../src/models');
+
+const unmatchedPaymentOne = {
+  _id: new mongoose.Types.ObjectId(),
+  source: 'zapier',
+  externalId: faker.datatype.uuid(),
+  amount: 15,
+  payload: {
+    amount: 15,
+    source_app: 'Square',
+    user_id: '',
+  },
+};
+
+const insertUnmatchedPayments = async (unmatchedPayments) => {
+  await UnmatchedPayment.insertMany(unmatchedPayments);
+};
+
+module.exports = {
+  unmatchedPaymentOne,
+  insertUnmatchedPayments,
+};
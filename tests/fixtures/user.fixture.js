@@ -34,6 +34,77 @@ const admin = {
   isEmailVerified: false,
 };
 
+// Festival accounts, their type decides what they may do and they pay from their wallet balance
+const customerOne = {
+  _id: new mongoose.Types.ObjectId(),
+  name: faker.name.findName(),
+  username: faker.internet.userName().toLowerCase(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  type: 'customer',
+  role: 'customer',
+  balance: 50,
+  isEmailVerified: true,
+};
+
+const customerTwo = {
+  _id: new mongoose.Types.ObjectId(),
+  name: faker.name.findName(),
+  username: faker.internet.userName().toLowerCase(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  type: 'customer',
+  role: 'customer',
+  balance: 50,
+  isEmailVerified: true,
+};
+
+const vendorOne = {
+  _id: new mongoose.Types.ObjectId(),
+  name: faker.company.companyName(),
+  username: faker.internet.userName().toLowerCase(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  type: 'vendor',
+  role: 'vendor',
+  balance: 0,
+  isEmailVerified: true,
+};
+
+const vendorTwo = {
+  _id: new mongoose.Types.ObjectId(),
+  name: faker.company.companyName(),
+  username: faker.internet.userName().toLowerCase(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  type: 'vendor',
+  role: 'vendor',
+  balance: 0,
+  isEmailVerified: true,
+};
+
+const adminOne = {
+  _id: new mongoose.Types.ObjectId(),
+  name: faker.name.findName(),
+  username: faker.internet.userName().toLowerCase(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  type: 'admin',
+  role: 'admin',
+  isEmailVerified: true,
+};
+
+const adminTwo = {
+  _id: new mongoose.Types.ObjectId(),
+  name: faker.name.findName(),
+  username: faker.internet.userName().toLowerCase(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  type: 'admin',
+  role: 'admin',
+  isEmailVerified: true,
+};
+
 const insertUsers = async (users) => {
   await User.insertMany(users.map((user) => ({ ...user, password: hashedPassword })));
 };
@@ -42,5 +113,11 @@ module.exports = {
   userOne,
   userTwo,
   admin,
+  customerOne,
+  customerTwo,
+  vendorOne,
+  vendorTwo,
+  adminOne,
+  adminTwo,
   insertUsers,
 };
@@ -0,0 +1,770 @@
+const request = require('supertest');
+const faker = require('faker');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const config = require('../../src/config/config');
+const setupTestDB = require('../utils/setupTestDB');
+const waitForIdempotencyKey = require('../utils/waitForIdempotencyKey');
+const { User, FundTransaction, UnmatchedPayment, BalanceAdjustment, Review } = require('../../src/models');
+const { emailService } = require('../../src/services');
+const { customerOne, customerTwo, vendorOne, adminOne, adminTwo, insertUsers } = require('../fixtures/user.fixture');
+const { menuItemOne, insertMenuItems } = require('../fixtures/menuItem.fixture');
+const { depositOne, insertFundTransactions } = require('../fixtures/fundTransaction.fixture');
+const { unmatchedPaymentOne, insertUnmatchedPayments } = require('../fixtures/unmatchedPayment.fixture');
+const { reviewOne, reviewTwo, insertReviews } = require('../fixtures/review.fixture');
+const { customerOneAccessToken, adminOneAccessToken, adminTwoAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Admin routes', () => {
+  beforeEach(() => {
+    jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+  });
+
+  describe('GET /v1/admin/dashboard', () => {
+    test('should return 200 and the fees and payouts settled on orders', async () => {
+      await insertUsers([customerOne, vendorOne, adminOne]);
+      await insertMenuItems([menuItemOne]);
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send({ vendorId: vendorOne._id.toHexString(), items: [{ itemId: menuItemOne._id.toHexString(), quantity: 3 }] })
+        .expect(httpStatus.OK);
+
+      const res = await request(app)
+        .get('/v1/admin/dashboard')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.finance).toMatchObject({
+        totalRevenue: 30,
+        platformFeesCollected: 4.5,
+        vendorPayouts: 25.5,
+        platformFeePercentage: 15,
+      });
+    });
+
+    test('should return 200 and report tips apart from the fees', async () => {
+      await insertUsers([customerOne, vendorOne, adminOne]);
+      await insertMenuItems([menuItemOne]);
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send({
+          vendorId: vendorOne._id.toHexString(),
+          items: [{ itemId: menuItemOne._id.toHexString(), quantity: 1 }],
+          tip: { amount: 3 },
+        })
+        .expect(httpStatus.OK);
+
+      const res = await request(app)
+        .get('/v1/admin/dashboard')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.finance).toMatchObject({ totalRevenue: 10, platformFeesCollected: 1.5, tipsPaid: 3 });
+    });
+
+    test('should return 403 error if user is not an admin', async () => {
+      await insertUsers([customerOne]);
+
+      await request(app)
+        .get('/v1/admin/dashboard')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('GET /v1/admin/unmatched-payments', () => {
+    test('should return 200 and the payments waiting in the inbox', async () => {
+      await insertUsers([adminOne]);
+      await insertUnmatchedPayments([unmatchedPaymentOne]);
+
+      const res = await request(app)
+        .get('/v1/admin/unmatched-payments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .query({ status: 'pending' })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.results).toHaveLength(1);
+      expect(res.body.data.results[0]).toMatchObject({
+        id: unmatchedPaymentOne._id.toHexString(),
+        source: 'zapier',
+        amount: 15,
+        status: 'pending',
+      });
+    });
+
+    test('should return 403 error if user is not an admin', async () => {
+      await insertUsers([customerOne]);
+
+      await request(app)
+        .get('/v1/admin/unmatched-payments')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('PUT /v1/admin/unmatched-payments/:unmatchedPaymentId/assign', () => {
+    test('should return 200 and credit the payment to the chosen user', async () => {
+      await insertUsers([customerOne, adminOne]);
+      await insertUnmatchedPayments([unmatchedPaymentOne]);
+
+      const res = await request(app)
+        .put(`/v1/admin/unmatched-payments/${unmatchedPaymentOne._id}/assign`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send({ userId: customerOne._id.toHexString() })
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ status: 'assigned', assignedUser: customerOne._id.toHexString() });
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(65);
+
+      const deposit = await FundTransaction.findOne({ zapierWebhookId: unmatchedPaymentOne.externalId });
+      expect(deposit).toMatchObject({ type: 'deposit', amount: 15, balanceBefore: 50, balanceAfter: 65 });
+      expect(deposit.user.toHexString()).toBe(customerOne._id.toHexString());
+      expect(deposit.metadata.assignedBy.toString()).toBe(adminOne._id.toHexString());
+    });
+
+    test('should return 400 error and not credit again if the payment was already assigned', async () => {
+      await insertUsers([customerOne, adminOne]);
+      await insertUnmatchedPayments([unmatchedPaymentOne]);
+      await request(app)
+        .put(`/v1/admin/unmatched-payments/${unmatchedPaymentOne._id}/assign`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send({ userId: customerOne._id.toHexString() })
+        .expect(httpStatus.OK);
+
+      await request(app)
+        .put(`/v1/admin/unmatched-payments/${unmatchedPaymentOne._id}/assign`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send({ userId: customerOne._id.toHexString() })
+        .expect(httpStatus.BAD_REQUEST);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(65);
+    });
+
+    test('should return 403 error if user is not an admin', async () => {
+      await insertUsers([customerOne]);
+      await insertUnmatchedPayments([unmatchedPaymentOne]);
+
+      await request(app)
+        .put(`/v1/admin/unmatched-payments/${unmatchedPaymentOne._id}/assign`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send({ userId: customerOne._id.toHexString() })
+        .expect(httpStatus.FORBIDDEN);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+    });
+  });
+
+  describe('PUT /v1/admin/unmatched-payments/:unmatchedPaymentId/reject', () => {
+    test('should return 200 and close the payment without crediting anyone', async () => {
+      await insertUsers([adminOne]);
+      await insertUnmatchedPayments([unmatchedPaymentOne]);
+
+      const res = await request(app)
+        .put(`/v1/admin/unmatched-payments/${unmatchedPaymentOne._id}/reject`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send({ reason: 'Test payment' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ status: 'rejected', rejectionReason: 'Test payment' });
+      const dbPayment = await UnmatchedPayment.findById(unmatchedPaymentOne._id);
+      expect(dbPayment.resolvedBy.toHexString()).toBe(adminOne._id.toHexString());
+      expect(await FundTransaction.countDocuments()).toBe(0);
+    });
+
+    test('should return 400 error if the payment was already rejected', async () => {
+      await insertUsers([adminOne]);
+      await insertUnmatchedPayments([{ ...unmatchedPaymentOne, status: 'rejected' }]);
+
+      await request(app)
+        .put(`/v1/admin/unmatched-payments/${unmatchedPaymentOne._id}/reject`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('GET /v1/admin/reconciliation/users/:userId', () => {
+    test('should return 200 and no drift if the balance matches the ledger', async () => {
+      await insertUsers([customerOne, adminOne]);
+      await insertFundTransactions([depositOne]);
+
+      const res = await request(app)
+        .get(`/v1/admin/reconciliation/users/${customerOne._id}`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toEqual({
+        user: customerOne._id.toHexString(),
+        balance: 50,
+        ledgerBalance: 50,
+        drift: 0,
+        entryCount: 1,
+        issues: [],
+      });
+    });
+
+    test('should return 200 and the drift if the balance moved outside the ledger', async () => {
+      await insertUsers([customerOne, adminOne]);
+
+      const res = await request(app)
+        .get(`/v1/admin/reconciliation/users/${customerOne._id}`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ balance: 50, ledgerBalance: 0, drift: 50, entryCount: 0 });
+    });
+
+    test('should count payments recorded before entries had a direction as debits', async () => {
+      await insertUsers([{ ...customerOne, balance: 30 }, adminOne]);
+      await insertFundTransactions([depositOne]);
+      // Inserted raw, the schema would default the missing direction to credit
+      await FundTransaction.collection.insertOne({
+        user: customerOne._id,
+        transactionId: `TXN_${faker.datatype.uuid()}`,
+        amount: 20,
+        type: 'payment',
+        method: 'wallet',
+        status: 'completed',
+        balanceBefore: 50,
+        balanceAfter: 30,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+
+      const res = await request(app)
+        .get(`/v1/admin/reconciliation/users/${customerOne._id}`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ balance: 30, ledgerBalance: 30, drift: 0, entryCount: 2, issues: [] });
+    });
+
+    test('should return 403 error if user is not an admin', async () => {
+      await insertUsers([customerOne]);
+
+      await request(app)
+        .get(`/v1/admin/reconciliation/users/${customerOne._id}`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('POST /v1/admin/reconciliation/reports', () => {
+    test('should return 201 and report only the wallets that drift from their ledger', async () => {
+      await insertUsers([customerOne, customerTwo, adminOne]);
+      await insertFundTransactions([depositOne]);
+
+      const res = await request(app)
+        .post('/v1/admin/reconciliation/reports')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.data).toMatchObject({
+        trigger: 'admin',
+        runBy: adminOne._id.toHexString(),
+        usersChecked: 3,
+        usersWithDrift: 1,
+        totalDrift: 50,
+        discrepancyCount: 1,
+      });
+      expect(res.body.data.discrepancies).toHaveLength(1);
+      expect(res.body.data.discrepancies[0]).toMatchObject({
+        user: customerTwo._id.toHexString(),
+        balance: 50,
+        ledgerBalance: 0,
+        drift: 50,
+      });
+    });
+
+    test('should keep the first 500 drifting wallets and count the rest', async () => {
+      await insertUsers([adminOne]);
+      // Inserted raw, 501 wallets holding 1 without a ledger entry behind it
+      await User.collection.insertMany(
+        Array.from({ length: 501 }, () => ({ name: faker.name.findName(), email: faker.internet.email(), balance: 1 }))
+      );
+
+      const res = await request(app)
+        .post('/v1/admin/reconciliation/reports')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.data).toMatchObject({ usersChecked: 502, usersWithDrift: 501, discrepancyCount: 501 });
+      expect(res.body.data.discrepancies).toHaveLength(500);
+    });
+
+    test('should return 403 error if user is not an admin', async () => {
+      await insertUsers([customerOne]);
+
+      await request(app)
+        .post('/v1/admin/reconciliation/reports')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('POST /v1/admin/reconciliation/users/:userId/adjustments', () => {
+    test('should return 201 and write the ledger entry that settles the drift', async () => {
+      await insertUsers([customerTwo, adminOne]);
+
+      const res = await request(app)
+        .post(`/v1/admin/reconciliation/users/${customerTwo._id}/adjustments`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send({ note: 'Opening balance imported without a ledger entry' })
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.data.transaction).toMatchObject({
+        type: 'adjustment',
+        method: 'admin_adjustment',
+        direction: 'credit',
+        amount: 50,
+        balanceBefore: 0,
+        balanceAfter: 50,
+      });
+      expect(res.body.data.reconciliation).toMatchObject({ balance: 50, ledgerBalance: 50, drift: 0 });
+
+      const dbUser = await User.findById(customerTwo._id);
+      expect(dbUser.balance).toBe(50);
+    });
+
+    test('should return 400 error if the wallet has no drift to settle', async () => {
+      await insertUsers([customerOne, adminOne]);
+      await insertFundTransactions([depositOne]);
+
+      await request(app)
+        .post(`/v1/admin/reconciliation/users/${customerOne._id}/adjustments`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+
+      expect(await FundTransaction.countDocuments({ type: 'adjustment' })).toBe(0);
+    });
+
+    test('should return 403 error if user is not an admin', async () => {
+      await insertUsers([customerOne]);
+
+      await request(app)
+        .post(`/v1/admin/reconciliation/users/${customerOne._id}/adjustments`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('POST /v1/admin/balance-adjustments', () => {
+    let newAdjustment;
+
+    beforeEach(() => {
+      newAdjustment = {
+        userId: customerOne._id.toHexString(),
+        amount: 20,
+        direction: 'credit',
+        reasonCode: 'cash_top_up',
+      };
+    });
+
+    test('should return 201 and apply an adjustment up to the approval threshold right away', async () => {
+      await insertUsers([customerOne, adminOne]);
+
+      const res = await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send(newAdjustment)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.data).toMatchObject({
+        user: customerOne._id.toHexString(),
+        amount: 20,
+        direction: 'credit',
+        status: 'applied',
+        requestedBy: adminOne._id.toHexString(),
+      });
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(70);
+
+      const entry = await FundTransaction.findById(res.body.data.transaction);
+      expect(entry).toMatchObject({
+        type: 'adjustment',
+        method: 'admin_adjustment',
+        direction: 'credit',
+        status: 'completed',
+        amount: 20,
+        balanceBefore: 50,
+        balanceAfter: 70,
+      });
+      expect(entry.metadata.adjustment.reasonCode).toBe('cash_top_up');
+      expect(entry.metadata.adjustment.requestedBy.toString()).toBe(adminOne._id.toHexString());
+      expect(entry.metadata.adjustment.balanceAdjustment.toString()).toBe(res.body.data.id);
+    });
+
+    test('should return 201 and take a debit out of the wallet', async () => {
+      await insertUsers([customerOne, adminOne]);
+      newAdjustment = { ...newAdjustment, direction: 'debit', reasonCode: 'correction' };
+
+      await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send(newAdjustment)
+        .expect(httpStatus.CREATED);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(30);
+      const entry = await FundTransaction.findOne({ user: customerOne._id });
+      expect(entry).toMatchObject({ direction: 'debit', amount: 20, balanceBefore: 50, balanceAfter: 30 });
+    });
+
+    test('should return 202 and leave the wallet alone if the amount is above the approval threshold', async () => {
+      await insertUsers([customerOne, adminOne]);
+      newAdjustment.amount = 150;
+
+      const res = await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send(newAdjustment)
+        .expect(httpStatus.ACCEPTED);
+
+      expect(res.body.data).toMatchObject({ amount: 150, status: 'pending' });
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+      expect(await FundTransaction.countDocuments()).toBe(0);
+    });
+
+    test("should count the admin's recent adjustments to the wallet towards the approval threshold", async () => {
+      await insertUsers([customerOne, adminOne]);
+      newAdjustment.amount = 60;
+      await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send(newAdjustment)
+        .expect(httpStatus.CREATED);
+
+      await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send(newAdjustment)
+        .expect(httpStatus.ACCEPTED);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(110);
+    });
+
+    test('should hold one of two adjustments sent at once that together go over the approval threshold', async () => {
+      await insertUsers([customerOne, adminOne]);
+      newAdjustment.amount = 60;
+      const sendAdjustment = () =>
+        request(app)
+          .post('/v1/admin/balance-adjustments')
+          .set('Authorization', `Bearer ${adminOneAccessToken}`)
+          .send(newAdjustment);
+
+      const responses = await Promise.all([sendAdjustment(), sendAdjustment()]);
+
+      expect(responses.map((res) => res.status).sort()).toEqual([httpStatus.CREATED, httpStatus.ACCEPTED]);
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(110);
+    });
+
+    test('should return 400 error and record nothing if a debit is more than the balance', async () => {
+      await insertUsers([customerOne, adminOne]);
+      newAdjustment = { ...newAdjustment, amount: 80, direction: 'debit', reasonCode: 'correction' };
+
+      await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send(newAdjustment)
+        .expect(httpStatus.BAD_REQUEST);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+      expect(await BalanceAdjustment.countDocuments()).toBe(0);
+      expect(await FundTransaction.countDocuments()).toBe(0);
+    });
+
+    test("should return 400 error if the reason is 'other' and there is no note", async () => {
+      await insertUsers([customerOne, adminOne]);
+      newAdjustment.reasonCode = 'other';
+
+      await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send(newAdjustment)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should apply the adjustment once when it is replayed with the same Idempotency-Key', async () => {
+      await insertUsers([customerOne, adminOne]);
+      const first = await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .set('Idempotency-Key', 'adjustment-1')
+        .send(newAdjustment)
+        .expect(httpStatus.CREATED);
+      await waitForIdempotencyKey('adjustment-1', (record) => record && record.status === 'completed');
+
+      const replay = await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .set('Idempotency-Key', 'adjustment-1')
+        .send(newAdjustment)
+        .expect(httpStatus.CREATED);
+
+      expect(replay.headers['idempotent-replayed']).toBe('true');
+      expect(replay.body).toEqual(first.body);
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(70);
+      expect(await BalanceAdjustment.countDocuments()).toBe(1);
+    });
+
+    test('should return 403 error if user is not an admin', async () => {
+      await insertUsers([customerOne]);
+
+      await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newAdjustment)
+        .expect(httpStatus.FORBIDDEN);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+    });
+  });
+
+  describe('PUT /v1/admin/balance-adjustments/:adjustmentId/approve', () => {
+    // adminOne asks for a credit above the approval threshold
+    const requestLargeAdjustment = async () => {
+      const res = await request(app)
+        .post('/v1/admin/balance-adjustments')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send({ userId: customerOne._id.toHexString(), amount: 150, direction: 'credit', reasonCode: 'compensation' })
+        .expect(httpStatus.ACCEPTED);
+      return res.body.data;
+    };
+
+    test('should return 200 and apply the adjustment when a second admin approves it', async () => {
+      await insertUsers([customerOne, adminOne, adminTwo]);
+      const adjustment = await requestLargeAdjustment();
+
+      const res = await request(app)
+        .put(`/v1/admin/balance-adjustments/${adjustment.id}/approve`)
+        .set('Authorization', `Bearer ${adminTwoAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ status: 'applied', reviewedBy: adminTwo._id.toHexString() });
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(200);
+
+      const entry = await FundTransaction.findById(res.body.data.transaction);
+      expect(entry).toMatchObject({ type: 'adjustment', amount: 150, balanceBefore: 50, balanceAfter: 200 });
+      expect(entry.metadata.adjustment.requestedBy.toString()).toBe(adminOne._id.toHexString());
+      expect(entry.metadata.adjustment.approvedBy.toString()).toBe(adminTwo._id.toHexString());
+    });
+
+    test('should return 403 error if the admin who asked for it approves it', async () => {
+      await insertUsers([customerOne, adminOne]);
+      const adjustment = await requestLargeAdjustment();
+
+      await request(app)
+        .put(`/v1/admin/balance-adjustments/${adjustment.id}/approve`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+    });
+
+    test('should return 400 error and not apply it again if it was already approved', async () => {
+      await insertUsers([customerOne, adminOne, adminTwo]);
+      const adjustment = await requestLargeAdjustment();
+      await request(app)
+        .put(`/v1/admin/balance-adjustments/${adjustment.id}/approve`)
+        .set('Authorization', `Bearer ${adminTwoAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      await request(app)
+        .put(`/v1/admin/balance-adjustments/${adjustment.id}/approve`)
+        .set('Authorization', `Bearer ${adminTwoAccessToken}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(200);
+    });
+
+    test('should return 400 error if the adjustment was rejected', async () => {
+      await insertUsers([customerOne, adminOne, adminTwo]);
+      const adjustment = await requestLargeAdjustment();
+      const rejected = await request(app)
+        .put(`/v1/admin/balance-adjustments/${adjustment.id}/reject`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send({ reason: 'Wrong wallet' })
+        .expect(httpStatus.OK);
+      expect(rejected.body.data).toMatchObject({ status: 'rejected', rejectionReason: 'Wrong wallet' });
+
+      await request(app)
+        .put(`/v1/admin/balance-adjustments/${adjustment.id}/approve`)
+        .set('Authorization', `Bearer ${adminTwoAccessToken}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+      expect(await FundTransaction.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /v1/admin/balance-adjustment-threshold', () => {
+    test('should return 200 and the threshold from the server config', async () => {
+      await insertUsers([adminOne]);
+
+      const res = await request(app)
+        .get('/v1/admin/balance-adjustment-threshold')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toEqual({ amount: config.balanceAdjustments.approvalThreshold });
+    });
+
+    test('should not let an admin change the threshold', async () => {
+      await insertUsers([adminOne]);
+
+      await request(app)
+        .put('/v1/admin/balance-adjustment-threshold')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send({ amount: 1000000 })
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('GET /v1/admin/reviews', () => {
+    beforeEach(async () => {
+      await insertUsers([customerOne, customerTwo, vendorOne, adminOne]);
+      await insertReviews([reviewOne, { ...reviewTwo, isHidden: true, hiddenReason: 'Abusive' }]);
+    });
+
+    test('should return 200 and every review, hidden ones included', async () => {
+      const res = await request(app)
+        .get('/v1/admin/reviews')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.totalResults).toBe(2);
+      const hiddenReview = res.body.data.results.find((review) => review.id === reviewTwo._id.toHexString());
+      expect(hiddenReview).toMatchObject({ isHidden: true, hiddenReason: 'Abusive' });
+    });
+
+    test('should filter the reviews by whether they are hidden', async () => {
+      const res = await request(app)
+        .get('/v1/admin/reviews')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .query({ isHidden: true })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.results).toHaveLength(1);
+      expect(res.body.data.results[0].id).toBe(reviewTwo._id.toHexString());
+    });
+
+    test('should return 403 error if user is not an admin', async () => {
+      await request(app)
+        .get('/v1/admin/reviews')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('PUT /v1/admin/reviews/:reviewId/hide', () => {
+    beforeEach(async () => {
+      await insertUsers([customerOne, vendorOne, adminOne]);
+      await insertReviews([reviewOne]);
+    });
+
+    test('should return 200 and hide the review from the vendor page', async () => {
+      const res = await request(app)
+        .put(`/v1/admin/reviews/${reviewOne._id}/hide`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send({ reason: 'Abusive language' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({
+        isHidden: true,
+        hiddenBy: adminOne._id.toHexString(),
+        hiddenReason: 'Abusive language',
+      });
+      const vendorRes = await request(app).get(`/v1/vendors/${vendorOne._id}/reviews`).send().expect(httpStatus.OK);
+      expect(vendorRes.body.results).toHaveLength(0);
+    });
+
+    test('should return 404 error if the review does not exist', async () => {
+      await request(app)
+        .put(`/v1/admin/reviews/${reviewTwo._id}/hide`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+
+    test('should return 403 error if user is not an admin', async () => {
+      await request(app)
+        .put(`/v1/admin/reviews/${reviewOne._id}/hide`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+
+      const dbReview = await Review.findById(reviewOne._id);
+      expect(dbReview.isHidden).toBe(false);
+    });
+  });
+
+  describe('PUT /v1/admin/reviews/:reviewId/unhide', () => {
+    beforeEach(async () => {
+      await insertUsers([customerOne, vendorOne, adminOne]);
+      await insertReviews([{ ...reviewOne, isHidden: true, hiddenAt: new Date(), hiddenBy: adminOne._id }]);
+    });
+
+    test('should return 200 and show the review again', async () => {
+      const res = await request(app)
+        .put(`/v1/admin/reviews/${reviewOne._id}/unhide`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.isHidden).toBe(false);
+      expect(res.body.data).not.toHaveProperty('hiddenBy');
+      const vendorRes = await request(app).get(`/v1/vendors/${vendorOne._id}/reviews`).send().expect(httpStatus.OK);
+      expect(vendorRes.body.results).toHaveLength(1);
+    });
+
+    test('should return 403 error if user is not an admin', async () => {
+      await request(app)
+        .put(`/v1/admin/reviews/${reviewOne._id}/unhide`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+
+      const dbReview = await Review.findById(reviewOne._id);
+      expect(dbReview.isHidden).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,1409 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const httpStatus = require('http-status');
+const ExcelJS = require('exceljs');
+const app = require('../../src/app');
+const config = require('../../src/config/config');
+const setupTestDB = require('../utils/setupTestDB');
+const waitForIdempotencyKey = require('../utils/waitForIdempotencyKey');
+const { User, Order, FundTransaction, Settings, Scan, Review, Message } = require('../../src/models');
+const { emailService, socketService } = require('../../src/services');
+const { customerOne, customerTwo, vendorOne, vendorTwo, adminOne, insertUsers } = require('../fixtures/user.fixture');
+const { menuItemOne, menuItemTwo, menuItemThree, insertMenuItems } = require('../fixtures/menuItem.fixture');
+const {
+  customerOneAccessToken,
+  customerTwoAccessToken,
+  vendorOneAccessToken,
+  vendorTwoAccessToken,
+  adminOneAccessToken,
+} = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+// customerOne buys 2 x menuItemOne and 1 x menuItemTwo from vendorOne, 25 in total
+const placeOrder = async (orderBody = {}) => {
+  const res = await request(app)
+    .post('/v1/orders')
+    .set('Authorization', `Bearer ${customerOneAccessToken}`)
+    .send({
+      vendorId: vendorOne._id.toHexString(),
+      items: [
+        { itemId: menuItemOne._id.toHexString(), quantity: 2 },
+        { itemId: menuItemTwo._id.toHexString(), quantity: 1 },
+      ],
+      ...orderBody,
+    })
+    .expect(httpStatus.OK);
+  return res.body.data;
+};
+
+describe('Order routes', () => {
+  beforeEach(() => {
+    jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+  });
+
+  describe('POST /v1/orders', () => {
+    let newOrder;
+
+    beforeEach(() => {
+      newOrder = {
+        vendorId: vendorOne._id.toHexString(),
+        items: [
+          { itemId: menuItemOne._id.toHexString(), quantity: 2 },
+          { itemId: menuItemTwo._id.toHexString(), quantity: 1 },
+        ],
+      };
+    });
+
+    test('should return 200, debit the customer and credit the vendor with matching ledger entries', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+
+      const res = await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ totalAmount: 25, status: 'preparing', paymentStatus: 'paid' });
+      const orderId = res.body.data._id;
+
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(25);
+      expect(dbCustomer.pendingOrders).toHaveLength(1);
+      expect(dbCustomer.pendingOrders[0].toHexString()).toBe(orderId);
+
+      const payment = await FundTransaction.findOne({ user: customerOne._id });
+      expect(payment).toMatchObject({
+        type: 'payment',
+        direction: 'debit',
+        status: 'completed',
+        amount: 25,
+        balanceBefore: 50,
+        balanceAfter: 25,
+      });
+      expect(payment.relatedOrder.toHexString()).toBe(orderId);
+
+      const dbVendor = await User.findById(vendorOne._id);
+      const sale = await FundTransaction.findOne({ user: vendorOne._id });
+      expect(sale).toMatchObject({ type: 'sale', direction: 'credit', status: 'completed', balanceBefore: 0 });
+      expect(sale.balanceAfter).toBe(dbVendor.balance);
+      expect(sale.relatedOrder.toHexString()).toBe(orderId);
+      expect(dbVendor.salesHistory).toHaveLength(1);
+      expect(dbVendor.salesHistory[0].toHexString()).toBe(orderId);
+    });
+
+    test('should return 400 and write nothing if the customer balance does not cover the order', async () => {
+      await insertUsers([{ ...customerOne, balance: 20 }, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.BAD_REQUEST);
+
+      expect(await Order.countDocuments()).toBe(0);
+      expect(await FundTransaction.countDocuments()).toBe(0);
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(20);
+      expect(dbCustomer.pendingOrders).toHaveLength(0);
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.balance).toBe(0);
+    });
+
+    test('should credit the vendor the order total less the platform fee, and store the fee on the order', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+
+      const res = await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.OK);
+
+      // The default platform fee is 15%
+      expect(res.body.data).toMatchObject({ platformFeePercentage: 15, platformFee: 3.75, vendorPayout: 21.25 });
+
+      const sale = await FundTransaction.findOne({ user: vendorOne._id, type: 'sale' });
+      expect(sale.amount).toBe(21.25);
+      expect(sale.metadata).toEqual({ grossAmount: 25, platformFee: 3.75, platformFeePercentage: 15 });
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.balance).toBe(21.25);
+    });
+
+    test('should not change the fee of placed orders when the platform fee changes', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      const firstOrder = await placeOrder();
+
+      await Settings.setPlatformFee(10);
+      const secondOrder = await placeOrder();
+
+      expect(secondOrder).toMatchObject({ platformFeePercentage: 10, platformFee: 2.5, vendorPayout: 22.5 });
+      const dbFirstOrder = await Order.findById(firstOrder._id);
+      expect(dbFirstOrder).toMatchObject({ platformFeePercentage: 15, platformFee: 3.75, vendorPayout: 21.25 });
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.balance).toBe(43.75);
+    });
+
+    test('should charge a tip on top of the order and credit all of it to the vendor', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      newOrder.tip = { amount: 2 };
+
+      const res = await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.OK);
+
+      // The tip stays out of the fee split
+      expect(res.body.data).toMatchObject({ totalAmount: 25, tipAmount: 2, platformFee: 3.75, vendorPayout: 21.25 });
+
+      const payment = await FundTransaction.findOne({ user: customerOne._id, type: 'payment' });
+      expect(payment).toMatchObject({ amount: 27, balanceAfter: 23 });
+      expect(payment.metadata).toEqual({ orderAmount: 25, tipAmount: 2 });
+      const tip = await FundTransaction.findOne({ user: vendorOne._id, type: 'tip' });
+      expect(tip).toMatchObject({ direction: 'credit', amount: 2, status: 'completed' });
+
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.balance).toBe(23.25);
+      expect(dbVendor.totalTips).toBe(2);
+    });
+
+    test('should work out a percentage tip from the order total', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      newOrder.tip = { percentage: 10 };
+
+      const res = await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ tipAmount: 2.5, tipPercentage: 10 });
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(22.5);
+    });
+
+    test('should return 400 error if the tip is both a fixed amount and a percentage', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      newOrder.tip = { amount: 2, percentage: 10 };
+
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should let an admin place an order paid from the customer wallet', async () => {
+      await insertUsers([customerOne, vendorOne, adminOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      newOrder.userId = customerOne._id.toHexString();
+
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.OK);
+
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(25);
+    });
+
+    test('should replay the original response for a repeated Idempotency-Key without charging again', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+
+      const first = await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .set('Idempotency-Key', 'checkout-1')
+        .send(newOrder)
+        .expect(httpStatus.OK);
+      await waitForIdempotencyKey('checkout-1', (record) => record && record.status === 'completed');
+
+      const replay = await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .set('Idempotency-Key', 'checkout-1')
+        .send(newOrder)
+        .expect(httpStatus.OK);
+
+      expect(replay.headers['idempotent-replayed']).toBe('true');
+      expect(replay.body).toEqual(first.body);
+      expect(await Order.countDocuments()).toBe(1);
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(25);
+    });
+
+    test('should return 422 error if an Idempotency-Key is reused for a different order', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .set('Idempotency-Key', 'checkout-1')
+        .send(newOrder)
+        .expect(httpStatus.OK);
+      await waitForIdempotencyKey('checkout-1', (record) => record && record.status === 'completed');
+
+      newOrder.items[0].quantity = 1;
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .set('Idempotency-Key', 'checkout-1')
+        .send(newOrder)
+        .expect(httpStatus.UNPROCESSABLE_ENTITY);
+
+      expect(await Order.countDocuments()).toBe(1);
+    });
+
+    test('should run a failed request again when it is retried with the same Idempotency-Key', async () => {
+      await insertUsers([{ ...customerOne, balance: 20 }, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .set('Idempotency-Key', 'checkout-1')
+        .send(newOrder)
+        .expect(httpStatus.BAD_REQUEST);
+      await waitForIdempotencyKey('checkout-1', (record) => !record);
+
+      await User.updateOne({ _id: customerOne._id }, { balance: 50 });
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .set('Idempotency-Key', 'checkout-1')
+        .send(newOrder)
+        .expect(httpStatus.OK);
+
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(25);
+    });
+
+    test("should not replay another user's response for the same Idempotency-Key", async () => {
+      await insertUsers([customerOne, customerTwo, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .set('Idempotency-Key', 'checkout-1')
+        .send(newOrder)
+        .expect(httpStatus.OK);
+      await waitForIdempotencyKey('checkout-1', (record) => record && record.status === 'completed');
+
+      const res = await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerTwoAccessToken}`)
+        .set('Idempotency-Key', 'checkout-1')
+        .send(newOrder)
+        .expect(httpStatus.OK);
+
+      expect(res.headers['idempotent-replayed']).toBeUndefined();
+      expect(await Order.countDocuments()).toBe(2);
+      const dbCustomerTwo = await User.findById(customerTwo._id);
+      expect(dbCustomerTwo.balance).toBe(25);
+    });
+
+    test('should return 200 and place one order for the whole cart, telling the vendor about every line', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      const newOrderSpy = jest.spyOn(socketService, 'emitNewOrderToVendor');
+      const sendMailSpy = jest.spyOn(emailService.transport, 'sendMail');
+
+      const res = await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.items).toEqual([
+        expect.objectContaining({ name: menuItemOne.name, quantity: 2, price: 10, totalPrice: 20 }),
+        expect.objectContaining({ name: menuItemTwo.name, quantity: 1, price: 5, totalPrice: 5 }),
+      ]);
+      expect(await Order.countDocuments()).toBe(1);
+      expect(newOrderSpy).toHaveBeenCalledTimes(1);
+      expect(newOrderSpy).toHaveBeenCalledWith(
+        vendorOne._id.toHexString(),
+        expect.objectContaining({
+          orderId: res.body.data._id,
+          totalPrice: 25,
+          items: [
+            expect.objectContaining({ name: menuItemOne.name, quantity: 2 }),
+            expect.objectContaining({ name: menuItemTwo.name, quantity: 1 }),
+          ],
+        })
+      );
+      expect(sendMailSpy).toHaveBeenCalledWith(expect.objectContaining({ to: vendorOne.email }));
+    });
+
+    test('should return 200 and place a single item sent without a cart', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne]);
+
+      const res = await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send({ vendorId: vendorOne._id.toHexString(), itemId: menuItemOne._id.toHexString(), quantity: 3 })
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.totalAmount).toBe(30);
+      expect(res.body.data.items).toHaveLength(1);
+    });
+
+    test('should return 400 error and charge nothing if a cart line is from another vendor', async () => {
+      await insertUsers([customerOne, vendorOne, vendorTwo]);
+      const otherVendorItem = { ...menuItemTwo, _id: new mongoose.Types.ObjectId(), vendor: vendorTwo._id };
+      await insertMenuItems([menuItemOne, otherVendorItem]);
+      newOrder.items[1].itemId = otherVendorItem._id.toHexString();
+
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.BAD_REQUEST);
+
+      expect(await Order.countDocuments()).toBe(0);
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(50);
+    });
+
+    test('should return 404 error if a cart line is not on the menu', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne]);
+
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.NOT_FOUND);
+
+      expect(await Order.countDocuments()).toBe(0);
+    });
+
+    test('should return 400 error if the cart is empty', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      newOrder.items = [];
+
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    describe('with modifiers', () => {
+      const [sizeGroup, toppingsGroup] = menuItemThree.modifierGroups;
+      const [regular, large] = sizeGroup.options;
+      const [cheese, bacon, onions] = toppingsGroup.options;
+      const select = (group, options) => ({
+        groupId: group._id.toHexString(),
+        optionIds: options.map((option) => option._id.toHexString()),
+      });
+
+      beforeEach(async () => {
+        await insertUsers([customerOne, vendorOne]);
+        await insertMenuItems([menuItemThree]);
+        newOrder.items = [{ itemId: menuItemThree._id.toHexString(), quantity: 2 }];
+      });
+
+      test('should return 200 and price each line with the options picked', async () => {
+        newOrder.items[0].modifiers = [select(sizeGroup, [large]), select(toppingsGroup, [cheese, bacon])];
+
+        const res = await request(app)
+          .post('/v1/orders')
+          .set('Authorization', `Bearer ${customerOneAccessToken}`)
+          .send(newOrder)
+          .expect(httpStatus.OK);
+
+        // 8 + 2 for the large size + 1 for cheese + 1.5 for bacon
+        expect(res.body.data.totalAmount).toBe(25);
+        expect(res.body.data.items[0]).toMatchObject({ quantity: 2, price: 12.5, totalPrice: 25 });
+        expect(res.body.data.items[0].modifiers).toEqual([
+          expect.objectContaining({ group: 'Size', option: 'Large', priceDelta: 2 }),
+          expect.objectContaining({ group: 'Toppings', option: 'Cheese', priceDelta: 1 }),
+          expect.objectContaining({ group: 'Toppings', option: 'Bacon', priceDelta: 1.5 }),
+        ]);
+        const dbCustomer = await User.findById(customerOne._id);
+        expect(dbCustomer.balance).toBe(25);
+      });
+
+      test('should return 200 and charge the base price for options that cost nothing extra', async () => {
+        newOrder.items[0].modifiers = [select(sizeGroup, [regular])];
+
+        const res = await request(app)
+          .post('/v1/orders')
+          .set('Authorization', `Bearer ${customerOneAccessToken}`)
+          .send(newOrder)
+          .expect(httpStatus.OK);
+
+        expect(res.body.data.totalAmount).toBe(16);
+      });
+
+      test('should return 400 error and charge nothing if a required group is left out', async () => {
+        newOrder.items[0].modifiers = [select(toppingsGroup, [cheese])];
+
+        await request(app)
+          .post('/v1/orders')
+          .set('Authorization', `Bearer ${customerOneAccessToken}`)
+          .send(newOrder)
+          .expect(httpStatus.BAD_REQUEST);
+
+        expect(await Order.countDocuments()).toBe(0);
+        const dbCustomer = await User.findById(customerOne._id);
+        expect(dbCustomer.balance).toBe(50);
+      });
+
+      test('should return 400 error if more options are picked than the group allows', async () => {
+        newOrder.items[0].modifiers = [select(sizeGroup, [regular]), select(toppingsGroup, [cheese, bacon, onions])];
+
+        await request(app)
+          .post('/v1/orders')
+          .set('Authorization', `Bearer ${customerOneAccessToken}`)
+          .send(newOrder)
+          .expect(httpStatus.BAD_REQUEST);
+
+        expect(await Order.countDocuments()).toBe(0);
+      });
+
+      test('should return 400 error if an option is not on the menu item', async () => {
+        newOrder.items[0].modifiers = [select(sizeGroup, [{ _id: menuItemOne._id }])];
+
+        await request(app)
+          .post('/v1/orders')
+          .set('Authorization', `Bearer ${customerOneAccessToken}`)
+          .send(newOrder)
+          .expect(httpStatus.BAD_REQUEST);
+
+        expect(await Order.countDocuments()).toBe(0);
+      });
+
+      test('should return 400 error if a modifier group is not on the menu item', async () => {
+        newOrder.items[0].modifiers = [select(sizeGroup, [regular]), select({ _id: menuItemOne._id }, [cheese])];
+
+        await request(app)
+          .post('/v1/orders')
+          .set('Authorization', `Bearer ${customerOneAccessToken}`)
+          .send(newOrder)
+          .expect(httpStatus.BAD_REQUEST);
+
+        expect(await Order.countDocuments()).toBe(0);
+      });
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).post('/v1/orders').send(newOrder).expect(httpStatus.UNAUTHORIZED);
+    });
+
+    test('should return 403 error if a customer orders on behalf of another user', async () => {
+      await insertUsers([customerOne, customerTwo, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      newOrder.userId = customerTwo._id.toHexString();
+
+      await request(app)
+        .post('/v1/orders')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send(newOrder)
+        .expect(httpStatus.FORBIDDEN);
+
+      const dbCustomerTwo = await User.findById(customerTwo._id);
+      expect(dbCustomerTwo.balance).toBe(50);
+    });
+  });
+
+  describe('GET /v1/orders/customer/:customerId', () => {
+    beforeEach(async () => {
+      await insertUsers([customerOne, vendorOne, vendorTwo]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+    });
+
+    test('should return 200 and place each order in its own vendor queue with an ETA', async () => {
+      // Menu items without a preparation time count 5 minutes per unit
+      const firstOrder = await placeOrder();
+      expect(firstOrder).toMatchObject({ queuePosition: 1, etaMinutes: 15 });
+      const secondOrder = await placeOrder({ items: [{ itemId: menuItemTwo._id.toHexString(), quantity: 1 }] });
+      expect(secondOrder).toMatchObject({ queuePosition: 2, etaMinutes: 20 });
+
+      // Another vendor selling a dish with the same name keeps a queue of its own
+      const otherVendorItem = { ...menuItemTwo, _id: new mongoose.Types.ObjectId(), vendor: vendorTwo._id };
+      await insertMenuItems([otherVendorItem]);
+      const otherVendorOrder = await placeOrder({
+        vendorId: vendorTwo._id.toHexString(),
+        items: [{ itemId: otherVendorItem._id.toHexString(), quantity: 1 }],
+      });
+      expect(otherVendorOrder).toMatchObject({ queuePosition: 1, etaMinutes: 5 });
+
+      const res = await request(app).get(`/v1/orders/customer/${customerOne._id}`).send().expect(httpStatus.OK);
+
+      const positions = Object.fromEntries(res.body.data.map((order) => [order.id, order.queuePosition]));
+      expect(positions).toEqual({ [firstOrder._id]: 1, [secondOrder._id]: 2, [otherVendorOrder._id]: 1 });
+    });
+
+    test('should push the new positions to waiting customers when the queue moves', async () => {
+      const firstOrder = await placeOrder();
+      const secondOrder = await placeOrder({ items: [{ itemId: menuItemTwo._id.toHexString(), quantity: 1 }] });
+      const queueUpdateSpy = jest.spyOn(socketService, 'emitQueueUpdate');
+
+      await request(app)
+        .put(`/v1/orders/${firstOrder._id}/status`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ status: 'ready' })
+        .expect(httpStatus.OK);
+
+      expect(queueUpdateSpy).toHaveBeenCalledWith(
+        customerOne._id.toHexString(),
+        expect.objectContaining({ orderId: secondOrder._id, position: 1, etaMinutes: 5 })
+      );
+      expect(queueUpdateSpy).toHaveBeenCalledWith(vendorOne._id.toHexString(), expect.objectContaining({ queueLength: 1 }));
+
+      const res = await request(app).get(`/v1/orders/${firstOrder._id}`).send().expect(httpStatus.OK);
+      expect(res.body.data).toMatchObject({ status: 'ready', queuePosition: null, etaMinutes: null });
+    });
+  });
+
+  describe('PUT /v1/orders/:orderId/status', () => {
+    beforeEach(async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+    });
+
+    test('should queue a held scheduled order behind the waiting orders when the vendor confirms it early', async () => {
+      const waitingOrder = await placeOrder();
+      const heldOrder = await placeOrder({
+        items: [{ itemId: menuItemTwo._id.toHexString(), quantity: 1 }],
+        orderType: 'scheduled',
+        scheduledTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      });
+      expect(heldOrder.status).toBe('pending');
+      const newOrderSpy = jest.spyOn(socketService, 'emitNewOrderToVendor');
+
+      const res = await request(app)
+        .put(`/v1/orders/${heldOrder._id}/status`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ status: 'confirmed' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.status).toBe('confirmed');
+      const dbOrder = await Order.findById(heldOrder._id);
+      expect(dbOrder.queuedAt).toBeInstanceOf(Date);
+      const dbWaitingOrder = await Order.findById(waitingOrder._id);
+      expect(dbOrder.queuedAt.getTime()).toBeGreaterThan(dbWaitingOrder.queuedAt.getTime());
+
+      const queue = await request(app).get(`/v1/orders/vendor/${vendorOne._id}`).send().expect(httpStatus.OK);
+      const queuedOrder = queue.body.data.find((order) => order.id === heldOrder._id);
+      expect(queuedOrder.queuePosition).toBe(2);
+
+      // The vendor hears about it as a new order, it never reached their queue before
+      expect(newOrderSpy).toHaveBeenCalledWith(
+        vendorOne._id.toHexString(),
+        expect.objectContaining({ orderId: heldOrder._id })
+      );
+    });
+  });
+
+  describe('POST /v1/orders/bulk-status', () => {
+    let orders;
+
+    beforeEach(async () => {
+      await insertUsers([customerOne, vendorOne, vendorTwo]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      orders = [await placeOrder(), await placeOrder({ items: [{ itemId: menuItemTwo._id.toHexString(), quantity: 1 }] })];
+    });
+
+    test('should return 200 with a result for every order, whether it moved or not', async () => {
+      const missingOrderId = menuItemOne._id.toHexString();
+
+      const res = await request(app)
+        .post('/v1/orders/bulk-status')
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ orderIds: [orders[0]._id, missingOrderId, orders[1]._id], status: 'ready' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ status: 'ready', updated: 2, failed: 1 });
+      expect(res.body.data.results).toEqual([
+        expect.objectContaining({ orderId: orders[0]._id, success: true, status: 'ready' }),
+        expect.objectContaining({ orderId: missingOrderId, success: false, error: expect.objectContaining({ code: 404 }) }),
+        expect.objectContaining({ orderId: orders[1]._id, success: true, status: 'ready' }),
+      ]);
+      expect(await Order.countDocuments({ status: 'ready' })).toBe(2);
+    });
+
+    test('should tell the customer once about all of their orders that changed', async () => {
+      const notificationSpy = jest.spyOn(socketService, 'emitNotification');
+      const statusUpdateSpy = jest.spyOn(socketService, 'emitOrderStatusUpdate');
+      // Placing the orders sent mail of its own
+      const sendMailSpy = jest.spyOn(emailService.transport, 'sendMail').mockClear();
+
+      await request(app)
+        .post('/v1/orders/bulk-status')
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ orderIds: orders.map((order) => order._id), status: 'ready' })
+        .expect(httpStatus.OK);
+
+      const bulkNotifications = notificationSpy.mock.calls.filter(
+        ([, notification]) => notification.type === 'orders-status-update'
+      );
+      expect(bulkNotifications).toHaveLength(1);
+      expect(bulkNotifications[0][0]).toBe(customerOne._id.toHexString());
+      expect(bulkNotifications[0][1].data.orders).toHaveLength(2);
+      expect(statusUpdateSpy).not.toHaveBeenCalled();
+      expect(sendMailSpy).toHaveBeenCalledTimes(1);
+      expect(sendMailSpy).toHaveBeenCalledWith(expect.objectContaining({ to: customerOne.email }));
+    });
+
+    test('should fail the orders of another vendor and leave them as they were', async () => {
+      const res = await request(app)
+        .post('/v1/orders/bulk-status')
+        .set('Authorization', `Bearer ${vendorTwoAccessToken}`)
+        .send({ orderIds: orders.map((order) => order._id), status: 'ready' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ updated: 0, failed: 2 });
+      res.body.data.results.forEach((result) => {
+        expect(result).toMatchObject({ success: false, error: { code: httpStatus.FORBIDDEN } });
+      });
+      expect(await Order.countDocuments({ status: 'preparing' })).toBe(2);
+    });
+
+    test('should return 400 error if no order ids are given', async () => {
+      await request(app)
+        .post('/v1/orders/bulk-status')
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ orderIds: [], status: 'ready' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app)
+        .post('/v1/orders/bulk-status')
+        .send({ orderIds: orders.map((order) => order._id), status: 'ready' })
+        .expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('PUT /v1/orders/:orderId/cancel', () => {
+    let order;
+
+    beforeEach(async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      order = await placeOrder();
+    });
+
+    test('should return 200, refund the customer and take the sale back from the vendor', async () => {
+      const res = await request(app)
+        .put(`/v1/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ reason: 'Out of stock' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ status: 'cancelled', paymentStatus: 'refunded', refundedAmount: 25 });
+
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(50);
+      expect(dbCustomer.pendingOrders).toHaveLength(0);
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.balance).toBe(0);
+
+      const customerRefund = await FundTransaction.findOne({ user: customerOne._id, type: 'refund' });
+      expect(customerRefund).toMatchObject({ direction: 'credit', amount: 25, balanceBefore: 25, balanceAfter: 50 });
+      const vendorRefund = await FundTransaction.findOne({ user: vendorOne._id, type: 'refund' });
+      expect(vendorRefund).toMatchObject({ direction: 'debit', amount: order.vendorPayout, balanceAfter: 0 });
+    });
+
+    test('should give the tip back as well', async () => {
+      const tippedOrder = await placeOrder({
+        items: [{ itemId: menuItemTwo._id.toHexString(), quantity: 1 }],
+        tip: { amount: 5 },
+      });
+
+      await request(app)
+        .put(`/v1/orders/${tippedOrder._id}/cancel`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      // Both orders were paid from the same wallet, only the tipped one is cancelled
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(25);
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.balance).toBe(order.vendorPayout);
+      expect(dbVendor.totalTips).toBe(0);
+    });
+
+    test('should refund the customer in full and leave the vendor owing the payout they already spent', async () => {
+      await User.updateOne({ _id: vendorOne._id }, { balance: 0 });
+
+      await request(app)
+        .put(`/v1/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(50);
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.balance).toBe(-order.vendorPayout);
+
+      const vendorRefund = await FundTransaction.findOne({ user: vendorOne._id, type: 'refund' });
+      expect(vendorRefund).toMatchObject({
+        direction: 'debit',
+        amount: order.vendorPayout,
+        balanceBefore: 0,
+        balanceAfter: -order.vendorPayout,
+        metadata: expect.objectContaining({ shortfall: order.vendorPayout }),
+      });
+    });
+
+    test('should return 403 error if the customer cancels an order the kitchen is preparing', async () => {
+      await request(app)
+        .put(`/v1/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(25);
+    });
+
+    test('should return 400 error and refund nothing more if the order is already cancelled', async () => {
+      await request(app)
+        .put(`/v1/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      await request(app)
+        .put(`/v1/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(50);
+      expect(await FundTransaction.countDocuments({ type: 'refund' })).toBe(2);
+    });
+  });
+
+  describe('PUT /v1/orders/:orderId/complete', () => {
+    let order;
+    let pickupCode;
+
+    // The vendor puts the order on the counter and the customer opens their pickup code
+    const markReady = async (readyOrder) => {
+      await request(app)
+        .put(`/v1/orders/${readyOrder._id}/status`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ status: 'ready' })
+        .expect(httpStatus.OK);
+      const res = await request(app)
+        .get(`/v1/orders/${readyOrder._id}/pickup-code`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+      return res.body.data.code;
+    };
+
+    const completeOrder = (code, accessToken = vendorOneAccessToken) =>
+      request(app)
+        .put(`/v1/orders/${order._id}/complete`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ pickupCode: code });
+
+    beforeEach(async () => {
+      await insertUsers([customerOne, customerTwo, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      order = await placeOrder();
+      pickupCode = await markReady(order);
+    });
+
+    test('should return 200 and hand the order off with the pickup code', async () => {
+      const res = await completeOrder(pickupCode).expect(httpStatus.OK);
+
+      expect(res.body.data.status).toBe('completed');
+      const dbOrder = await Order.findById(order._id);
+      expect(dbOrder.pickup.code).toBeUndefined();
+      expect(dbOrder.pickup.verifiedBy).toEqual(vendorOne._id);
+      expect(await Scan.countDocuments({ relatedOrder: order._id, scanResult: 'success' })).toBe(1);
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.pendingOrders).toHaveLength(0);
+    });
+
+    test('should return 200 if the vendor scans the pickup QR code', async () => {
+      await completeOrder(`KEJIA-PICKUP:${order._id}:${pickupCode}`).expect(httpStatus.OK);
+
+      const dbOrder = await Order.findById(order._id);
+      expect(dbOrder.status).toBe('completed');
+    });
+
+    test('should return 400 error and count the attempt if the code is wrong', async () => {
+      const wrongCode = pickupCode === '000000' ? '000001' : '000000';
+
+      await completeOrder(wrongCode).expect(httpStatus.BAD_REQUEST);
+
+      const dbOrder = await Order.findById(order._id);
+      expect(dbOrder.status).toBe('ready');
+      expect(dbOrder.pickup.failedAttempts).toBe(1);
+      expect(await Scan.countDocuments({ relatedOrder: order._id, scanResult: 'failed' })).toBe(1);
+    });
+
+    test('should return 400 error if a used code is replayed', async () => {
+      await completeOrder(pickupCode).expect(httpStatus.OK);
+
+      await completeOrder(pickupCode).expect(httpStatus.BAD_REQUEST);
+
+      const dbOrder = await Order.findById(order._id);
+      expect(dbOrder.status).toBe('completed');
+      expect(await Scan.countDocuments({ relatedOrder: order._id, scanResult: 'success' })).toBe(1);
+    });
+
+    test('should throw the code away after 5 wrong attempts until the customer refreshes it', async () => {
+      const wrongCode = pickupCode === '000000' ? '000001' : '000000';
+      await [1, 2, 3, 4].reduce(async (previous) => {
+        await previous;
+        await completeOrder(wrongCode).expect(httpStatus.BAD_REQUEST);
+      }, Promise.resolve());
+
+      const res = await completeOrder(wrongCode).expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.message).toMatch(/Too many failed attempts/);
+      await completeOrder(pickupCode).expect(httpStatus.BAD_REQUEST);
+
+      const refreshed = await request(app)
+        .get(`/v1/orders/${order._id}/pickup-code`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+      await completeOrder(refreshed.body.data.code).expect(httpStatus.OK);
+    });
+
+    test('should return 400 error if the pickup code is missing', async () => {
+      await completeOrder(undefined).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 403 error if the customer tries to complete the order', async () => {
+      await completeOrder(pickupCode, customerOneAccessToken).expect(httpStatus.FORBIDDEN);
+
+      const dbOrder = await Order.findById(order._id);
+      expect(dbOrder.status).toBe('ready');
+    });
+
+    test('should return 403 error if another customer asks for the pickup code', async () => {
+      await request(app)
+        .get(`/v1/orders/${order._id}/pickup-code`)
+        .set('Authorization', `Bearer ${customerTwoAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('POST /v1/orders/:orderId/refunds', () => {
+    let order;
+
+    beforeEach(async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      order = await placeOrder();
+    });
+
+    test('should return 200 and refund the customer for the refunded units only', async () => {
+      const res = await request(app)
+        .post(`/v1/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ items: [{ lineId: order.items[0]._id, quantity: 1 }], reason: 'Dropped on the floor' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ paymentStatus: 'partially_refunded', refundedAmount: 10 });
+      expect(res.body.data.items[0].refundedQuantity).toBe(1);
+
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(35);
+
+      // The vendor only gives back their share, the platform gives up its fee on the refunded amount
+      const vendorRefund = await FundTransaction.findOne({ user: vendorOne._id, type: 'refund' });
+      expect(vendorRefund).toMatchObject({ direction: 'debit', amount: 8.5 });
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.balance).toBe(12.75);
+    });
+
+    test('should refund what is left when the order is cancelled after a partial refund', async () => {
+      await request(app)
+        .post(`/v1/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ items: [{ lineId: order.items[0]._id, quantity: 1 }] })
+        .expect(httpStatus.OK);
+
+      const res = await request(app)
+        .put(`/v1/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ paymentStatus: 'refunded', refundedAmount: 25, platformFee: 0 });
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(50);
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.balance).toBe(0);
+    });
+
+    test('should return 400 error if more units are refunded than were ordered', async () => {
+      await request(app)
+        .post(`/v1/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ items: [{ lineId: order.items[0]._id, quantity: 3 }] })
+        .expect(httpStatus.BAD_REQUEST);
+
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(25);
+      expect(await FundTransaction.countDocuments({ type: 'refund' })).toBe(0);
+    });
+
+    test('should return 403 error if the customer refunds their own order', async () => {
+      await request(app)
+        .post(`/v1/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send({ items: [{ lineId: order.items[0]._id, quantity: 1 }] })
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('GET /v1/orders/:orderId/receipt', () => {
+    let order;
+
+    beforeEach(async () => {
+      await insertUsers([customerOne, customerTwo, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      order = await placeOrder();
+    });
+
+    test('should return 200 and an itemized HTML receipt', async () => {
+      const payment = await FundTransaction.findOne({ user: customerOne._id, type: 'payment' });
+
+      const res = await request(app)
+        .get(`/v1/orders/${order._id}/receipt`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.headers['content-type']).toMatch(/text\/html/);
+      expect(res.text).toContain(order._id);
+      expect(res.text).toContain(menuItemOne.name);
+      expect(res.text).toContain(menuItemTwo.name);
+      expect(res.text).toContain(payment.transactionId);
+    });
+
+    test('should return 200 and the receipt as a PDF', async () => {
+      const res = await request(app)
+        .get(`/v1/orders/${order._id}/receipt`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .query({ format: 'pdf' })
+        .buffer(true)
+        .responseType('blob')
+        .expect(httpStatus.OK);
+
+      expect(res.headers['content-type']).toMatch(/application\/pdf/);
+      expect(res.body.subarray(0, 4).toString()).toBe('%PDF');
+    });
+
+    test('should return 200 if the vendor asks for the receipt', async () => {
+      await request(app)
+        .get(`/v1/orders/${order._id}/receipt`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).get(`/v1/orders/${order._id}/receipt`).send().expect(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 403 error if a customer asks for another customer's receipt", async () => {
+      await request(app)
+        .get(`/v1/orders/${order._id}/receipt`)
+        .set('Authorization', `Bearer ${customerTwoAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('POST /v1/orders/:orderId/receipt/send', () => {
+    let order;
+
+    beforeEach(async () => {
+      await insertUsers([customerOne, customerTwo, vendorOne, adminOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      order = await placeOrder();
+    });
+
+    test('should return 200 and email the receipt to the customer with the PDF attached', async () => {
+      const sendMailSpy = jest.spyOn(emailService.transport, 'sendMail').mockClear();
+
+      const res = await request(app)
+        .post(`/v1/orders/${order._id}/receipt/send`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toEqual({ orderId: order._id, sentTo: customerOne.email });
+      expect(sendMailSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: customerOne.email,
+          attachments: [expect.objectContaining({ filename: `receipt-${order._id}.pdf`, contentType: 'application/pdf' })],
+        })
+      );
+    });
+
+    test('should return 200 if an admin sends the receipt to another address', async () => {
+      const res = await request(app)
+        .post(`/v1/orders/${order._id}/receipt/send`)
+        .set('Authorization', `Bearer ${adminOneAccessToken}`)
+        .send({ email: 'bookkeeping@example.com' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.data.sentTo).toBe('bookkeeping@example.com');
+    });
+
+    test('should return 403 error if a customer sends the receipt to someone else', async () => {
+      const sendMailSpy = jest.spyOn(emailService.transport, 'sendMail').mockClear();
+
+      await request(app)
+        .post(`/v1/orders/${order._id}/receipt/send`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send({ email: 'someone@example.com' })
+        .expect(httpStatus.FORBIDDEN);
+
+      expect(sendMailSpy).not.toHaveBeenCalled();
+    });
+
+    test("should return 403 error if a customer sends another customer's receipt", async () => {
+      await request(app)
+        .post(`/v1/orders/${order._id}/receipt/send`)
+        .set('Authorization', `Bearer ${customerTwoAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('GET /v1/orders/vendor/:vendorId/export', () => {
+    let order;
+
+    const exportOrders = (query, accessToken = vendorOneAccessToken) =>
+      request(app)
+        .get(`/v1/orders/vendor/${vendorOne._id}/export`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .query(query);
+
+    beforeEach(async () => {
+      await insertUsers([customerOne, vendorOne, vendorTwo, adminOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      order = await placeOrder();
+    });
+
+    test('should return 200 and a CSV with one row per order line', async () => {
+      const res = await exportOrders({ format: 'csv' }).expect(httpStatus.OK);
+
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.headers['content-disposition']).toBe(`attachment; filename="orders-${vendorOne._id}.csv"`);
+      const [header, ...rows] = res.text
+        .replace(/^\ufeff/, '')
+        .trim()
+        .split('\r\n');
+      expect(header.split(',').slice(0, 3)).toEqual(['Order ID', 'Order number', 'Order date']);
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toContain(order._id);
+      expect(rows[0]).toContain(customerOne.name);
+      expect(rows[1]).toContain(order._id);
+    });
+
+    test('should return 200 and an Excel workbook with the same rows', async () => {
+      const res = await exportOrders({ format: 'xlsx' }).buffer(true).responseType('blob').expect(httpStatus.OK);
+
+      expect(res.headers['content-type']).toMatch(/spreadsheetml/);
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(res.body);
+      const sheet = workbook.getWorksheet('Orders');
+      expect(sheet.rowCount).toBe(3);
+      expect(sheet.getRow(1).getCell(1).value).toBe('Order ID');
+      expect(sheet.getRow(2).getCell(1).value).toBe(order._id);
+    });
+
+    test('should only export orders placed in the date range', async () => {
+      const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+      // Written raw, the model won't change createdAt
+      await Order.collection.updateOne({ _id: new mongoose.Types.ObjectId(order._id) }, { $set: { createdAt: lastWeek } });
+      const newOrder = await placeOrder({ items: [{ itemId: menuItemTwo._id.toHexString(), quantity: 1 }] });
+
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+      const res = await exportOrders({ from: yesterday.toISOString() }).expect(httpStatus.OK);
+
+      const rows = res.text.trim().split('\r\n').slice(1);
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toContain(newOrder._id);
+    });
+
+    test("should return 200 if an admin exports a vendor's orders", async () => {
+      await exportOrders({}, adminOneAccessToken).expect(httpStatus.OK);
+    });
+
+    test('should return 403 error if another vendor exports the orders', async () => {
+      await exportOrders({ format: 'csv' }, vendorTwoAccessToken).expect(httpStatus.FORBIDDEN);
+    });
+
+    test('should return 400 error if the range ends before it starts', async () => {
+      await exportOrders({ from: '2026-07-05', to: '2026-07-04' }).expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('POST /v1/orders/:orderId/review', () => {
+    let order;
+
+    const reviewOrder = (review, accessToken = customerOneAccessToken) =>
+      request(app).post(`/v1/orders/${order._id}/review`).set('Authorization', `Bearer ${accessToken}`).send(review);
+
+    // The vendor hands the order off with the code the customer shows them
+    const handOff = async () => {
+      await request(app)
+        .put(`/v1/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ status: 'ready' })
+        .expect(httpStatus.OK);
+      const res = await request(app)
+        .get(`/v1/orders/${order._id}/pickup-code`)
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+      await request(app)
+        .put(`/v1/orders/${order._id}/complete`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ pickupCode: res.body.data.code })
+        .expect(httpStatus.OK);
+    };
+
+    beforeEach(async () => {
+      await insertUsers([customerOne, customerTwo, vendorOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      order = await placeOrder();
+    });
+
+    test('should return 201 and count the rating towards the vendor and every item on the order', async () => {
+      await handOff();
+
+      const res = await reviewOrder({ rating: 4, comment: 'Quick and hot' }).expect(httpStatus.CREATED);
+
+      expect(res.body.data).toMatchObject({
+        order: order._id,
+        customer: customerOne._id.toHexString(),
+        vendor: vendorOne._id.toHexString(),
+        rating: 4,
+        comment: 'Quick and hot',
+        isHidden: false,
+      });
+      expect(res.body.data.menuItems).toEqual(
+        expect.arrayContaining([menuItemOne._id.toHexString(), menuItemTwo._id.toHexString()])
+      );
+      const vendorRes = await request(app).get(`/v1/vendors/${vendorOne._id}`).send().expect(httpStatus.OK);
+      expect(vendorRes.body.rating).toEqual({ averageRating: 4, reviewCount: 1 });
+      const menuItemRes = await request(app).get(`/v1/menu-items/${menuItemTwo._id}`).send().expect(httpStatus.OK);
+      expect(menuItemRes.body.data.rating).toEqual({ averageRating: 4, reviewCount: 1 });
+    });
+
+    test('should return 409 error if the order was already reviewed', async () => {
+      await handOff();
+      await reviewOrder({ rating: 4 }).expect(httpStatus.CREATED);
+
+      await reviewOrder({ rating: 1 }).expect(httpStatus.CONFLICT);
+
+      expect(await Review.countDocuments({ order: order._id })).toBe(1);
+    });
+
+    test('should return 400 error if the order is not completed yet', async () => {
+      await reviewOrder({ rating: 5 }).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if the review window has closed', async () => {
+      await handOff();
+      const longAgo = new Date(Date.now() - (config.reviews.windowHours + 1) * 60 * 60 * 1000);
+      // Written raw, the model won't change the status history
+      await Order.collection.updateOne(
+        { _id: new mongoose.Types.ObjectId(order._id) },
+        { $set: { 'statusHistory.$[entry].changedAt': longAgo } },
+        { arrayFilters: [{ 'entry.to': 'completed' }] }
+      );
+
+      await reviewOrder({ rating: 5 }).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if the rating is out of range', async () => {
+      await handOff();
+
+      await reviewOrder({ rating: 6 }).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).post(`/v1/orders/${order._id}/review`).send({ rating: 5 }).expect(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 403 error if a customer reviews another customer's order", async () => {
+      await handOff();
+
+      await reviewOrder({ rating: 1 }, customerTwoAccessToken).expect(httpStatus.FORBIDDEN);
+
+      expect(await Review.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Order messages', () => {
+    let order;
+
+    const sendMessage = (message, accessToken = customerOneAccessToken) =>
+      request(app).post(`/v1/orders/${order._id}/messages`).set('Authorization', `Bearer ${accessToken}`).send({ message });
+
+    beforeEach(async () => {
+      await insertUsers([customerOne, customerTwo, vendorOne, adminOne]);
+      await insertMenuItems([menuItemOne, menuItemTwo]);
+      order = await placeOrder();
+    });
+
+    describe('POST /v1/orders/:orderId/messages', () => {
+      test('should return 201, save the message for the vendor and push it to both sides', async () => {
+        const messageSpy = jest.spyOn(socketService, 'emitOrderMessage');
+
+        const res = await sendMessage('Can I get it without onions?').expect(httpStatus.CREATED);
+
+        expect(res.body.data).toEqual({
+          id: expect.any(String),
+          orderId: order._id,
+          senderId: customerOne._id.toHexString(),
+          senderType: 'customer',
+          recipientId: vendorOne._id.toHexString(),
+          body: 'Can I get it without onions?',
+          readAt: null,
+          createdAt: expect.any(String),
+        });
+        expect(messageSpy).toHaveBeenCalledWith(expect.objectContaining({ id: res.body.data.id }));
+        expect(await Message.countDocuments({ order: order._id })).toBe(1);
+      });
+
+      test('should return 201 if the vendor replies', async () => {
+        const res = await sendMessage('Sure thing', vendorOneAccessToken).expect(httpStatus.CREATED);
+
+        expect(res.body.data).toMatchObject({ senderType: 'vendor', recipientId: customerOne._id.toHexString() });
+      });
+
+      test('should return 400 error if the message is empty', async () => {
+        await sendMessage('   ').expect(httpStatus.BAD_REQUEST);
+      });
+
+      test('should return 401 error if access token is missing', async () => {
+        await request(app).post(`/v1/orders/${order._id}/messages`).send({ message: 'Hi' }).expect(httpStatus.UNAUTHORIZED);
+      });
+
+      test('should return 403 error if an admin messages on the order', async () => {
+        await sendMessage('Hi', adminOneAccessToken).expect(httpStatus.FORBIDDEN);
+      });
+
+      test("should return 403 error if a customer messages on another customer's order", async () => {
+        await sendMessage('Hi', customerTwoAccessToken).expect(httpStatus.FORBIDDEN);
+
+        expect(await Message.countDocuments()).toBe(0);
+      });
+    });
+
+    describe('GET /v1/orders/:orderId/messages', () => {
+      test('should return 200 and the thread oldest first, with what is waiting for the caller', async () => {
+        const question = await sendMessage('Is it spicy?').expect(httpStatus.CREATED);
+        const answer = await sendMessage('A little', vendorOneAccessToken).expect(httpStatus.CREATED);
+
+        const res = await request(app)
+          .get(`/v1/orders/${order._id}/messages`)
+          .set('Authorization', `Bearer ${customerOneAccessToken}`)
+          .send()
+          .expect(httpStatus.OK);
+
+        expect(res.body.data.results.map((message) => message.id)).toEqual([question.body.data.id, answer.body.data.id]);
+        expect(res.body.data).toMatchObject({ totalResults: 2, unreadCount: 1 });
+      });
+
+      test("should return 200 if an admin reads the order's thread", async () => {
+        await sendMessage('Is it spicy?').expect(httpStatus.CREATED);
+
+        const res = await request(app)
+          .get(`/v1/orders/${order._id}/messages`)
+          .set('Authorization', `Bearer ${adminOneAccessToken}`)
+          .send()
+          .expect(httpStatus.OK);
+
+        expect(res.body.data.results).toHaveLength(1);
+      });
+
+      test("should return 403 error if a customer reads another customer's thread", async () => {
+        await request(app)
+          .get(`/v1/orders/${order._id}/messages`)
+          .set('Authorization', `Bearer ${customerTwoAccessToken}`)
+          .send()
+          .expect(httpStatus.FORBIDDEN);
+      });
+
+      test('should return 404 error if the order does not exist', async () => {
+        await request(app)
+          .get(`/v1/orders/${new mongoose.Types.ObjectId()}/messages`)
+          .set('Authorization', `Bearer ${customerOneAccessToken}`)
+          .send()
+          .expect(httpStatus.NOT_FOUND);
+      });
+    });
+
+    describe('PUT /v1/orders/:orderId/messages/read', () => {
+      test('should return 200, mark what the caller received as read and tell the sender', async () => {
+        await sendMessage('Is it spicy?').expect(httpStatus.CREATED);
+        await sendMessage('Extra napkins please').expect(httpStatus.CREATED);
+        await sendMessage('A little', vendorOneAccessToken).expect(httpStatus.CREATED);
+        const readSpy = jest.spyOn(socketService, 'emitOrderMessagesRead');
+
+        const res = await request(app)
+          .put(`/v1/orders/${order._id}/messages/read`)
+          .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+          .send()
+          .expect(httpStatus.OK);
+
+        expect(res.body.data).toMatchObject({ orderId: order._id, readerId: vendorOne._id.toHexString(), count: 2 });
+        expect(readSpy).toHaveBeenCalledWith(customerOne._id.toHexString(), expect.objectContaining({ count: 2 }));
+        expect(await Message.countDocuments({ recipient: vendorOne._id, readAt: null })).toBe(0);
+        expect(await Message.countDocuments({ recipient: customerOne._id, readAt: null })).toBe(1);
+      });
+
+      test('should not tell the sender if there was nothing to read', async () => {
+        const readSpy = jest.spyOn(socketService, 'emitOrderMessagesRead');
+
+        const res = await request(app)
+          .put(`/v1/orders/${order._id}/messages/read`)
+          .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+          .send()
+          .expect(httpStatus.OK);
+
+        expect(res.body.data.count).toBe(0);
+        expect(readSpy).not.toHaveBeenCalled();
+      });
+
+      test("should return 403 error if a customer marks another customer's thread as read", async () => {
+        await sendMessage('A little', vendorOneAccessToken).expect(httpStatus.CREATED);
+
+        await request(app)
+          .put(`/v1/orders/${order._id}/messages/read`)
+          .set('Authorization', `Bearer ${customerTwoAccessToken}`)
+          .send()
+          .expect(httpStatus.FORBIDDEN);
+
+        expect(await Message.countDocuments({ readAt: null })).toBe(1);
+      });
+    });
+  });
+});
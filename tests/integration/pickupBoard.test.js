@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { emailService, socketService } = require('../../src/services');
+const { customerOne, vendorOne, vendorTwo, insertUsers } = require('../fixtures/user.fixture');
+const { menuItemOne, insertMenuItems } = require('../fixtures/menuItem.fixture');
+const { customerOneAccessToken, vendorOneAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+// Sold by vendorTwo, so its orders are numbered apart from vendorOne's
+const vendorTwoMenuItem = {
+  ...menuItemOne,
+  _id: new mongoose.Types.ObjectId(),
+  vendor: vendorTwo._id,
+};
+
+const placeOrder = async (menuItem = menuItemOne) => {
+  const res = await request(app)
+    .post('/v1/orders')
+    .set('Authorization', `Bearer ${customerOneAccessToken}`)
+    .send({ vendorId: menuItem.vendor.toHexString(), items: [{ itemId: menuItem._id.toHexString(), quantity: 1 }] })
+    .expect(httpStatus.OK);
+  return res.body.data;
+};
+
+const setOrderStatus = (order, status) =>
+  request(app)
+    .put(`/v1/orders/${order._id}/status`)
+    .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+    .send({ status })
+    .expect(httpStatus.OK);
+
+describe('Pickup board routes', () => {
+  beforeEach(async () => {
+    jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+    await insertUsers([customerOne, vendorOne, vendorTwo]);
+    await insertMenuItems([menuItemOne, vendorTwoMenuItem]);
+  });
+
+  describe('Order numbers', () => {
+    test("should number a vendor's orders in sequence from its initial", async () => {
+      const first = await placeOrder();
+      const second = await placeOrder();
+
+      const prefix = vendorOne.name.toUpperCase().match(/[A-Z]/)[0];
+      expect(first.orderNumber).toBe(`${prefix}-001`);
+      expect(second.orderNumber).toBe(`${prefix}-002`);
+    });
+
+    test('should number each vendor apart', async () => {
+      await placeOrder();
+
+      const order = await placeOrder(vendorTwoMenuItem);
+
+      expect(order.orderNumber).toMatch(/^[A-Z]-001$/);
+    });
+
+    test('should use the prefix the vendor set', async () => {
+      await request(app)
+        .patch(`/v1/vendors/${vendorOne._id}/settings`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ orderNumberPrefix: 'kb' })
+        .expect(httpStatus.OK);
+
+      const order = await placeOrder();
+
+      expect(order.orderNumber).toBe('KB-001');
+    });
+  });
+
+  describe('GET /v1/pickup-board', () => {
+    test('should return 200 without a token and list preparing and ready numbers per vendor', async () => {
+      const preparing = await placeOrder();
+      const ready = await placeOrder();
+      await setOrderStatus(ready, 'ready');
+      const otherVendorOrder = await placeOrder(vendorTwoMenuItem);
+
+      const res = await request(app).get('/v1/pickup-board').send().expect(httpStatus.OK);
+
+      expect(res.body.data.updatedAt).toEqual(expect.any(String));
+      expect(res.body.data.vendors).toHaveLength(2);
+      expect(res.body.data.vendors).toEqual(
+        expect.arrayContaining([
+          {
+            vendorId: vendorOne._id.toHexString(),
+            vendorName: vendorOne.name,
+            preparing: [preparing.orderNumber],
+            ready: [ready.orderNumber],
+          },
+          {
+            vendorId: vendorTwo._id.toHexString(),
+            vendorName: vendorTwo.name,
+            preparing: [otherVendorOrder.orderNumber],
+            ready: [],
+          },
+        ])
+      );
+      expect(JSON.stringify(res.body)).not.toContain(customerOne.name);
+    });
+
+    test('should leave cancelled orders off the board', async () => {
+      const cancelled = await placeOrder();
+      await request(app)
+        .put(`/v1/orders/${cancelled._id}/cancel`)
+        .set('Authorization', `Bearer ${vendorOneAccessToken}`)
+        .send({ reason: 'Out of stock' })
+        .expect(httpStatus.OK);
+
+      const res = await request(app).get('/v1/pickup-board').send().expect(httpStatus.OK);
+
+      expect(res.body.data.vendors).toEqual([]);
+    });
+
+    test("should push the vendor's column to board screens when an order changes", async () => {
+      const order = await placeOrder();
+      const boardSpy = jest.spyOn(socketService, 'emitPickupBoardUpdate');
+
+      await setOrderStatus(order, 'ready');
+
+      expect(boardSpy).toHaveBeenCalledWith({
+        vendorId: vendorOne._id.toHexString(),
+        vendorName: vendorOne.name,
+        preparing: [],
+        ready: [order.orderNumber],
+      });
+    });
+  });
+});
@@ -0,0 +1,314 @@
+const http = require('http');
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { User, Order, Review } = require('../../src/models');
+const { emailService, socketService } = require('../../src/services');
+const { customerOne, customerTwo, vendorOne, vendorTwo, adminOne, insertUsers } = require('../fixtures/user.fixture');
+const { menuItemOne, insertMenuItems } = require('../fixtures/menuItem.fixture');
+const { reviewOne, reviewTwo, insertReviews } = require('../fixtures/review.fixture');
+const {
+  customerOneAccessToken,
+  vendorOneAccessToken,
+  vendorTwoAccessToken,
+  adminOneAccessToken,
+} = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+// customerOne buys 1 x menuItemOne from vendorOne, 10 in total and 5 minutes of preparation
+const placeOrder = () =>
+  request(app)
+    .post('/v1/orders')
+    .set('Authorization', `Bearer ${customerOneAccessToken}`)
+    .send({ vendorId: vendorOne._id.toHexString(), items: [{ itemId: menuItemOne._id.toHexString(), quantity: 1 }] });
+
+describe('Vendor routes', () => {
+  beforeEach(() => {
+    jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+  });
+
+  describe('PATCH /v1/vendors/:vendorId/settings', () => {
+    const updateSettings = (settings, accessToken = vendorOneAccessToken) =>
+      request(app)
+        .patch(`/v1/vendors/${vendorOne._id}/settings`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send(settings);
+
+    beforeEach(async () => {
+      await insertMenuItems([menuItemOne]);
+    });
+
+    test('should return 200, pause the vendor and tell customers they stopped taking orders', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      const availabilitySpy = jest.spyOn(socketService, 'emitVendorAvailability');
+
+      const res = await updateSettings({ acceptingOrders: false }).expect(httpStatus.OK);
+
+      expect(res.body.data.settings.acceptingOrders).toBe(false);
+      expect(res.body.data.availability).toMatchObject({ status: 'paused', acceptingOrders: false });
+      expect(availabilitySpy).toHaveBeenCalledWith(
+        expect.objectContaining({ vendorId: vendorOne._id.toHexString(), status: 'paused' })
+      );
+    });
+
+    test('should turn orders away without charging the customer while the vendor is paused', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await updateSettings({ acceptingOrders: false }).expect(httpStatus.OK);
+
+      const res = await placeOrder().expect(httpStatus.CONFLICT);
+
+      expect(res.body.message).toMatch(/not accepting orders/);
+      expect(await Order.countDocuments()).toBe(0);
+      const dbCustomer = await User.findById(customerOne._id);
+      expect(dbCustomer.balance).toBe(50);
+    });
+
+    test('should take orders again once the vendor resumes', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await updateSettings({ acceptingOrders: false }).expect(httpStatus.OK);
+
+      const res = await updateSettings({ acceptingOrders: true }).expect(httpStatus.OK);
+
+      expect(res.body.data.availability.status).toBe('open');
+      await placeOrder().expect(httpStatus.OK);
+    });
+
+    test('should turn orders away while the vendor is preparing as many orders as they allow', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await updateSettings({ maxPreparingOrders: 1 }).expect(httpStatus.OK);
+      await placeOrder().expect(httpStatus.OK);
+
+      const res = await placeOrder().expect(httpStatus.CONFLICT);
+
+      expect(res.body.message).toMatch(/preparing as many orders/);
+      expect(await Order.countDocuments()).toBe(1);
+    });
+
+    test('should pause the vendor on its own while the queue is longer than the wait they allow', async () => {
+      await insertUsers([customerOne, vendorOne]);
+      await updateSettings({ autoPauseEtaMinutes: 8 }).expect(httpStatus.OK);
+      await placeOrder().expect(httpStatus.OK);
+      const availabilitySpy = jest.spyOn(socketService, 'emitVendorAvailability');
+      await placeOrder().expect(httpStatus.OK);
+
+      // 10 minutes of work are queued now
+      expect(availabilitySpy).toHaveBeenCalledWith(expect.objectContaining({ status: 'auto_paused', etaMinutes: 10 }));
+      const res = await placeOrder().expect(httpStatus.CONFLICT);
+      expect(res.body.message).toMatch(/too busy/);
+    });
+
+    test('should return 200 if an admin changes the settings', async () => {
+      await insertUsers([vendorOne, adminOne]);
+
+      await updateSettings({ maxPreparingOrders: 3 }, adminOneAccessToken).expect(httpStatus.OK);
+
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.vendorSettings.maxPreparingOrders).toBe(3);
+    });
+
+    test('should return 400 error if no setting is given', async () => {
+      await insertUsers([vendorOne]);
+
+      await updateSettings({}).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app)
+        .patch(`/v1/vendors/${vendorOne._id}/settings`)
+        .send({ acceptingOrders: false })
+        .expect(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 403 error if a vendor changes another vendor's settings", async () => {
+      await insertUsers([vendorOne, vendorTwo]);
+
+      await updateSettings({ acceptingOrders: false }, vendorTwoAccessToken).expect(httpStatus.FORBIDDEN);
+
+      const dbVendor = await User.findById(vendorOne._id);
+      expect(dbVendor.vendorSettings.acceptingOrders).toBe(true);
+    });
+  });
+
+  describe('GET /v1/vendors/:vendorId/reviews', () => {
+    beforeEach(async () => {
+      await insertUsers([customerOne, customerTwo, vendorOne]);
+    });
+
+    test('should return 200 and the reviews without moderation details', async () => {
+      await insertReviews([reviewOne, { ...reviewTwo, isHidden: true, hiddenReason: 'Abusive' }]);
+
+      const res = await request(app).get(`/v1/vendors/${vendorOne._id}/reviews`).send().expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ page: 1, totalResults: 1 });
+      expect(res.body.results).toHaveLength(1);
+      expect(res.body.results[0]).toMatchObject({
+        id: reviewOne._id.toHexString(),
+        rating: reviewOne.rating,
+        comment: reviewOne.comment,
+        customer: { name: customerOne.name },
+        createdAt: expect.any(String),
+      });
+      expect(res.body.results[0]).not.toHaveProperty('hiddenReason');
+    });
+
+    test('should leave hidden reviews out of the vendor rating', async () => {
+      await insertReviews([reviewOne, reviewTwo]);
+      let res = await request(app).get(`/v1/vendors/${vendorOne._id}`).send().expect(httpStatus.OK);
+      expect(res.body.rating).toEqual({ averageRating: 3.5, reviewCount: 2 });
+
+      await Review.updateOne({ _id: reviewTwo._id }, { isHidden: true });
+
+      res = await request(app).get(`/v1/vendors/${vendorOne._id}`).send().expect(httpStatus.OK);
+      expect(res.body.rating).toEqual({ averageRating: 5, reviewCount: 1 });
+    });
+
+    test('should return 400 error if vendorId is not a valid mongo id', async () => {
+      await request(app).get('/v1/vendors/invalidId/reviews').send().expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('GET /v1/vendors/:vendorId/orders/stream', () => {
+    let server;
+    let stream;
+
+    // supertest waits for the response to end, a stream never does, so displays are read over a real connection
+    const openStream = (query, headers = {}) =>
+      new Promise((resolve, reject) => {
+        const { port } = server.address();
+        const search = new URLSearchParams(query).toString();
+        const req = http.get(
+          `http://127.0.0.1:${port}/v1/vendors/${vendorOne._id}/orders/stream?${search}`,
+          { headers },
+          (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+              text += chunk;
+            });
+
+            // Complete events so far, the last frame may still be arriving
+            const readEvents = () =>
+              text
+                .split('\n\n')
+                .slice(0, -1)
+                .filter((frame) => frame.includes('event: '))
+                .map((frame) => {
+                  const fields = Object.fromEntries(
+                    frame.split('\n').map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])
+                  );
+                  return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+                });
+
+            const waitForEvent = (type) =>
+              new Promise((resolveEvent) => {
+                const check = () => {
+                  const event = readEvents().find((candidate) => candidate.type === type);
+                  if (event) {
+                    res.off('data', check);
+                    resolveEvent(event);
+                  }
+                };
+                res.on('data', check);
+                check();
+              });
+
+            resolve({ res, waitForEvent, close: () => req.destroy() });
+          }
+        );
+        req.on('error', reject);
+      });
+
+    beforeAll(async () => {
+      await new Promise((resolve) => {
+        server = app.listen(0, resolve);
+      });
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+      await insertUsers([customerOne, vendorOne, vendorTwo, adminOne]);
+      await insertMenuItems([menuItemOne]);
+    });
+
+    afterEach(() => {
+      if (stream) {
+        stream.close();
+        stream = undefined;
+      }
+    });
+
+    test('should return 200 and start with a snapshot of the active orders', async () => {
+      const order = (await placeOrder().expect(httpStatus.OK)).body.data;
+
+      stream = await openStream({ token: vendorOneAccessToken });
+
+      expect(stream.res.statusCode).toBe(httpStatus.OK);
+      expect(stream.res.headers['content-type']).toMatch(/text\/event-stream/);
+      const snapshot = await stream.waitForEvent('snapshot');
+      expect(snapshot.data.vendorId).toBe(vendorOne._id.toHexString());
+      expect(snapshot.data.orders).toHaveLength(1);
+      expect(snapshot.data.orders[0]).toMatchObject({
+        orderId: order._id,
+        status: 'preparing',
+        customerName: customerOne.name,
+        items: [{ name: menuItemOne.name, quantity: 1, modifiers: [] }],
+      });
+    });
+
+    test('should push orders placed while the display is open', async () => {
+      stream = await openStream({ token: vendorOneAccessToken });
+      const snapshot = await stream.waitForEvent('snapshot');
+      expect(snapshot.data.orders).toHaveLength(0);
+
+      const order = (await placeOrder().expect(httpStatus.OK)).body.data;
+
+      const created = await stream.waitForEvent('order-created');
+      expect(created.id).toBeGreaterThan(snapshot.id);
+      expect(created.data).toMatchObject({ orderId: order._id, status: 'preparing' });
+    });
+
+    test('should replay what a reconnecting display missed instead of a snapshot', async () => {
+      stream = await openStream({ token: vendorOneAccessToken });
+      const snapshot = await stream.waitForEvent('snapshot');
+      stream.close();
+      const order = (await placeOrder().expect(httpStatus.OK)).body.data;
+
+      stream = await openStream({ token: vendorOneAccessToken }, { 'Last-Event-ID': String(snapshot.id) });
+
+      const created = await stream.waitForEvent('order-created');
+      expect(created.data.orderId).toBe(order._id);
+    });
+
+    test("should return 200 if an admin opens a vendor's stream", async () => {
+      stream = await openStream({ token: adminOneAccessToken });
+
+      expect(stream.res.statusCode).toBe(httpStatus.OK);
+      await stream.waitForEvent('snapshot');
+    });
+
+    test('should return 401 error if the token is missing', async () => {
+      await request(app).get(`/v1/vendors/${vendorOne._id}/orders/stream`).send().expect(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 403 error if a vendor opens another vendor's stream", async () => {
+      await request(app)
+        .get(`/v1/vendors/${vendorOne._id}/orders/stream`)
+        .query({ token: vendorTwoAccessToken })
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+
+    test("should return 403 error if a customer opens a vendor's stream", async () => {
+      await request(app)
+        .get(`/v1/vendors/${vendorOne._id}/orders/stream`)
+        .query({ token: customerOneAccessToken })
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+});
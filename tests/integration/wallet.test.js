@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const faker = require('faker');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { FundTransaction } = require('../../src/models');
+const { customerOne, customerTwo, insertUsers } = require('../fixtures/user.fixture');
+const { depositOne, insertFundTransactions } = require('../fixtures/fundTransaction.fixture');
+const { customerOneAccessToken, customerTwoAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Wallet routes', () => {
+  describe('GET /v1/wallet/summary', () => {
+    test('should return 200 and add up every entry of a type, counting legacy entries by type', async () => {
+      await insertUsers([{ ...customerOne, balance: 35 }]);
+      await insertFundTransactions([depositOne]);
+      // Inserted raw, the schema would default the missing direction to credit
+      const legacyEntry = {
+        user: customerOne._id,
+        method: 'wallet',
+        status: 'completed',
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      await FundTransaction.collection.insertMany([
+        {
+          ...legacyEntry,
+          transactionId: `TXN_${faker.datatype.uuid()}`,
+          amount: 5,
+          type: 'deposit',
+          balanceBefore: 50,
+          balanceAfter: 55,
+        },
+        {
+          ...legacyEntry,
+          transactionId: `TXN_${faker.datatype.uuid()}`,
+          amount: 20,
+          type: 'payment',
+          balanceBefore: 55,
+          balanceAfter: 35,
+        },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/wallet/summary')
+        .set('Authorization', `Bearer ${customerOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({
+        balance: 35,
+        totalCredits: 55,
+        totalDebits: 20,
+        byType: {
+          deposit: { credits: 55, debits: 0, count: 2 },
+          payment: { credits: 0, debits: 20, count: 1 },
+        },
+        pending: { amount: 0, count: 0 },
+      });
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).get('/v1/wallet/summary').send().expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('GET /v1/wallet/transactions', () => {
+    // customerOne paid for an order last week, customerTwo has a deposit of their own
+    const paymentOne = {
+      user: customerOne._id,
+      transactionId: `TXN_${faker.datatype.uuid()}`,
+      amount: 20,
+      type: 'payment',
+      method: 'wallet',
+      direction: 'debit',
+      status: 'completed',
+      balanceBefore: 50,
+      balanceAfter: 30,
+    };
+    const depositTwo = {
+      ...depositOne,
+      _id: new mongoose.Types.ObjectId(),
+      user: customerTwo._id,
+      transactionId: `TXN_${faker.datatype.uuid()}`,
+    };
+    const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const getTransactions = (query = {}, accessToken = customerOneAccessToken) =>
+      request(app).get('/v1/wallet/transactions').set('Authorization', `Bearer ${accessToken}`).query(query).send();
+
+    beforeEach(async () => {
+      await insertUsers([{ ...customerOne, balance: 30 }, customerTwo]);
+      await insertFundTransactions([depositOne, depositTwo]);
+      // Inserted raw, the model won't take a createdAt in the past
+      await FundTransaction.collection.insertOne({ ...paymentOne, createdAt: lastWeek, updatedAt: lastWeek });
+    });
+
+    test("should return 200 and only the caller's entries, newest first", async () => {
+      const res = await getTransactions().expect(httpStatus.OK);
+
+      expect(res.body.data).toMatchObject({ page: 1, totalResults: 2 });
+      expect(res.body.data.results.map((transaction) => transaction.transactionId)).toEqual([
+        depositOne.transactionId,
+        paymentOne.transactionId,
+      ]);
+      expect(res.body.data.results[0]).toMatchObject({
+        id: depositOne._id.toHexString(),
+        amount: 50,
+        direction: 'credit',
+        createdAt: expect.any(String),
+      });
+    });
+
+    test('should filter the entries by type', async () => {
+      const res = await getTransactions({ type: 'payment' }).expect(httpStatus.OK);
+
+      expect(res.body.data.results).toHaveLength(1);
+      expect(res.body.data.results[0]).toMatchObject({ type: 'payment', direction: 'debit', amount: 20 });
+    });
+
+    test('should filter the entries by date', async () => {
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+      const res = await getTransactions({ startDate: yesterday.toISOString() }).expect(httpStatus.OK);
+
+      expect(res.body.data.results).toHaveLength(1);
+      expect(res.body.data.results[0].transactionId).toBe(depositOne.transactionId);
+    });
+
+    test('should return 200 and only their own entries when another customer asks', async () => {
+      const res = await getTransactions({}, customerTwoAccessToken).expect(httpStatus.OK);
+
+      expect(res.body.data.results).toHaveLength(1);
+      expect(res.body.data.results[0].transactionId).toBe(depositTwo.transactionId);
+    });
+
+    test("should return 400 error if the caller asks for another user's entries", async () => {
+      await getTransactions({ user: customerTwo._id.toHexString() }).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if type is not a ledger entry type', async () => {
+      await getTransactions({ type: 'gift' }).expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await request(app).get('/v1/wallet/transactions').send().expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+});
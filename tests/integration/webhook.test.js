@@ -0,0 +1,309 @@
+const request = require('supertest');
+const faker = require('faker');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const config = require('../../src/config/config');
+const setupTestDB = require('../utils/setupTestDB');
+const { User, FundTransaction, UnmatchedPayment } = require('../../src/models');
+const { emailService } = require('../../src/services');
+const { signWebhookPayload } = require('../../src/utils/webhookSignature');
+const { customerOne, insertUsers } = require('../fixtures/user.fixture');
+
+setupTestDB();
+
+const zeffySecret = 'zeffy-test-secret';
+const zapierSecret = 'zapier-test-secret';
+
+const sendZeffyWebhook = (payload, { secret = zeffySecret, timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+  // Signed over the body exactly as it is sent
+  const body = JSON.stringify(payload);
+  return request(app)
+    .post('/v1/webhooks/zeffy')
+    .set('Content-Type', 'application/json')
+    .set('X-Zeffy-Timestamp', String(timestamp))
+    .set('X-Zeffy-Signature', signWebhookPayload(secret, timestamp, body))
+    .send(body);
+};
+
+describe('Webhook routes', () => {
+  let sendMailSpy;
+
+  beforeEach(() => {
+    sendMailSpy = jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+  });
+
+  describe('POST /v1/webhooks/zeffy', () => {
+    let configuredSecret;
+    let donation;
+
+    beforeAll(() => {
+      configuredSecret = config.zeffy.webhookSecret;
+      config.zeffy.webhookSecret = zeffySecret;
+    });
+
+    afterAll(() => {
+      config.zeffy.webhookSecret = configuredSecret;
+    });
+
+    beforeEach(() => {
+      donation = {
+        id: faker.datatype.uuid(),
+        donor_name: customerOne.name,
+        donor_email: faker.internet.email().toLowerCase(),
+        amount: 20,
+        created_at: new Date().toISOString(),
+        user_id: customerOne._id.toHexString(),
+      };
+    });
+
+    test('should return 201, credit the donor once and confirm the deposit by email', async () => {
+      await insertUsers([customerOne]);
+
+      const res = await sendZeffyWebhook(donation).expect(httpStatus.CREATED);
+
+      expect(res.body.data).toEqual({ transactionId: expect.any(String), duplicate: false });
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(70);
+
+      const deposit = await FundTransaction.findOne({ user: customerOne._id });
+      expect(deposit).toMatchObject({
+        type: 'deposit',
+        method: 'zeffy',
+        direction: 'credit',
+        status: 'completed',
+        amount: 20,
+        balanceBefore: 50,
+        balanceAfter: 70,
+        zeffyTransactionId: donation.id,
+        webhookVerified: true,
+      });
+      expect(sendMailSpy).toHaveBeenCalledWith(expect.objectContaining({ to: customerOne.email }));
+    });
+
+    test('should match the donor by email when the donation has no user_id', async () => {
+      await insertUsers([customerOne]);
+      delete donation.user_id;
+      donation.donor_email = customerOne.email;
+
+      await sendZeffyWebhook(donation).expect(httpStatus.CREATED);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(70);
+    });
+
+    test('should return 200 and not credit again if the donation is delivered twice', async () => {
+      await insertUsers([customerOne]);
+      await sendZeffyWebhook(donation).expect(httpStatus.CREATED);
+
+      const res = await sendZeffyWebhook(donation).expect(httpStatus.OK);
+
+      expect(res.body.data.duplicate).toBe(true);
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(70);
+      expect(await FundTransaction.countDocuments({ zeffyTransactionId: donation.id })).toBe(1);
+    });
+
+    test('should return 200 and credit nothing for a free ticket', async () => {
+      await insertUsers([customerOne]);
+      donation.amount = 0;
+
+      const res = await sendZeffyWebhook(donation).expect(httpStatus.OK);
+
+      expect(res.body.data).toEqual({ skipped: true });
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+      expect(await FundTransaction.countDocuments()).toBe(0);
+      expect(await UnmatchedPayment.countDocuments()).toBe(0);
+      expect(sendMailSpy).not.toHaveBeenCalled();
+    });
+
+    test('should return 401 error if the signature was made with another secret', async () => {
+      await insertUsers([customerOne]);
+
+      await sendZeffyWebhook(donation, { secret: 'not-the-secret' }).expect(httpStatus.UNAUTHORIZED);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+    });
+
+    test('should return 401 error if the body was changed after it was signed', async () => {
+      await insertUsers([customerOne]);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = signWebhookPayload(zeffySecret, timestamp, JSON.stringify(donation));
+
+      await request(app)
+        .post('/v1/webhooks/zeffy')
+        .set('Content-Type', 'application/json')
+        .set('X-Zeffy-Timestamp', String(timestamp))
+        .set('X-Zeffy-Signature', signature)
+        .send(JSON.stringify({ ...donation, amount: 2000 }))
+        .expect(httpStatus.UNAUTHORIZED);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+    });
+
+    test('should return 401 error if the signature is older than the replay window', async () => {
+      await insertUsers([customerOne]);
+      const timestamp = Math.floor(Date.now() / 1000) - config.zeffy.webhookToleranceSeconds - 60;
+
+      await sendZeffyWebhook(donation, { timestamp }).expect(httpStatus.UNAUTHORIZED);
+
+      expect(await FundTransaction.countDocuments()).toBe(0);
+    });
+
+    test('should return 401 error if the signature is missing', async () => {
+      await request(app).post('/v1/webhooks/zeffy').send(donation).expect(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe('POST /v1/webhooks/zapier', () => {
+    let configuredSecret;
+    let webhookId;
+    let credit;
+
+    beforeAll(() => {
+      configuredSecret = config.zapier.webhookSecret;
+      config.zapier.webhookSecret = zapierSecret;
+    });
+
+    afterAll(() => {
+      config.zapier.webhookSecret = configuredSecret;
+    });
+
+    beforeEach(() => {
+      webhookId = faker.datatype.uuid();
+      credit = {
+        amount: 15,
+        source_app: 'Square',
+        user_id: customerOne._id.toHexString(),
+      };
+    });
+
+    test('should return 201 and credit the referenced user', async () => {
+      await insertUsers([customerOne]);
+
+      const res = await request(app)
+        .post('/v1/webhooks/zapier')
+        .set('X-Webhook-Secret', zapierSecret)
+        .set('X-Zapier-Webhook-Id', webhookId)
+        .send(credit)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body.data).toEqual({ transactionId: expect.any(String), duplicate: false });
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(65);
+      expect(dbUser.fundsAddedHistory).toHaveLength(1);
+
+      const deposit = await FundTransaction.findOne({ zapierWebhookId: webhookId });
+      expect(deposit).toMatchObject({
+        type: 'deposit',
+        method: 'zapier_webhook',
+        direction: 'credit',
+        amount: 15,
+        balanceBefore: 50,
+        balanceAfter: 65,
+      });
+    });
+
+    test('should return 200 and not credit again if the webhook is delivered twice', async () => {
+      await insertUsers([customerOne]);
+      const sendCredit = () =>
+        request(app)
+          .post('/v1/webhooks/zapier')
+          .set('X-Webhook-Secret', zapierSecret)
+          .set('X-Zapier-Webhook-Id', webhookId)
+          .send(credit);
+      await sendCredit().expect(httpStatus.CREATED);
+
+      const res = await sendCredit().expect(httpStatus.OK);
+
+      expect(res.body.data.duplicate).toBe(true);
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(65);
+    });
+
+    test('should return 202 and queue the payment if user_id matches no user', async () => {
+      await insertUsers([customerOne]);
+      credit.user_id = faker.datatype.uuid();
+
+      const res = await request(app)
+        .post('/v1/webhooks/zapier')
+        .set('X-Webhook-Secret', zapierSecret)
+        .set('X-Zapier-Webhook-Id', webhookId)
+        .send(credit)
+        .expect(httpStatus.ACCEPTED);
+
+      expect(res.body.data).toEqual({ unmatchedPaymentId: expect.any(String), queued: true, duplicate: false });
+      const unmatchedPayment = await UnmatchedPayment.findById(res.body.data.unmatchedPaymentId);
+      expect(unmatchedPayment).toMatchObject({
+        source: 'zapier',
+        externalId: webhookId,
+        amount: 15,
+        referencedUserId: credit.user_id,
+        status: 'pending',
+      });
+      expect(await FundTransaction.countDocuments()).toBe(0);
+    });
+
+    test('should return 202 and queue the payment once if user_id is empty', async () => {
+      credit.user_id = '';
+      const sendCredit = () =>
+        request(app)
+          .post('/v1/webhooks/zapier')
+          .set('X-Webhook-Secret', zapierSecret)
+          .set('X-Zapier-Webhook-Id', webhookId)
+          .send(credit);
+      await sendCredit().expect(httpStatus.ACCEPTED);
+
+      const res = await sendCredit().expect(httpStatus.ACCEPTED);
+
+      expect(res.body.data.duplicate).toBe(true);
+      expect(await UnmatchedPayment.countDocuments({ externalId: webhookId })).toBe(1);
+    });
+
+    test('should return 200 and credit nothing if the amount is zero', async () => {
+      await insertUsers([customerOne]);
+      credit.amount = 0;
+
+      const res = await request(app)
+        .post('/v1/webhooks/zapier')
+        .set('X-Webhook-Secret', zapierSecret)
+        .set('X-Zapier-Webhook-Id', webhookId)
+        .send(credit)
+        .expect(httpStatus.OK);
+
+      expect(res.body.data).toEqual({ skipped: true });
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+      expect(await FundTransaction.countDocuments()).toBe(0);
+    });
+
+    test('should return 401 error if the shared secret is wrong', async () => {
+      await insertUsers([customerOne]);
+
+      await request(app)
+        .post('/v1/webhooks/zapier')
+        .set('X-Webhook-Secret', 'not-the-secret')
+        .set('X-Zapier-Webhook-Id', webhookId)
+        .send(credit)
+        .expect(httpStatus.UNAUTHORIZED);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+    });
+
+    test('should return 400 error if the webhook id is missing', async () => {
+      await insertUsers([customerOne]);
+
+      await request(app)
+        .post('/v1/webhooks/zapier')
+        .set('X-Webhook-Secret', zapierSecret)
+        .send(credit)
+        .expect(httpStatus.BAD_REQUEST);
+
+      const dbUser = await User.findById(customerOne._id);
+      expect(dbUser.balance).toBe(50);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { isValidTransition, canTransition, getAllowedTransitions } = require('../../../src/config/orderStatus');
+
+describe('Order status transitions', () => {
+  describe('isValidTransition', () => {
+    test('should allow moving forward through the order lifecycle', () => {
+      expect(isValidTransition('pending', 'confirmed')).toBe(true);
+      expect(isValidTransition('confirmed', 'preparing')).toBe(true);
+      expect(isValidTransition('preparing', 'ready')).toBe(true);
+      expect(isValidTransition('ready', 'completed')).toBe(true);
+    });
+
+    test('should not allow leaving a final status', () => {
+      expect(isValidTransition('completed', 'pending')).toBe(false);
+      expect(isValidTransition('cancelled', 'ready')).toBe(false);
+    });
+
+    test('should return false for unknown statuses', () => {
+      expect(isValidTransition('unknown', 'pending')).toBe(false);
+    });
+  });
+
+  describe('canTransition', () => {
+    test('should only let vendors and admins advance an order', () => {
+      expect(canTransition('preparing', 'ready', 'vendor')).toBe(true);
+      expect(canTransition('preparing', 'ready', 'admin')).toBe(true);
+      expect(canTransition('preparing', 'ready', 'customer')).toBe(false);
+    });
+
+    test('should let customers cancel only before preparation starts', () => {
+      expect(canTransition('pending', 'cancelled', 'customer')).toBe(true);
+      expect(canTransition('confirmed', 'cancelled', 'customer')).toBe(true);
+      expect(canTransition('preparing', 'cancelled', 'customer')).toBe(false);
+    });
+
+    test('should only let the uncollected order policy cancel an order that is ready', () => {
+      expect(canTransition('ready', 'cancelled', 'system')).toBe(true);
+      expect(canTransition('ready', 'cancelled', 'vendor')).toBe(false);
+      expect(canTransition('ready', 'cancelled', 'customer')).toBe(false);
+      expect(canTransition('ready', 'completed', 'system')).toBe(true);
+    });
+
+    test('should only let the scheduler release a pending order straight into preparation', () => {
+      expect(canTransition('pending', 'preparing', 'system')).toBe(true);
+      expect(canTransition('pending', 'preparing', 'vendor')).toBe(false);
+      expect(canTransition('pending', 'preparing', 'admin')).toBe(false);
+    });
+  });
+
+  describe('getAllowedTransitions', () => {
+    test('should list the next statuses for a user type', () => {
+      expect(getAllowedTransitions('pending', 'customer')).toEqual(['cancelled']);
+      expect(getAllowedTransitions('preparing', 'vendor')).toEqual(['ready', 'cancelled']);
+      expect(getAllowedTransitions('completed', 'admin')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { OrderCounter } = require('../../../src/models');
+
+describe('OrderCounter model', () => {
+  describe('next', () => {
+    const vendorId = new mongoose.Types.ObjectId();
+
+    test('should retry once if another order created the day counter first', async () => {
+      const duplicateKeyError = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      const findOneAndUpdate = jest
+        .spyOn(OrderCounter, 'findOneAndUpdate')
+        .mockRejectedValueOnce(duplicateKeyError)
+        .mockResolvedValueOnce({ seq: 2 });
+
+      await expect(OrderCounter.next(vendorId, '2026-07-04')).resolves.toBe(2);
+      expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry other errors', async () => {
+      const findOneAndUpdate = jest.spyOn(OrderCounter, 'findOneAndUpdate').mockRejectedValueOnce(new Error('Any error'));
+
+      await expect(OrderCounter.next(vendorId, '2026-07-04')).rejects.toThrow('Any error');
+      expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+  });
+});
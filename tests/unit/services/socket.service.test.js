@@ -0,0 +1,67 @@
+const socketService = require('../../../src/services/socket.service');
+const SocketController = require('../../../src/controllers/socket.controller');
+
+describe('Socket service', () => {
+  let emit;
+  let io;
+
+  beforeAll(() => {
+    emit = jest.fn();
+    io = {
+      on: jest.fn(),
+      of: jest.fn(() => ({ on: jest.fn() })),
+      to: jest.fn(() => ({ emit })),
+    };
+    socketService.initialize(new SocketController(io));
+  });
+
+  beforeEach(() => {
+    emit.mockClear();
+    io.to.mockClear();
+  });
+
+  describe('emitBalanceUpdate', () => {
+    test('should emit balance-updated to the user room', () => {
+      socketService.emitBalanceUpdate('user1', { newBalance: 25, oldBalance: 10, amount: 15, reason: 'Top-up' });
+
+      expect(io.to).toHaveBeenCalledWith('user-user1');
+      expect(emit).toHaveBeenCalledWith(
+        'balance-updated',
+        expect.objectContaining({ userId: 'user1', newBalance: 25, oldBalance: 10, amount: 15, reason: 'Top-up' })
+      );
+    });
+
+    test('should keep an old balance of 0', () => {
+      socketService.emitBalanceUpdate('user1', { newBalance: 25, oldBalance: 0, amount: 25 });
+
+      expect(emit).toHaveBeenCalledWith('balance-updated', expect.objectContaining({ newBalance: 25, oldBalance: 0 }));
+    });
+
+    test('should default the old balance to the new balance when it is not known', () => {
+      socketService.emitBalanceUpdate('user1', { newBalance: 25 });
+
+      expect(emit).toHaveBeenCalledWith(
+        'balance-updated',
+        expect.objectContaining({ newBalance: 25, oldBalance: 25, amount: 0, reason: 'Balance update' })
+      );
+    });
+  });
+
+  describe('emitPaymentCompleted', () => {
+    test('should emit payment-completed to the user room', () => {
+      socketService.emitPaymentCompleted('user1', { amount: 20, newBalance: 45, transactionId: 'txn_1' });
+
+      expect(io.to).toHaveBeenCalledWith('user-user1');
+      expect(emit).toHaveBeenCalledWith(
+        'payment-completed',
+        expect.objectContaining({
+          userId: 'user1',
+          amount: 20,
+          newBalance: 45,
+          paymentMethod: 'zeffy',
+          transactionId: 'txn_1',
+        })
+      );
+    });
+  });
+});
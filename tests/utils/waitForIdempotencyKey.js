@@ -0,0 +1,13 @@
+const { IdempotencyKey } = require('../../src/models');
+
+// The outcome of a keyed request is stored once the response has been sent, which can be after supertest resolves
+const waitForIdempotencyKey = async (key, isSettled, attempts = 50) => {
+  const record = await IdempotencyKey.findOne({ key });
+  if (isSettled(record) || attempts === 0) {
+    return record;
+  }
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  return waitForIdempotencyKey(key, isSettled, attempts - 1);
+};
+
+module.exports = waitForIdempotencyKey;